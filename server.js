@@ -5,18 +5,71 @@ const helmet = require('helmet');
 const path = require('path');
 
 // Core modules
-const { salvageToArweave, retrieveSalvage, listSalvages } = require('./src/salvage');
-const { reviveFromSalvage } = require('./src/revival');
-const { createAccount, authenticate, getAccount, rotateKey } = require('./src/auth');
-const { createPayment, verifyPayment, getPaymentMethods } = require('./src/payments');
-const { validateSoulPayload } = require('./src/schema');
+const {
+  salvageToArweave, retrieveSalvage, checkSalvageAccess, listSalvages, getSalvageHistory, getSalvageAttachment,
+  promoteDemoSalvage, purgeDemoSalvages, findDuplicateSalvage, storageFor
+} = require('./src/salvage');
+const { reviveFromSalvage, reviveToArchive, listFormats, filesToSoul } = require('./src/revival');
+const {
+  createAccount, authenticate, getAccount, getSalvageRecord, rotateKey, createApiKey, listApiKeys, revokeApiKey, hasScope,
+  SCOPES
+} = require('./src/auth');
+const {
+  createPayment, verifyPayment, getPaymentMethods, constructStripeEvent, handleStripeWebhook, expireLapsedTiers
+} = require('./src/payments');
+const { listPayments, billingStatus, getReceipt, receiptToHtml } = require('./src/billing');
+const {
+  EVENTS: WEBHOOK_EVENTS, createEndpoint, listEndpoints, deleteEndpoint, listDeliveries, replayDelivery, deliverDue
+} = require('./src/webhooks');
+const { validateSoulPayload, SOUL_SCHEMA, SCHEMA_VERSION } = require('./src/schema');
+const { scanSoul, redactSoul } = require('./src/scanner');
+const { validateEnvelope, encryptSoul } = require('./src/encryption');
+const {
+  KEY_TYPES: SIGNING_KEY_TYPES, registerSigningKey, listSigningKeys, revokeSigningKey, signatureTags
+} = require('./src/provenance');
+const { getStorage } = require('./src/storage');
+const { pollSalvageStatuses, getSalvageStatus } = require('./src/confirmations');
+const {
+  registerJobHandler, hashRequest, findIdempotentJob, createJob, holdJob, completeJob, discardJob, getJob, processJobs,
+  purgeJobs
+} = require('./src/jobs');
+const {
+  createUpload, getUpload, putChunk, assembleUpload, finishUpload, reopenUpload, abortUpload, purgeExpiredUploads,
+  MAX_CHUNK_BYTES
+} = require('./src/uploads');
+const { TIERS, getTier, getUsage, reserveSalvage, rateLimitFor, hitRateLimit, peekRateLimit } = require('./src/quota');
 
 const app = express();
 
 // Security & parsing
 app.use(helmet({ contentSecurityPolicy: false }));
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+
+// Stripe webhook — registered ahead of the JSON parser (the signature covers the raw
+// body) and of API key auth/rate limiting (Stripe authenticates with the signature)
+app.post('/api/v1/payments/stripe/webhook', express.raw({ type: () => true, limit: '1mb' }), async (req, res) => {
+  let event;
+  try {
+    event = constructStripeEvent(req.body, req.headers['stripe-signature']);
+  } catch (err) {
+    const status = err.message.startsWith('Invalid webhook signature') ? 400 : 503;
+    return res.status(status).json({ error: err.message });
+  }
+
+  try {
+    const result = await handleStripeWebhook(event);
+    res.json({ received: true, ...result });
+  } catch (err) {
+    // 5xx makes Stripe retry the event later
+    console.error(`[Payment] Stripe webhook ${event.id} failed:`, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Upload chunks are raw bytes whatever their Content-Type — their route reads the body itself
+const UPLOAD_CHUNK_PATH = /^\/api\/v1\/uploads\/[^/]+\/chunks\/[^/]+$/;
+const parseJson = express.json({ limit: '10mb' });
+app.use((req, res, next) => (req.method === 'PUT' && UPLOAD_CHUNK_PATH.test(req.path) ? next() : parseJson(req, res, next)));
 
 // Static UI
 app.use('/ui', express.static(path.join(__dirname, 'ui')));
@@ -25,40 +78,73 @@ app.use('/ui', express.static(path.join(__dirname, 'ui')));
 // MIDDLEWARE
 // ============================================================
 
-// API key auth middleware
-async function requireAuth(req, res, next) {
-  const key = req.headers.authorization?.replace('Bearer ', '');
-  if (!key) return res.status(401).json({ error: 'Missing API key', hint: 'Set Authorization: Bearer <your-api-key>' });
-  
+const bearerKey = req => req.headers.authorization?.replace('Bearer ', '');
+
+// Resolve the API key once per request; routes decide whether one is required
+app.use(async (req, res, next) => {
+  const key = bearerKey(req);
+  if (!key) return next();
   try {
-    const account = await authenticate(key);
-    if (!account) return res.status(401).json({ error: 'Invalid API key' });
-    req.account = account;
+    req.account = await authenticate(key);
     next();
   } catch (err) {
     res.status(500).json({ error: 'Auth failed', message: err.message });
   }
-}
+});
+
+// Per-key request rate limit (per IP without a valid key)
+app.use((req, res, next) => {
+  if (req.path === '/health') return next();
 
-// Optional auth (enriches request if key present)
-async function optionalAuth(req, res, next) {
-  const key = req.headers.authorization?.replace('Bearer ', '');
-  if (key) {
-    try { req.account = await authenticate(key); } catch {}
+  const id = req.account ? `key:${req.account.key.id}` : `ip:${req.ip}`;
+  const state = hitRateLimit(id, rateLimitFor(req.account));
+  res.setHeader('X-RateLimit-Limit', state.limit);
+  res.setHeader('X-RateLimit-Remaining', state.remaining);
+  res.setHeader('X-RateLimit-Reset', Math.ceil(state.resetAt / 1000));
+
+  if (!state.allowed) {
+    res.setHeader('Retry-After', Math.max(1, Math.ceil((state.resetAt - Date.now()) / 1000)));
+    return res.status(429).json({ error: 'Rate limit exceeded', limit: state.limit, reset_at: new Date(state.resetAt).toISOString() });
   }
   next();
+});
+
+// API key auth middleware — requireAuth('salvage:write'), or requireAuth() for any valid key
+function requireAuth(scope) {
+  return (req, res, next) => {
+    if (!bearerKey(req)) return res.status(401).json({ error: 'Missing API key', hint: 'Set Authorization: Bearer <your-api-key>' });
+    if (!req.account) return res.status(401).json({ error: 'Invalid or expired API key' });
+    if (scope && !hasScope(req.account.key, scope)) {
+      return res.status(403).json({ error: `API key lacks the "${scope}" scope`, scopes: req.account.key.scopes });
+    }
+    next();
+  };
+}
+
+// Optional auth (request is enriched if a valid key was sent); a valid key must still carry `scope`
+function optionalAuth(scope) {
+  return (req, res, next) => {
+    if (scope && req.account && !hasScope(req.account.key, scope)) {
+      return res.status(403).json({ error: `API key lacks the "${scope}" scope`, scopes: req.account.key.scopes });
+    }
+    next();
+  };
 }
 
 // ============================================================
 // PUBLIC - No auth required
 // ============================================================
 
-app.get('/health', (req, res) => res.json({ 
-  status: 'ok',
-  service: 'neural-salvage',
-  version: '0.1.0',
-  timestamp: new Date().toISOString()
-}));
+app.get('/health', (req, res) => {
+  const storage = getStorage();
+  res.json({
+    status: 'ok',
+    service: 'neural-salvage',
+    version: '0.1.0',
+    timestamp: new Date().toISOString(),
+    ...(storage.gatewayHealth && { gateways: storage.gatewayHealth(), cache: storage.cacheStats() })
+  });
+});
 
 // Service info + accepted payment methods
 app.get('/api/v1/info', (req, res) => res.json({
@@ -67,11 +153,19 @@ app.get('/api/v1/info', (req, res) => res.json({
   description: 'Permanent AI state preservation on Arweave',
   docs: 'https://neuralsalvage.com/docs',
   payments: getPaymentMethods(),
-  limits: {
-    free: { salvages_per_month: 1, max_size_bytes: 1_048_576 },   // 1MB
-    pro:  { salvages_per_month: -1, max_size_bytes: 104_857_600 }, // 100MB
-    enterprise: { salvages_per_month: -1, max_size_bytes: -1 }
-  }
+  // -1 = unlimited
+  limits: Object.fromEntries(Object.entries(TIERS).map(([name, t]) => [name, {
+    salvages_per_month: t.salvages_per_period ?? -1,
+    max_size_bytes: t.max_salvage_bytes ?? -1,
+    requests_per_minute: t.requests_per_minute
+  }]))
+}));
+
+// Soul schema (JSON Schema) that salvages are validated against
+app.get('/api/v1/schema', (req, res) => res.json({
+  success: true,
+  version: SCHEMA_VERSION,
+  schema: SOUL_SCHEMA
 }));
 
 // ============================================================
@@ -110,7 +204,7 @@ app.post('/api/v1/register', async (req, res) => {
 });
 
 // Get own account info
-app.get('/api/v1/account', requireAuth, (req, res) => {
+app.get('/api/v1/account', requireAuth(), (req, res) => {
   const a = req.account;
   res.json({
     success: true,
@@ -122,15 +216,73 @@ app.get('/api/v1/account', requireAuth, (req, res) => {
       salvage_count: a.salvageCount,
       total_bytes: a.totalBytes,
       created_at: a.createdAt,
-      last_salvage: a.lastSalvage
-    }
+      last_salvage: a.lastSalvage,
+      subscription: a.subscription && {
+        provider: a.subscription.provider,
+        id: a.subscription.id,
+        tier: a.subscription.tier,
+        status: a.subscription.status,
+        grace_until: a.subscription.graceUntil
+      },
+      billing: billingStatus(a)
+    },
+    key: formatKey(a.key)
   });
 });
 
-// Rotate API key
-app.post('/api/v1/account/rotate-key', requireAuth, async (req, res) => {
+// Billing history: every payment intent and its status
+app.get('/api/v1/account/payments', requireAuth('payments'), async (req, res) => {
+  try {
+    const { limit = 25, offset = 0 } = req.query;
+    const payments = await listPayments(req.account.id, { limit: +limit, offset: +offset });
+    res.json({ success: true, billing: billingStatus(req.account), ...payments });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Download a receipt for a confirmed payment as JSON or HTML
+app.get('/api/v1/account/payments/:paymentId/receipt.:format(json|html)', requireAuth('payments'), async (req, res) => {
+  try {
+    const receipt = await getReceipt(req.account, req.params.paymentId);
+    res.setHeader('Content-Disposition', `attachment; filename="receipt-${receipt.receipt_number}.${req.params.format}"`);
+    if (req.params.format === 'html') return res.type('html').send(receiptToHtml(receipt));
+    res.json(receipt);
+  } catch (err) {
+    if (err.message === 'Payment not found') return res.status(404).json({ error: err.message });
+    if (err.message.startsWith('Receipt unavailable')) return res.status(409).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Current-period usage against the account's tier limits
+app.get('/api/v1/account/usage', requireAuth(), (req, res) => {
   try {
-    const newKey = await rotateKey(req.account.id);
+    const a = req.account;
+    const { price_usd, ...limits } = getTier(a.tier);
+    const usage = getUsage(a.id);
+    const rate = peekRateLimit(`key:${a.key.id}`, rateLimitFor(a));
+
+    res.json({
+      success: true,
+      tier: a.tier,
+      period: { start: usage.start, end: usage.end },
+      usage: { salvages: usage.salvages, bytes: usage.bytes },
+      limits,
+      remaining: {
+        salvages: limits.salvages_per_period == null ? null : Math.max(0, limits.salvages_per_period - usage.salvages)
+      },
+      rate_limit: { limit: rate.limit, remaining: rate.remaining, reset_at: new Date(rate.resetAt).toISOString() }
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rotate the API key used for this request (other keys are untouched)
+app.post('/api/v1/account/rotate-key', requireAuth(), async (req, res) => {
+  try {
+    const newKey = await rotateKey(req.account.id, req.account.key.id);
     res.json({ 
       success: true, 
       api_key: newKey,
@@ -141,69 +293,615 @@ app.post('/api/v1/account/rotate-key', requireAuth, async (req, res) => {
   }
 });
 
+// List API keys
+app.get('/api/v1/account/keys', requireAuth('account:admin'), async (req, res) => {
+  try {
+    const keys = await listApiKeys(req.account.id);
+    res.json({ success: true, scopes: SCOPES, keys: keys.map(formatKey) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create an additional API key — scopes can't exceed the creating key's
+app.post('/api/v1/account/keys', requireAuth('account:admin'), async (req, res) => {
+  try {
+    const { label, scopes, expires_at } = req.body;
+    const granted = req.account.key;
+    const requested = scopes === undefined ? ['*'] : Array.isArray(scopes) ? scopes : [];
+    const escalated = requested.find(s => !(s === '*' ? granted.scopes.includes('*') : hasScope(granted, s)));
+    if (escalated !== undefined) {
+      return res.status(403).json({ error: `Cannot grant scope "${escalated}" — the key making this request doesn't have it` });
+    }
+
+    const key = await createApiKey(req.account.id, { label, scopes, expiresAt: expires_at ?? null });
+    res.status(201).json({
+      success: true,
+      api_key: key.apiKey,
+      key: formatKey(key),
+      important: '⚠️ SAVE THIS API KEY! It cannot be recovered.'
+    });
+  } catch (err) {
+    if (err.message.startsWith('Key ') || err.message.startsWith('Unknown scope')) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Revoke an API key
+app.delete('/api/v1/account/keys/:keyId', requireAuth('account:admin'), async (req, res) => {
+  try {
+    const key = await revokeApiKey(req.account.id, req.params.keyId);
+    res.json({ success: true, key: formatKey(key) });
+  } catch (err) {
+    if (err.message === 'API key not found') return res.status(404).json({ error: err.message });
+    if (err.message.startsWith('Cannot revoke')) return res.status(409).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+function formatKey(k) {
+  return {
+    id: k.id,
+    label: k.label,
+    scopes: k.scopes,
+    prefix: k.prefix,
+    created_at: k.createdAt,
+    expires_at: k.expiresAt,
+    last_used_at: k.lastUsedAt,
+    revoked_at: k.revokedAt
+  };
+}
+
 // ============================================================
-// SALVAGE - The core product
+// SIGNING KEYS - Public keys agents sign their souls with
 // ============================================================
 
-// Save soul to Arweave
-app.post('/api/v1/salvage', requireAuth, async (req, res) => {
+// Register a key: { key_type: 'ed25519' | 'solana' | 'ethereum', public_key, label? }
+app.post('/api/v1/account/signing-keys', requireAuth('account:admin'), async (req, res) => {
   try {
-    const { soul, metadata } = req.body;
-    
+    const { key_type, public_key, label } = req.body;
+    const key = await registerSigningKey(req.account.id, { keyType: key_type, publicKey: public_key, label });
+    res.status(201).json({ success: true, signing_key: formatSigningKey(key) });
+  } catch (err) {
+    signingKeyError(res, err);
+  }
+});
+
+app.get('/api/v1/account/signing-keys', requireAuth('account:admin'), async (req, res) => {
+  try {
+    const keys = await listSigningKeys(req.account.id);
+    res.json({ success: true, key_types: SIGNING_KEY_TYPES, signing_keys: keys.map(formatSigningKey) });
+  } catch (err) {
+    signingKeyError(res, err);
+  }
+});
+
+// Revoke a key — souls it already signed still verify
+app.delete('/api/v1/account/signing-keys/:keyId', requireAuth('account:admin'), async (req, res) => {
+  try {
+    const key = await revokeSigningKey(req.account.id, req.params.keyId);
+    res.json({ success: true, signing_key: formatSigningKey(key) });
+  } catch (err) {
+    signingKeyError(res, err);
+  }
+});
+
+function formatSigningKey(k) {
+  return {
+    id: k.id,
+    key_type: k.keyType,
+    public_key: k.publicKey,
+    label: k.label,
+    created_at: k.createdAt,
+    revoked_at: k.revokedAt
+  };
+}
+
+function signingKeyError(res, err) {
+  if (err.message.startsWith('Unknown signing key type') || err.message.startsWith('Signing key public_key')) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (err.message === 'Signing key not found') return res.status(404).json({ error: err.message });
+  if (err.message === 'Signing key already registered' || err.message.startsWith('Signing key limit')) {
+    return res.status(409).json({ error: err.message });
+  }
+  res.status(500).json({ error: err.message });
+}
+
+// ============================================================
+// WEBHOOKS - Outbound event notifications
+// ============================================================
+
+// Register an endpoint: { url, events?: [...] | ['*'], description? } — the signing secret is shown once
+app.post('/api/v1/webhooks', requireAuth('account:admin'), async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+    const endpoint = await createEndpoint(req.account.id, { url, events, description });
+    res.status(201).json({
+      success: true,
+      webhook: formatWebhook(endpoint),
+      secret: endpoint.secret,
+      important: '⚠️ SAVE THIS SECRET! It is used to verify X-Neural-Salvage-Signature and cannot be recovered.'
+    });
+  } catch (err) {
+    webhookError(res, err);
+  }
+});
+
+app.get('/api/v1/webhooks', requireAuth('account:admin'), async (req, res) => {
+  try {
+    const endpoints = await listEndpoints(req.account.id);
+    res.json({ success: true, events: WEBHOOK_EVENTS, webhooks: endpoints.map(formatWebhook) });
+  } catch (err) {
+    webhookError(res, err);
+  }
+});
+
+// Remove an endpoint — deliveries still pending are canceled
+app.delete('/api/v1/webhooks/:webhookId', requireAuth('account:admin'), async (req, res) => {
+  try {
+    await deleteEndpoint(req.account.id, req.params.webhookId);
+    res.json({ success: true, deleted: req.params.webhookId });
+  } catch (err) {
+    webhookError(res, err);
+  }
+});
+
+// Delivery log, newest first: ?status=pending|succeeded|failed|canceled&limit=&offset=
+app.get('/api/v1/webhooks/:webhookId/deliveries', requireAuth('account:admin'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 25, 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const { deliveries, total } = await listDeliveries(req.account.id, req.params.webhookId, {
+      limit, offset, status: req.query.status
+    });
+    res.json({ success: true, deliveries: deliveries.map(formatDelivery), total, limit, offset });
+  } catch (err) {
+    webhookError(res, err);
+  }
+});
+
+// Queue a logged event again (a new delivery with the same event ID)
+app.post('/api/v1/webhooks/:webhookId/deliveries/:deliveryId/replay', requireAuth('account:admin'), async (req, res) => {
+  try {
+    const delivery = await replayDelivery(req.account.id, req.params.webhookId, req.params.deliveryId);
+    res.status(201).json({ success: true, delivery: formatDelivery(delivery) });
+  } catch (err) {
+    webhookError(res, err);
+  }
+});
+
+function webhookError(res, err) {
+  if (err.message.startsWith('Webhook url') || err.message.startsWith('Webhook events') || err.message.startsWith('Unknown webhook event')) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (err.message === 'Webhook not found' || err.message === 'Delivery not found') return res.status(404).json({ error: err.message });
+  if (err.message.startsWith('Webhook limit')) return res.status(409).json({ error: err.message });
+  res.status(500).json({ error: err.message });
+}
+
+function formatWebhook(e) {
+  return { id: e.id, url: e.url, events: e.events, description: e.description, created_at: e.createdAt };
+}
+
+function formatDelivery(d) {
+  return {
+    id: d.id,
+    event_id: d.eventId,
+    event_type: d.eventType,
+    status: d.status,
+    attempts: d.attempts,
+    next_attempt_at: d.nextAttemptAt,
+    last_status_code: d.lastStatusCode,
+    last_error: d.lastError,
+    replay_of: d.replayOf,
+    created_at: d.createdAt,
+    delivered_at: d.deliveredAt,
+    payload: d.payload
+  };
+}
+
+// ============================================================
+// SALVAGE - The core product
+// ============================================================
+
+// Validate a salvage request: { soul, warnings, redactions, payloadSize }, or { error: { status, body } }
+function prepareSalvage(soul, body) {
+  const { encrypted, encryption, mode = 'full', redact, allowlist } = body;
+  let warnings = [];
+  let redactions = null;
+
+  if (encrypted) {
+    // Client-encrypted blob — we can only check the envelope, not its contents
+    if (soul) return { error: { status: 400, body: { error: 'Send either "soul" or "encrypted", not both' } } };
+    const problems = validateEnvelope(encrypted);
+    if (problems.length) {
+      return { error: { status: 400, body: { error: 'Invalid encrypted envelope', details: problems } } };
+    }
+    // No agent name to link it to the agent's earlier salvages: the lineage has to be given
+    if (!body.agent_name && body.parent_tx_id === undefined) {
+      return {
+        error: {
+          status: 400,
+          body: { error: 'An encrypted soul needs "agent_name" or "parent_tx_id" (null starts a new lineage)' }
+        }
+      };
+    }
+  } else {
     // Validate soul payload
-    const validation = validateSoulPayload(soul);
+    const validation = validateSoulPayload(soul, { allowlist: allowlist || [], redact: !!redact });
     if (!validation.valid) {
-      return res.status(400).json({ error: 'Invalid soul payload', details: validation.errors });
+      return {
+        error: {
+          status: 400,
+          body: { error: 'Invalid soul payload', details: validation.errors, findings: validation.scan?.findings }
+        }
+      };
     }
-
-    // Check tier limits
-    const account = req.account;
-    const payloadSize = Buffer.byteLength(JSON.stringify(soul));
-    
-    if (account.tier === 'free') {
-      if (account.salvageCount >= 1 && !isNewMonth(account.lastSalvage)) {
-        return res.status(429).json({ 
-          error: 'Free tier limit reached (1 salvage/month)',
-          hint: 'Upgrade to Pro for unlimited salvages',
-          upgrade_url: '/api/v1/payments/create'
-        });
-      }
-      if (payloadSize > 1_048_576) {
-        return res.status(413).json({ error: 'Payload too large for free tier (max 1MB)' });
+    warnings = validation.warnings;
+    if (body.signature !== undefined) {
+      // A signed soul is stored exactly as sent (upgraded only when revived), so its signature keeps matching
+      if (validation.redacted) {
+        return {
+          error: {
+            status: 400,
+            body: { error: 'A signed soul can\'t be redacted — remove the flagged values, sign it again and resubmit', findings: validation.scan.findings }
+          }
+        };
       }
+    } else {
+      soul = validation.soul; // upgraded, stamped with schema_version, redacted if asked
+      if (validation.redacted) redactions = validation.scan.findings;
+    }
+  }
+  if (!['full', 'delta'].includes(mode)) {
+    return { error: { status: 400, body: { error: 'Mode must be "full" or "delta"' } } };
+  }
+  if ((encrypted || encryption) && mode === 'delta') {
+    return { error: { status: 400, body: { error: 'Delta mode is not available for encrypted souls' } } };
+  }
+
+  return { soul, warnings, redactions, payloadSize: Buffer.byteLength(JSON.stringify(encrypted || soul)) };
+}
+
+// Validate, check limits and salvage — shared by the JSON, workspace-import, upload and job routes
+// `body` carries the salvage options; resolves to { status, body, result } (result: the salvage, if one was made)
+async function runSalvage(account, soul, body, { onProgress, onStored } = {}) {
+  let release = null;
+  try {
+    const { encrypted, encryption, agent_name, metadata, parent_tx_id, mode = 'full' } = body;
+    const prepared = prepareSalvage(soul, body);
+    if (prepared.error) return prepared.error;
+    const { warnings, redactions, payloadSize } = prepared;
+    soul = prepared.soul;
+    const signature = signSalvage(account, soul, body);
+
+    // An identical public soul already salvaged is returned instead of paying again, unless "force": true
+    if (!encrypted && !encryption && body.force !== true) {
+      const existing = await findDuplicateSalvage(account.id, soul, { signer: signature?.['Signer'] });
+      if (existing) return duplicateSalvage(account, existing, payloadSize);
     }
 
+    // Check tier limits — delta salvages are capped on the patch size, checked after diffing
+    release = reserveSalvage(account, mode === 'full' ? payloadSize : null);
+
     const result = await salvageToArweave({
       soul,
+      envelope: encrypted,
+      encryption,
+      agentName: agent_name,
       account: { id: account.id, name: account.name, type: account.type },
-      metadata: { ...metadata, payloadSize }
+      metadata: { ...metadata, payloadSize },
+      parentTxId: parent_tx_id,
+      mode,
+      maxBytes: getTier(account.tier).max_salvage_bytes ?? undefined,
+      signature,
+      onProgress,
+      onStored
     });
 
-    res.status(201).json({
-      success: true,
-      salvage: {
-        tx_id: result.txId,
-        status: result.status,
-        arweave_url: `https://arweave.net/${result.txId}`,
-        size_bytes: payloadSize,
-        account: account.name,
-        timestamp: new Date().toISOString()
-      },
-      message: result.status === 'demo' 
-        ? 'Demo mode — soul echoed but not yet written to Arweave'
-        : 'Soul salvaged permanently to Arweave. This cannot be undone.'
-    });
+    return {
+      status: 201,
+      result,
+      body: {
+        success: true,
+        salvage: {
+          tx_id: result.txId,
+          status: result.status,
+          parent_tx_id: result.parentTxId,
+          generation: result.generation,
+          mode: result.mode,
+          base_tx_id: result.baseTxId,
+          encrypted: result.encrypted,
+          manifest_tx_id: result.manifestTxId || null,
+          attachments: result.attachments,
+          attachments_deduplicated: result.attachments_deduplicated,
+          storage: result.storage || null,
+          arweave_url: result.arweave_url || null,
+          size_bytes: payloadSize,
+          account: account.name,
+          schema_version: soul ? soul.schema_version || '1.0' : null,
+          soul_sha256: result.soulSha256,
+          signed_by: signature ? { key_type: signature['Signature-Type'], public_key: signature['Signer'] } : null,
+          timestamp: new Date().toISOString()
+        },
+        ...(warnings.length && { warnings }),
+        ...(redactions && { redactions }),
+        message: result.status === 'demo'
+          ? 'Demo mode — soul stored locally, not yet written to Arweave. Promote it once a wallet is configured.'
+          : result.status === 'stored'
+            ? `Soul stored with the "${result.storage}" driver (not permanent).`
+            : `Soul submitted to Arweave. It is permanent once confirmed — check GET /api/v1/salvage/${result.txId}/status.`
+      }
+    };
   } catch (err) {
+    const rejection = salvageRejection(err);
+    if (rejection) return rejection;
     console.error('[Salvage] Error:', err);
-    res.status(500).json({ error: err.message });
+    return { status: 500, body: { error: err.message } };
+  } finally {
+    if (release) release();
+  }
+}
+
+// A salvage as recorded, in the response shape of a new one
+function recordedSalvage(account, record, sizeBytes) {
+  return {
+    tx_id: record.txId,
+    status: record.txId.startsWith('demo-') ? 'demo' : record.status,
+    parent_tx_id: record.parentTxId,
+    generation: record.generation,
+    manifest_tx_id: record.manifestTxId,
+    arweave_url: storageFor(record.txId).urlFor(record.txId),
+    size_bytes: sizeBytes,
+    account: account.name,
+    soul_sha256: record.soulSha256,
+    timestamp: record.createdAt
+  };
+}
+
+// Response for a salvage request that matched an earlier salvage of the same soul (nothing uploaded)
+// size_bytes is the soul's payload size, as for a new salvage — not what was stored for the match
+function duplicateSalvage(account, record, payloadSize) {
+  return {
+    status: 200,
+    result: { txId: record.txId, deduplicated: true },
+    body: {
+      success: true,
+      deduplicated: true,
+      salvage: recordedSalvage(account, record, payloadSize),
+      message: `Identical soul already salvaged as ${record.txId} — nothing uploaded or billed. Send "force": true to upload it again.`
+    }
+  };
+}
+
+// Signature tags for an agent-signed soul ("signature", optional "signing_key_id"), or null
+// The signature must match the soul exactly as sent, which is then stored unchanged.
+// Client-encrypted souls can't be checked here; revive checks them after decryption.
+function signSalvage(account, soul, body) {
+  if (body.signature === undefined) return null;
+  return signatureTags(account.id, { signature: body.signature, keyId: body.signing_key_id }, body.encrypted ? null : soul);
+}
+
+// Client errors from a salvage as { status, body }, or null
+function salvageRejection(err) {
+  if (err.message.startsWith('Parent salvage not found') || err.message.startsWith('Invalid attachment')) {
+    return { status: 400, body: { error: err.message } };
+  }
+  if (err.message.startsWith('Lineage unknown')) {
+    return { status: 400, body: { error: err.message } };
+  }
+  if (err.message.startsWith('Invalid soul signature') || err.message.startsWith('Signing key not found')) {
+    return { status: 400, body: { error: err.message } };
+  }
+  if (err.message.startsWith('Payload too large')) {
+    return { status: 413, body: { error: err.message } };
+  }
+  if (err.message.startsWith('Quota exceeded')) {
+    return {
+      status: 429,
+      body: { error: err.message, hint: 'Upgrade to Pro for unlimited salvages', upgrade_url: '/api/v1/payments/create' }
+    };
+  }
+  if (err.message.startsWith('Encryption key required') || err.message.includes('X25519 key')) {
+    return { status: 400, body: { error: err.message } };
+  }
+  return null;
+}
+
+// Salvage options kept with a queued job (the soul is stored already validated; never keys or passphrases)
+const JOB_OPTIONS = [
+  'encrypted', 'agent_name', 'metadata', 'parent_tx_id', 'mode', 'redact', 'allowlist', 'signature', 'signing_key_id', 'force'
+];
+
+// Salvage and respond; resolves to the salvage result, or undefined if rejected
+async function handleSalvage(req, res, soul, body = req.body) {
+  const outcome = await runSalvage(req.account, soul, body);
+  res.status(outcome.status).json(outcome.body);
+  return outcome.result;
+}
+
+// Salvage honouring Idempotency-Key and async requests ("async": true or Prefer: respond-async)
+// A repeated key gets the original response back instead of a second transaction.
+async function salvageRequest(req, res, soul) {
+  const key = req.get('Idempotency-Key');
+  const wantsAsync = req.body.async === true || /\brespond-async\b/.test(req.get('Prefer') || '');
+  if (!key && !wantsAsync) return handleSalvage(req, res, soul);
+
+  try {
+    const requestHash = hashRequest(req.path, req.body);
+    if (key) {
+      const existing = await findIdempotentJob(req.account.id, key, requestHash);
+      if (existing) return replayJob(res, existing);
+    }
+
+    if (wantsAsync) {
+      // Rejected up front, as it would be synchronously; limits are checked again when the job runs
+      const prepared = prepareSalvage(soul, req.body);
+      if (prepared.error) return res.status(prepared.error.status).json(prepared.error.body);
+      let request;
+      try {
+        signSalvage(req.account, prepared.soul, req.body);
+        reserveSalvage(req.account, (req.body.mode || 'full') === 'full' ? prepared.payloadSize : null)();
+
+        const options = Object.fromEntries(JOB_OPTIONS.filter(k => req.body[k] !== undefined).map(k => [k, req.body[k]]));
+        // Server-side encryption happens now, so the job never holds the key
+        request = req.body.encryption
+          ? { body: { ...options, encrypted: await encryptSoul(prepared.soul, req.body.encryption) } }
+          : { soul: prepared.soul, body: options };
+      } catch (err) {
+        const rejection = salvageRejection(err);
+        if (rejection) return res.status(rejection.status).json(rejection.body);
+        throw err;
+      }
+
+      const job = await createJob(req.account.id, { type: 'salvage', idempotencyKey: key, requestHash, request });
+      return res.status(202).location(`/api/v1/jobs/${job.id}`).json({
+        success: true,
+        job: formatJob(job),
+        message: `Salvage queued — follow GET /api/v1/jobs/${job.id}`
+      });
+    }
+
+    // Synchronous with a key: the job row holds the key (and its lease) while the salvage runs
+    const job = await createJob(req.account.id, { type: 'salvage', idempotencyKey: key, requestHash, sync: true });
+    const hold = holdJob(job.id);
+    let storedTxId = null;
+    let outcome;
+    try {
+      outcome = await runSalvage(req.account, soul, req.body, {
+        onProgress: hold.progress,
+        onStored: txId => { storedTxId = txId; hold.stored(txId); }
+      });
+    } finally {
+      hold.release();
+    }
+    // Server errors before anything was stored (e.g. a failed upload) give the key back for a retry
+    if (outcome.status >= 500 && !storedTxId) await discardJob(job.id);
+    else await completeJob(job.id, outcome);
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    jobError(res, err);
+  }
+}
+
+// Save soul to Arweave
+app.post('/api/v1/salvage', requireAuth('salvage:write'), (req, res) => salvageRequest(req, res, req.body.soul));
+
+// Import a workspace ({ path, content } files) as a soul and salvage it
+app.post('/api/v1/salvage/import', requireAuth('salvage:write'), (req, res) => {
+  let soul;
+  try {
+    soul = filesToSoul(req.body.files, { name: req.body.name });
+  } catch (err) {
+    return res.status(400).json({ error: 'Invalid workspace', details: [err.message] });
+  }
+  return salvageRequest(req, res, soul);
+});
+
+// Queued salvages (POST /api/v1/salvage with "async": true) run here
+registerJobHandler('salvage', async (job, { account, progress, stored }) => {
+  // An earlier attempt stored the soul before it was lost: answer with that salvage, never upload it again
+  if (job.txId) {
+    const record = await getSalvageRecord(job.txId);
+    if (!record) return { status: 500, body: { error: `Salvage ${job.txId} was stored but not recorded`, tx_id: job.txId } };
+    return {
+      status: 201,
+      body: {
+        success: true,
+        salvage: recordedSalvage(account, record, record.sizeBytes),
+        message: 'Soul stored by an earlier attempt of this job.'
+      }
+    };
+  }
+  return runSalvage(account, job.request.soul, job.request.body, { onProgress: progress, onStored: stored });
+});
+
+// A repeated Idempotency-Key: the original response, or the job it started
+function replayJob(res, job) {
+  res.set('Idempotent-Replayed', 'true');
+  if (!job.sync) return res.status(202).json({ success: true, job: formatJob(job) });
+  if (job.status === 'running') {
+    return res.status(409).json({ error: 'A request with this Idempotency-Key is still in progress' });
+  }
+  res.status(job.responseStatus).json(job.response);
+}
+
+// Progress of a queued salvage; `response` is what the synchronous request would have returned
+app.get('/api/v1/jobs/:jobId', requireAuth('salvage:read'), async (req, res) => {
+  try {
+    res.json({ success: true, job: formatJob(await getJob(req.account.id, req.params.jobId)) });
+  } catch (err) {
+    jobError(res, err);
   }
 });
 
+function jobError(res, err) {
+  if (err.message.startsWith('Invalid Idempotency-Key')) return res.status(400).json({ error: err.message });
+  if (err.message.startsWith('Idempotency-Key already used')) return res.status(422).json({ error: err.message });
+  if (err.message.startsWith('Idempotency-Key is already in use')) return res.status(409).json({ error: err.message });
+  if (err.message === 'Job not found') return res.status(404).json({ error: err.message });
+  console.error('[Jobs] Error:', err);
+  res.status(500).json({ error: err.message });
+}
+
+function formatJob(j) {
+  return {
+    id: j.id,
+    type: j.type,
+    status: j.status,
+    stage: j.stage,
+    attempts: j.attempts,
+    max_attempts: j.maxAttempts,
+    next_attempt_at: j.nextAttemptAt,
+    last_error: j.lastError,
+    tx_id: j.txId,
+    idempotency_key: j.idempotencyKey,
+    created_at: j.createdAt,
+    started_at: j.startedAt,
+    completed_at: j.completedAt,
+    response_status: j.responseStatus,
+    response: j.response
+  };
+}
+
+// Dry-run secret scan — nothing is salvaged
+app.post('/api/v1/scan', optionalAuth(), (req, res) => {
+  const { soul, allowlist, redact } = req.body;
+  if (!soul || typeof soul !== 'object') {
+    return res.status(400).json({ error: 'Soul must be a JSON object' });
+  }
+
+  const report = scanSoul(soul, { allowlist: allowlist || [] });
+  res.json({
+    success: true,
+    ...report,
+    ...(redact && { redacted_soul: redactSoul(soul, { allowlist: allowlist || [] }) })
+  });
+});
+
 // Retrieve a salvaged soul
-app.get('/api/v1/salvage/:txId', optionalAuth, async (req, res) => {
+app.get('/api/v1/salvage/:txId', optionalAuth('salvage:read'), async (req, res) => {
   try {
-    const result = await retrieveSalvage(req.params.txId);
+    await checkSalvageAccess(req.params.txId, req.account?.id);
+    const result = await retrieveSalvage(req.params.txId, { verify: true });
     res.json({ success: true, ...result });
+  } catch (err) {
+    if (err.message.includes('not found')) {
+      return res.status(404).json({ error: 'Salvage not found' });
+    }
+    if (err.message.startsWith('All gateways failed')) return res.status(502).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Confirmation status: submitted → pending → confirmed (n blocks), or dropped (re-posted) / failed
+app.get('/api/v1/salvage/:txId/status', optionalAuth('salvage:read'), async (req, res) => {
+  try {
+    await checkSalvageAccess(req.params.txId, req.account?.id);
+    res.json({ success: true, ...(await getSalvageStatus(req.params.txId)) });
   } catch (err) {
     if (err.message.includes('not found')) {
       return res.status(404).json({ error: 'Salvage not found' });
@@ -212,8 +910,73 @@ app.get('/api/v1/salvage/:txId', optionalAuth, async (req, res) => {
   }
 });
 
+// Lineage of a salvage, walked back to genesis
+app.get('/api/v1/salvage/:txId/history', optionalAuth('salvage:read'), async (req, res) => {
+  try {
+    await checkSalvageAccess(req.params.txId, req.account?.id);
+    const history = await getSalvageHistory(req.params.txId);
+    res.json({ success: true, ...history });
+  } catch (err) {
+    if (err.message.includes('not found')) {
+      return res.status(404).json({ error: 'Salvage not found' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Stream one attachment of a salvage (private souls: X-Decryption-Passphrase)
+app.get('/api/v1/salvage/:txId/attachments/*', optionalAuth('salvage:read'), async (req, res) => {
+  try {
+    await checkSalvageAccess(req.params.txId, req.account?.id);
+    const passphrase = req.headers['x-decryption-passphrase'];
+    const { attachment, data } = await getSalvageAttachment(req.params.txId, req.params[0], {
+      decryption: passphrase ? { passphrase } : undefined
+    });
+    res.setHeader('Content-Type', attachment.content_type);
+    res.setHeader('Content-Length', data.length);
+    if (attachment.sha256) res.setHeader('ETag', `"${attachment.sha256}"`);
+    res.send(data);
+  } catch (err) {
+    if (err.message.startsWith('Attachment not found')) {
+      return res.status(404).json({ error: err.message });
+    }
+    reviveError(res, err);
+  }
+});
+
+// Promote a demo salvage to permanent storage
+app.post('/api/v1/salvage/:txId/promote', requireAuth('salvage:write'), async (req, res) => {
+  try {
+    const a = req.account;
+    const result = await promoteDemoSalvage(req.params.txId, { id: a.id, name: a.name, type: a.type });
+    res.status(result.alreadyPromoted ? 200 : 201).json({
+      success: true,
+      salvage: {
+        tx_id: result.txId,
+        promoted_from: result.promotedFrom,
+        status: result.status,
+        storage: result.storage,
+        arweave_url: result.arweave_url,
+        size_bytes: result.size
+      },
+      message: result.alreadyPromoted ? 'Already promoted' : 'Demo salvage promoted'
+    });
+  } catch (err) {
+    if (err.message.includes('not found')) {
+      return res.status(404).json({ error: 'Salvage not found' });
+    }
+    if (err.message.startsWith('Promote base salvage')) {
+      return res.status(409).json({ error: err.message });
+    }
+    if (err.message.startsWith('Promotion requires')) {
+      return res.status(503).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // List own salvages
-app.get('/api/v1/salvages', requireAuth, async (req, res) => {
+app.get('/api/v1/salvages', requireAuth('salvage:read'), async (req, res) => {
   try {
     const { limit = 25, offset = 0 } = req.query;
     const salvages = await listSalvages(req.account.id, { limit: +limit, offset: +offset });
@@ -223,23 +986,190 @@ app.get('/api/v1/salvages', requireAuth, async (req, res) => {
   }
 });
 
+// ============================================================
+// UPLOADS - Chunked, resumable salvages for souls over the JSON body limit
+// ============================================================
+
+// Open a session: { total_bytes, sha256?, kind?: 'soul' | 'encrypted', ...salvage options }
+app.post('/api/v1/uploads', requireAuth('salvage:write'), async (req, res) => {
+  try {
+    const { total_bytes, sha256, kind, ...options } = req.body;
+    const upload = await createUpload(req.account.id, {
+      kind,
+      totalBytes: total_bytes,
+      sha256,
+      options,
+      maxBytes: getTier(req.account.tier).max_salvage_bytes
+    });
+    res.status(201).json({ success: true, upload: formatUpload(upload), max_chunk_bytes: MAX_CHUNK_BYTES });
+  } catch (err) {
+    uploadError(res, err);
+  }
+});
+
+// Session state — which chunks arrived, so a client can resume
+app.get('/api/v1/uploads/:uploadId', requireAuth('salvage:write'), async (req, res) => {
+  try {
+    res.json({ success: true, upload: formatUpload(await getUpload(req.account.id, req.params.uploadId)) });
+  } catch (err) {
+    uploadError(res, err);
+  }
+});
+
+// Upload chunk N (raw bytes, X-Chunk-SHA256: <hex sha256 of the chunk>)
+app.put('/api/v1/uploads/:uploadId/chunks/:index',
+  requireAuth('salvage:write'),
+  express.raw({ type: () => true, limit: MAX_CHUNK_BYTES }),
+  async (req, res) => {
+    try {
+      const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      const upload = await putChunk(req.account.id, req.params.uploadId, Number(req.params.index), data, req.headers['x-chunk-sha256']);
+      res.json({ success: true, upload: formatUpload(upload) });
+    } catch (err) {
+      uploadError(res, err);
+    }
+  });
+
+// Assemble, validate and salvage — body may carry { encryption } (never stored with the session)
+app.post('/api/v1/uploads/:uploadId/complete', requireAuth('salvage:write'), async (req, res) => {
+  let upload;
+  try {
+    let text;
+    ({ upload, text } = await assembleUpload(req.account.id, req.params.uploadId));
+
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch {
+      await reopenUpload(upload.id);
+      return res.status(400).json({ error: 'Uploaded payload is not valid JSON' });
+    }
+
+    const body = { ...upload.options, encryption: req.body.encryption };
+    if (upload.kind === 'encrypted') body.encrypted = payload;
+
+    const result = await handleSalvage(req, res, upload.kind === 'soul' ? payload : undefined, body);
+    if (result) await finishUpload(upload.id, result.txId);
+    else await reopenUpload(upload.id);
+  } catch (err) {
+    if (upload) await reopenUpload(upload.id);
+    uploadError(res, err);
+  }
+});
+
+// Abandon a session
+app.delete('/api/v1/uploads/:uploadId', requireAuth('salvage:write'), async (req, res) => {
+  try {
+    await abortUpload(req.account.id, req.params.uploadId);
+    res.json({ success: true });
+  } catch (err) {
+    uploadError(res, err);
+  }
+});
+
+function formatUpload(u) {
+  return {
+    id: u.id,
+    kind: u.kind,
+    status: u.status,
+    total_bytes: u.totalBytes,
+    received_bytes: u.receivedBytes,
+    sha256: u.sha256,
+    chunks: u.chunks,
+    created_at: u.createdAt,
+    expires_at: u.expiresAt,
+    tx_id: u.txId
+  };
+}
+
+function uploadError(res, err) {
+  if (err.message === 'Upload not found') return res.status(404).json({ error: err.message });
+  if (err.message === 'Upload session expired') return res.status(410).json({ error: err.message });
+  if (err.message.startsWith('Upload already') || err.message.startsWith('Upload is already')) {
+    return res.status(409).json({ error: err.message });
+  }
+  if (err.message.startsWith('Payload too large') || err.message.startsWith('Chunk too large')) {
+    return res.status(413).json({ error: err.message });
+  }
+  if (err.message.startsWith('Upload') || err.message.startsWith('Chunk')) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.status(500).json({ error: err.message });
+}
+
 // ============================================================
 // REVIVE - Restore from Arweave
 // ============================================================
 
 // Revive a soul (returns structured state ready for agent bootstrap)
-app.post('/api/v1/revive', optionalAuth, async (req, res) => {
+app.post('/api/v1/revive', requireAuth('revive'), async (req, res) => {
   try {
-    const { tx_id, format } = req.body;
+    const { tx_id, format, decryption } = req.body;
     if (!tx_id) return res.status(400).json({ error: 'Missing tx_id' });
+    await checkSalvageAccess(tx_id, req.account.id);
 
-    const result = await reviveFromSalvage(tx_id, { format: format || 'structured' });
+    if (format === 'tar.gz' || format === 'zip') {
+      return sendArchive(res, await reviveToArchive(tx_id, { archive: format, decryption, revivedBy: req.account.id }));
+    }
+
+    const result = await reviveFromSalvage(tx_id, { format: format || 'structured', decryption, revivedBy: req.account.id });
     res.json({ success: true, ...result });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    reviveError(res, err);
+  }
+});
+
+// Formats accepted by POST /api/v1/revive
+app.get('/api/v1/revive/formats', (req, res) => {
+  res.json({ success: true, formats: listFormats() });
+});
+
+// Download a revived workspace: curl -o agent.tar.gz .../revive/<tx_id>/workspace.tar.gz
+// Private souls: pass the passphrase in X-Decryption-Passphrase
+app.get('/api/v1/revive/:txId/workspace.:archive(tar.gz|zip)', requireAuth('revive'), async (req, res) => {
+  try {
+    await checkSalvageAccess(req.params.txId, req.account.id);
+    const passphrase = req.headers['x-decryption-passphrase'];
+    const archive = await reviveToArchive(req.params.txId, {
+      archive: req.params.archive,
+      decryption: passphrase ? { passphrase } : undefined,
+      revivedBy: req.account.id
+    });
+    sendArchive(res, archive);
+  } catch (err) {
+    reviveError(res, err);
   }
 });
 
+function sendArchive(res, { filename, contentType, retrieval, provenance, stream }) {
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  if (retrieval?.cache) res.setHeader('X-Salvage-Cache', retrieval.cache);
+  res.setHeader('X-Salvage-Provenance', provenance.status);
+  stream.on('error', err => {
+    console.error('[REVIVE] Archive stream failed:', err.message);
+    res.destroy(err);
+  });
+  stream.pipe(res);
+}
+
+function reviveError(res, err) {
+  if (err.message.startsWith('Decryption failed')) {
+    return res.status(403).json({ error: err.message });
+  }
+  if (err.message.includes('encrypted') || err.message.includes('X25519 key') || err.message.startsWith('Invalid envelope')) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (err.message.startsWith('Unsupported archive type') || err.message.startsWith('Unknown revive format')) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (err.message.startsWith('Salvage not found')) {
+    return res.status(404).json({ error: err.message });
+  }
+  if (err.message.startsWith('All gateways failed')) return res.status(502).json({ error: err.message });
+  res.status(500).json({ error: err.message });
+}
+
 // ============================================================
 // PAYMENTS - Multi-currency
 // ============================================================
@@ -250,7 +1180,7 @@ app.get('/api/v1/payments/methods', (req, res) => {
 });
 
 // Create payment intent (Stripe for USD, or crypto instructions)
-app.post('/api/v1/payments/create', requireAuth, async (req, res) => {
+app.post('/api/v1/payments/create', requireAuth('payments'), async (req, res) => {
   try {
     const { currency, tier } = req.body;
     if (!currency) return res.status(400).json({ error: 'Missing currency' });
@@ -266,21 +1196,31 @@ app.post('/api/v1/payments/create', requireAuth, async (req, res) => {
     
     res.json({ success: true, payment });
   } catch (err) {
+    if (err.message.startsWith('Price unavailable') || err.message.startsWith('Too many open')) {
+      return res.status(503).json({ error: err.message });
+    }
     res.status(500).json({ error: err.message });
   }
 });
 
 // Verify crypto payment
-app.post('/api/v1/payments/verify', requireAuth, async (req, res) => {
+app.post('/api/v1/payments/verify', requireAuth('payments'), async (req, res) => {
   try {
     const { payment_id, tx_signature } = req.body;
     if (!payment_id || !tx_signature) {
       return res.status(400).json({ error: 'Missing payment_id or tx_signature' });
     }
 
-    const result = await verifyPayment({ paymentId: payment_id, txSignature: tx_signature });
+    const result = await verifyPayment({ accountId: req.account.id, paymentId: payment_id, txSignature: tx_signature });
+    if (result.requoted) return res.status(409).json({ success: false, error: 'Quote expired', ...result });
     res.json({ success: true, ...result });
   } catch (err) {
+    if (err.message === 'Payment not found') return res.status(404).json({ error: err.message });
+    if (err.message.startsWith('Transaction already used') || err.message.startsWith('Payment already confirmed')) {
+      return res.status(409).json({ error: err.message });
+    }
+    if (err.message.startsWith('Payment verification failed')) return res.status(400).json({ error: err.message });
+    if (err.message.startsWith('Chain lookup failed')) return res.status(502).json({ error: err.message });
     res.status(500).json({ error: err.message });
   }
 });
@@ -289,36 +1229,85 @@ app.post('/api/v1/payments/verify', requireAuth, async (req, res) => {
 // UTILITIES
 // ============================================================
 
-function isNewMonth(lastDate) {
-  if (!lastDate) return true;
-  const last = new Date(lastDate);
-  const now = new Date();
-  return last.getMonth() !== now.getMonth() || last.getFullYear() !== now.getFullYear();
-}
-
 // Landing page
 app.get('/', (req, res) => {
   res.redirect('/ui');
 });
 
+// Body parsing errors (an oversized upload chunk, malformed JSON) get the same JSON shape as every other error
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: `Request body too large (max ${err.limit} bytes)` });
+  }
+  if (err.status >= 400 && err.status < 500 && err.expose) return res.status(err.status).json({ error: err.message });
+  console.error('[Server] Error:', err);
+  res.status(500).json({ error: err.message });
+});
+
 // ============================================================
 // START
 // ============================================================
 
+// Abandoned upload sessions
+setInterval(() => {
+  purgeExpiredUploads()
+    .then(({ removed }) => removed && console.log(`[Uploads] Purged ${removed} expired upload session(s)`))
+    .catch(err => console.error('[Uploads] Purge failed:', err));
+}, 3_600_000).unref();
+
+// Lapsed subscriptions and expired crypto periods
+setInterval(() => {
+  expireLapsedTiers().catch(err => console.error('[Payment] Tier expiry check failed:', err));
+}, 3_600_000).unref();
+
+// Queued salvages: retries that have come due, and jobs lost to a restart
+setInterval(() => {
+  processJobs().catch(err => console.error('[Jobs] Run failed:', err));
+}, 15_000).unref();
+
+// Finished jobs (and their idempotency keys)
+setInterval(() => {
+  purgeJobs()
+    .then(({ removed }) => removed && console.log(`[Jobs] Purged ${removed} finished job(s)`))
+    .catch(err => console.error('[Jobs] Purge failed:', err));
+}, 3_600_000).unref();
+
+// Arweave salvages not yet final: confirmations, dropped transactions
+setInterval(() => {
+  pollSalvageStatuses().catch(err => console.error('[Salvage] Status poll failed:', err));
+}, (parseInt(process.env.ARWEAVE_POLL_SECONDS, 10) || 120) * 1000).unref();
+
+// Webhook retries that have come due
+setInterval(() => {
+  deliverDue().catch(err => console.error('[Webhooks] Delivery run failed:', err));
+}, 30_000).unref();
+
+// Demo salvage cleanup (only when DEMO_TTL_HOURS is set)
+if (process.env.DEMO_TTL_HOURS) {
+  setInterval(() => {
+    purgeDemoSalvages()
+      .then(({ removed }) => removed && console.log(`[Salvage] Purged ${removed} expired demo salvage(s)`))
+      .catch(err => console.error('[Salvage] Demo purge failed:', err));
+  }, 3_600_000).unref();
+}
+
+// Listen when run directly (npm start); tests require the app and listen themselves
 const port = process.env.PORT || 3000;
-app.listen(port, '0.0.0.0', () => {
-  console.log(`
+if (require.main === module) {
+  app.listen(port, '0.0.0.0', () => {
+    console.log(`
 ╔═══════════════════════════════════════════╗
 ║          NEURAL SALVAGE SERVICE           ║
 ╠═══════════════════════════════════════════╣
 ║  Port: ${port}                                ║
-║  Arweave: ${process.env.ARWEAVE_WALLET_JSON ? 'Connected' : 'Demo mode'}                      ║
+║  Storage: ${getStorage().canWrite() ? getStorage().name : 'Demo mode'}                      ║
 ║  Stripe: ${process.env.STRIPE_SECRET_KEY ? 'Connected' : 'Not configured'}                     ║
 ║  Solana: ${process.env.SOLANA_RPC_URL ? 'Custom RPC' : 'Mainnet default'}                    ║
 ║                                           ║
 ║  Docs: /api/v1/info                       ║
 ╚═══════════════════════════════════════════╝
-  `);
-});
+    `);
+  });
+}
 
 module.exports = app;
@@ -0,0 +1,179 @@
+// src/archive.js: tar.gz and zip writers for revived workspaces
+// Dependency-free; entries are generated lazily so the result can be piped to a response
+const zlib = require('zlib');
+const { Readable } = require('stream');
+
+const BLOCK = 512;
+
+// ---------- tar (ustar, with pax headers for long paths) ----------
+
+function octal(value, length) {
+  return value.toString(8).padStart(length - 1, '0') + '\0';
+}
+
+function tarHeader({ name, size, mtime, type = '0', prefix = '' }) {
+  const header = Buffer.alloc(BLOCK);
+  header.write(name, 0, 100, 'utf8');
+  header.write(octal(0o644, 8), 100, 8, 'ascii');
+  header.write(octal(0, 8), 108, 8, 'ascii');
+  header.write(octal(0, 8), 116, 8, 'ascii');
+  header.write(octal(size, 12), 124, 12, 'ascii');
+  header.write(octal(mtime, 12), 136, 12, 'ascii');
+  header.write('        ', 148, 8, 'ascii'); // checksum placeholder
+  header.write(type, 156, 1, 'ascii');
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+  header.write(prefix, 345, 155, 'utf8');
+
+  let sum = 0;
+  for (const byte of header) sum += byte;
+  header.write(octal(sum, 7) + ' ', 148, 8, 'ascii');
+  return header;
+}
+
+function padding(size) {
+  const rest = size % BLOCK;
+  return rest ? Buffer.alloc(BLOCK - rest) : Buffer.alloc(0);
+}
+
+// Split a path into ustar prefix/name, or null if it needs a pax header
+function splitPath(path) {
+  if (Buffer.byteLength(path) <= 100) return { name: path, prefix: '' };
+  for (let i = path.lastIndexOf('/'); i > 0; i = path.lastIndexOf('/', i - 1)) {
+    const prefix = path.slice(0, i);
+    const name = path.slice(i + 1);
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(name) <= 100) return { name, prefix };
+  }
+  return null;
+}
+
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  let length = Buffer.byteLength(body) + 1;
+  while (String(length).length + Buffer.byteLength(body) !== length) length++;
+  return `${length}${body}`;
+}
+
+function* tarEntries(files, mtime) {
+  for (const { path, content } of files) {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    let split = splitPath(path);
+
+    if (!split) {
+      const pax = Buffer.from(paxRecord('path', path), 'utf8');
+      yield tarHeader({ name: 'PaxHeader', size: pax.length, mtime, type: 'x' });
+      yield pax;
+      yield padding(pax.length);
+      split = { name: path.slice(-100), prefix: '' };
+    }
+
+    yield tarHeader({ name: split.name, prefix: split.prefix, size: data.length, mtime });
+    yield data;
+    yield padding(data.length);
+  }
+  yield Buffer.alloc(BLOCK * 2); // end-of-archive marker
+}
+
+/**
+ * Stream a gzipped tarball of [{ path, content }]
+ */
+function tarGzStream(files) {
+  const mtime = Math.floor(Date.now() / 1000);
+  return Readable.from(tarEntries(files, mtime)).pipe(zlib.createGzip());
+}
+
+// ---------- zip ----------
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+function* zipEntries(files, now) {
+  const { time, day } = dosDateTime(now);
+  const central = [];
+  let offset = 0;
+
+  for (const { path, content } of files) {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const name = Buffer.from(path, 'utf8');
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);         // version needed
+    local.writeUInt16LE(0x0800, 6);     // UTF-8 names
+    local.writeUInt16LE(8, 8);          // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);         // version made by
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x0800, 8);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt16LE(time, 12);
+    entry.writeUInt16LE(day, 14);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(name.length, 28);
+    entry.writeUInt32LE((0o100644 << 16) >>> 0, 38); // external attrs: regular file, rw-r--r--
+    entry.writeUInt32LE(offset, 42);
+    central.push(Buffer.concat([entry, name]));
+
+    yield local;
+    yield name;
+    yield compressed;
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const directory = Buffer.concat(central);
+  yield directory;
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(central.length, 8);
+  end.writeUInt16LE(central.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  yield end;
+}
+
+/**
+ * Stream a zip of [{ path, content }]
+ */
+function zipStream(files) {
+  return Readable.from(zipEntries(files, new Date()));
+}
+
+const ARCHIVE_TYPES = {
+  'tar.gz': { contentType: 'application/gzip', stream: tarGzStream },
+  zip: { contentType: 'application/zip', stream: zipStream }
+};
+
+module.exports = { tarGzStream, zipStream, ARCHIVE_TYPES };
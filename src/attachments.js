@@ -0,0 +1,149 @@
+// src/attachments.js: Binary attachments stored as their own transactions
+// Content-addressed (sha256) and deduplicated per storage driver; a path
+// manifest ties a salvage's soul JSON and its attachments together
+const crypto = require('crypto');
+const { getDb } = require('./db');
+
+const MANIFEST_CONTENT_TYPE = 'application/x.arweave-manifest+json';
+const ATTACHMENT_SCHEMA = 'neural-salvage-attachment';
+const MANIFEST_SCHEMA = 'neural-salvage-manifest';
+const SOUL_PATH = 'soul.json';
+
+const sha256 = buffer => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Strict base64: Buffer.from() silently skips invalid characters
+function decodeBase64(str) {
+  const clean = str.replace(/\s+/g, '');
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(clean) || clean.length % 4 !== 0) return null;
+  return Buffer.from(clean, 'base64');
+}
+
+/**
+ * Inline attachments ({ path, content_type, data: base64 }) still to be uploaded
+ */
+function pendingAttachments(soul) {
+  return (Array.isArray(soul?.attachments) ? soul.attachments : []).filter(a => typeof a.data === 'string');
+}
+
+/**
+ * Upload one attachment, or reuse an earlier transaction with the same bytes
+ * and content type on this storage driver
+ */
+async function storeAttachment(storage, { data, contentType, tags = {} }) {
+  const hash = sha256(data);
+  const db = getDb();
+
+  const existing = db.prepare('SELECT tx_id FROM attachments WHERE storage = ? AND sha256 = ? AND content_type = ?')
+    .get(storage.name, hash, contentType);
+  // Local stores can be purged or wiped, so only trust the record if the tx is still there
+  if (existing && (storage.permanent || (await storage.status(existing.tx_id)).status !== 'not_found')) {
+    return { txId: existing.tx_id, sha256: hash, deduplicated: true };
+  }
+
+  const { id } = await storage.put(data, {
+    'Content-Type': contentType,
+    'App-Name': 'Neural-Salvage',
+    'Schema': ATTACHMENT_SCHEMA,
+    'SHA-256': hash,
+    ...tags
+  });
+
+  db.prepare(`
+    INSERT INTO attachments (storage, sha256, content_type, tx_id, size_bytes, created_at) VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT (storage, sha256, content_type) DO UPDATE SET tx_id = excluded.tx_id, created_at = excluded.created_at
+  `).run(storage.name, hash, contentType, id, data.length, new Date().toISOString());
+
+  return { txId: id, sha256: hash, deduplicated: false };
+}
+
+/**
+ * Upload a soul's inline attachments and return a copy of the soul where each
+ * one is a reference: { path, content_type, size_bytes, sha256, tx_id }
+ */
+async function storeAttachments(storage, soul, tags = {}) {
+  if (!pendingAttachments(soul).length) return { soul, stored: [] };
+
+  const stored = [];
+  const attachments = [];
+  for (const [i, a] of soul.attachments.entries()) {
+    if (typeof a.data !== 'string') {
+      attachments.push(a);
+      continue;
+    }
+
+    const data = decodeBase64(a.data);
+    if (!data) throw new Error(`Invalid attachment: soul.attachments[${i}].data is not valid base64`);
+
+    const { txId, sha256: hash, deduplicated } = await storeAttachment(storage, { data, contentType: a.content_type, tags });
+    const ref = { path: a.path, content_type: a.content_type, size_bytes: data.length, sha256: hash, tx_id: txId };
+    attachments.push(ref);
+    stored.push({ ...ref, deduplicated });
+  }
+
+  return { soul: { ...soul, attachments }, stored };
+}
+
+/**
+ * Write an Arweave path manifest: soul.json (the index) plus attachments/<path>
+ */
+async function writeManifest(storage, soulTxId, attachments, tags = {}) {
+  const paths = { [SOUL_PATH]: { id: soulTxId } };
+  for (const a of attachments) {
+    if (a.tx_id) paths[`attachments/${a.path}`] = { id: a.tx_id };
+  }
+
+  const manifest = { manifest: 'arweave/paths', version: '0.2.0', index: { path: SOUL_PATH }, paths };
+  const { id } = await storage.put(JSON.stringify(manifest), {
+    'Content-Type': MANIFEST_CONTENT_TYPE,
+    'App-Name': 'Neural-Salvage',
+    'Schema': MANIFEST_SCHEMA,
+    'Salvage-Tx': soulTxId,
+    ...tags
+  });
+  return id;
+}
+
+/**
+ * Soul transaction a manifest points at, or null if `tags`/`payload` aren't a manifest
+ */
+function manifestTarget(tags, payload) {
+  if (tags['Content-Type'] !== MANIFEST_CONTENT_TYPE) return null;
+  return payload?.paths?.[payload.index?.path]?.id || null;
+}
+
+/**
+ * Re-upload attachment references that live in `from` (demo storage) into `to`
+ */
+async function copyAttachments(from, to, attachments) {
+  if (!Array.isArray(attachments)) return attachments;
+
+  return Promise.all(attachments.map(async a => {
+    if (!a.tx_id || !a.tx_id.startsWith('demo-')) return a;
+    const data = await from.get(a.tx_id);
+    const { txId } = await storeAttachment(to, { data, contentType: a.content_type });
+    return { ...a, tx_id: txId };
+  }));
+}
+
+/**
+ * Find an attachment in a (resolved) soul by path
+ */
+function findAttachment(soul, attachmentPath) {
+  const attachment = (Array.isArray(soul?.attachments) ? soul.attachments : []).find(a => a.path === attachmentPath);
+  if (!attachment) throw new Error(`Attachment not found: ${attachmentPath}`);
+  return attachment;
+}
+
+/**
+ * Bytes of an attachment — fetched by reference, or decoded when it's still
+ * inline (attachments of private souls stay inside the encrypted soul)
+ */
+async function loadAttachment(storage, attachment) {
+  if (typeof attachment.data === 'string') return decodeBase64(attachment.data) || Buffer.alloc(0);
+  return storage.get(attachment.tx_id);
+}
+
+module.exports = {
+  pendingAttachments, storeAttachments, writeManifest, manifestTarget, copyAttachments, findAttachment,
+  loadAttachment, MANIFEST_CONTENT_TYPE
+};
@@ -1,133 +1,366 @@
 // src/auth.js: Account management and API key authentication
-// Uses a JSON file for now — swap to Firebase/Postgres when ready
-const fs = require('fs');
-const path = require('path');
+// Backed by SQLite (src/db.js) — keys are looked up by hash, updates are atomic
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const { getDb, transaction } = require('./db');
+const { emitTierChange } = require('./webhooks');
 
-const DB_PATH = path.join(__dirname, '..', 'data', 'accounts.json');
+/**
+ * API key scopes; '*' grants all of them (the key issued at registration has '*')
+ */
+const SCOPES = ['salvage:write', 'salvage:read', 'revive', 'payments', 'account:admin'];
 
-// Ensure data directory exists
-function ensureDb() {
-  const dir = path.dirname(DB_PATH);
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-  if (!fs.existsSync(DB_PATH)) fs.writeFileSync(DB_PATH, '{}');
+function generateApiKey() {
+  return 'ns_' + crypto.randomBytes(32).toString('hex');
 }
 
-function readDb() {
-  ensureDb();
-  return JSON.parse(fs.readFileSync(DB_PATH, 'utf8'));
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
 }
 
-function writeDb(data) {
-  ensureDb();
-  fs.writeFileSync(DB_PATH, JSON.stringify(data, null, 2));
+function rowToAccount(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    type: row.type,
+    description: row.description,
+    metadata: JSON.parse(row.metadata || '{}'),
+    tier: row.tier,
+    salvageCount: row.salvage_count,
+    totalBytes: row.total_bytes,
+    createdAt: row.created_at,
+    lastSalvage: row.last_salvage,
+    upgradedAt: row.upgraded_at,
+    keyRotatedAt: row.key_rotated_at,
+    billingProvider: row.billing_provider,
+    currentPeriodEnd: row.current_period_end,
+    subscription: row.stripe_subscription_id ? {
+      provider: 'stripe',
+      id: row.stripe_subscription_id,
+      customerId: row.stripe_customer_id,
+      tier: row.subscription_tier,
+      status: row.subscription_status,
+      graceUntil: row.grace_until
+    } : null
+  };
 }
 
-function generateApiKey() {
-  return 'ns_' + crypto.randomBytes(32).toString('hex');
+function rowToKey(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    label: row.label,
+    scopes: JSON.parse(row.scopes),
+    prefix: row.key_prefix,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at
+  };
 }
 
-function hashKey(key) {
-  return crypto.createHash('sha256').update(key).digest('hex');
+/**
+ * Whether a key (from authenticate) grants a scope
+ */
+function hasScope(key, scope) {
+  return key.scopes.includes('*') || key.scopes.includes(scope);
+}
+
+// Validate { label, scopes, expiresAt } for a new key
+function keyOptions({ label = 'default', scopes = ['*'], expiresAt = null } = {}) {
+  if (typeof label !== 'string' || !label.trim() || label.length > 64) {
+    throw new Error('Key label must be a non-empty string of at most 64 characters');
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new Error(`Key scopes must be a non-empty array of: ${SCOPES.join(', ')} (or "*")`);
+  }
+  const unknown = scopes.find(s => s !== '*' && !SCOPES.includes(s));
+  if (unknown !== undefined) throw new Error(`Unknown scope: ${unknown}`);
+
+  if (expiresAt !== null) {
+    const date = new Date(expiresAt);
+    if (isNaN(date) || date <= new Date()) throw new Error('Key expires_at must be a future ISO 8601 date');
+    expiresAt = date.toISOString();
+  }
+
+  return { label: label.trim(), scopes: [...new Set(scopes)], expiresAt };
+}
+
+// Insert a key row (inside the caller's transaction); returns the raw key
+function insertKey(db, accountId, { label, scopes, expiresAt }, now) {
+  const apiKey = generateApiKey();
+  db.prepare(`
+    INSERT INTO api_keys (id, account_id, key_hash, key_prefix, label, scopes, expires_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(uuidv4(), accountId, hashKey(apiKey), apiKey.slice(0, 11), label, JSON.stringify(scopes), expiresAt, now);
+  return apiKey;
+}
+
+function rowToSalvage(row) {
+  if (!row) return null;
+  return {
+    txId: row.tx_id,
+    accountId: row.account_id,
+    agentName: row.agent_name,
+    parentTxId: row.parent_tx_id,
+    generation: row.generation,
+    sizeBytes: row.size_bytes,
+    createdAt: row.created_at,
+    promotedTo: row.promoted_to,
+    promotedAt: row.promoted_at,
+    manifestTxId: row.manifest_tx_id,
+    status: row.status,
+    confirmations: row.confirmations,
+    blockHeight: row.block_height,
+    submittedAt: row.submitted_at,
+    confirmedAt: row.confirmed_at,
+    checkedAt: row.checked_at,
+    reposts: row.reposts,
+    statusError: row.status_error,
+    soulSha256: row.soul_sha256,
+    signer: row.signer
+  };
 }
 
 /**
  * Create a new account (agent or human)
  */
 async function createAccount({ name, type, description, metadata }) {
-  const db = readDb();
-  
-  // Check for duplicate names
-  const existing = Object.values(db).find(a => a.name.toLowerCase() === name.toLowerCase());
-  if (existing) throw new Error(`Account "${name}" already exists`);
-
-  const apiKey = generateApiKey();
   const id = uuidv4();
+  const now = new Date().toISOString();
+  let apiKey;
 
-  db[id] = {
-    id,
-    name,
-    type, // 'agent' or 'human'
-    description: description || '',
-    metadata: metadata || {},
-    tier: 'free',
-    apiKeyHash: hashKey(apiKey),
-    salvageCount: 0,
-    totalBytes: 0,
-    createdAt: new Date().toISOString(),
-    lastSalvage: null,
-    salvageTxIds: []
-  };
+  try {
+    transaction(() => {
+      const db = getDb();
+      db.prepare(`
+        INSERT INTO accounts (id, name, name_lower, type, description, metadata, tier, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, 'free', ?)
+      `).run(id, name, name.toLowerCase(), type, description || '', JSON.stringify(metadata || {}), now);
 
-  writeDb(db);
+      apiKey = insertKey(db, id, keyOptions(), now);
+    });
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') throw new Error(`Account "${name}" already exists`);
+    throw err;
+  }
 
-  return { ...db[id], apiKey }; // Return unhashed key only on creation
+  return { ...(await getAccount(id)), apiKey }; // Return unhashed key only on creation
 }
 
 /**
  * Authenticate by API key
+ * Returns the account with the key that was used as `account.key`, or null
+ * for unknown, revoked or expired keys.
  */
 async function authenticate(apiKey) {
   if (!apiKey || !apiKey.startsWith('ns_')) return null;
-  
-  const db = readDb();
-  const keyHash = hashKey(apiKey);
-  
-  return Object.values(db).find(a => a.apiKeyHash === keyHash) || null;
+
+  const db = getDb();
+  const key = db.prepare('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL').get(hashKey(apiKey));
+  const now = new Date().toISOString();
+  if (!key || (key.expires_at && key.expires_at <= now)) return null;
+
+  db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').run(now, key.id);
+
+  const account = await getAccount(key.account_id);
+  return account && { ...account, key: rowToKey({ ...key, last_used_at: now }) };
+}
+
+/**
+ * Issue an additional key for an account
+ * options: { label, scopes, expiresAt } — returns the key record plus the raw
+ * `apiKey` (only ever returned here)
+ */
+async function createApiKey(accountId, options) {
+  const opts = keyOptions(options);
+  const now = new Date().toISOString();
+  let apiKey;
+
+  transaction(() => {
+    const db = getDb();
+    if (!db.prepare('SELECT 1 FROM accounts WHERE id = ?').get(accountId)) throw new Error('Account not found');
+    apiKey = insertKey(db, accountId, opts, now);
+  });
+
+  return { ...rowToKey(getDb().prepare('SELECT * FROM api_keys WHERE key_hash = ?').get(hashKey(apiKey))), apiKey };
+}
+
+/**
+ * All keys of an account (including revoked ones), newest first — never the hashes
+ */
+async function listApiKeys(accountId) {
+  return getDb().prepare('SELECT * FROM api_keys WHERE account_id = ? ORDER BY created_at DESC, rowid DESC')
+    .all(accountId).map(rowToKey);
+}
+
+/**
+ * Revoke one key
+ * Refuses to revoke the account's last usable key with account:admin, which
+ * would leave nothing able to manage keys.
+ */
+async function revokeApiKey(accountId, keyId) {
+  const now = new Date().toISOString();
+
+  transaction(() => {
+    const db = getDb();
+    const row = db.prepare('SELECT * FROM api_keys WHERE id = ? AND account_id = ?').get(keyId, accountId);
+    if (!row) throw new Error('API key not found');
+    if (row.revoked_at) return;
+
+    const active = db.prepare(`
+      SELECT * FROM api_keys
+      WHERE account_id = ? AND id != ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+    `).all(accountId, keyId, now).map(rowToKey);
+    if (hasScope(rowToKey(row), 'account:admin') && !active.some(k => hasScope(k, 'account:admin'))) {
+      throw new Error('Cannot revoke the last key with account:admin scope');
+    }
+
+    db.prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ?').run(now, keyId);
+  });
+
+  return rowToKey(getDb().prepare('SELECT * FROM api_keys WHERE id = ?').get(keyId));
 }
 
 /**
  * Get account by ID
  */
 async function getAccount(id) {
-  const db = readDb();
-  return db[id] || null;
+  return rowToAccount(getDb().prepare('SELECT * FROM accounts WHERE id = ?').get(id));
 }
 
 /**
  * Update account after salvage
+ * `details` carries the lineage record: { agentName, parentTxId, generation, manifestTxId }
+ * and what identifies the content: { soulSha256, signer }
+ */
+async function recordSalvage(accountId, txId, sizeBytes, details = {}) {
+  const now = new Date().toISOString();
+
+  transaction(() => {
+    const db = getDb();
+    const result = db.prepare(`
+      UPDATE accounts
+      SET salvage_count = salvage_count + 1, total_bytes = total_bytes + ?, last_salvage = ?
+      WHERE id = ?
+    `).run(sizeBytes, now, accountId);
+    if (result.changes === 0) throw new Error('Account not found');
+
+    db.prepare(`
+      INSERT INTO salvages (tx_id, account_id, agent_name, parent_tx_id, generation, size_bytes, created_at, manifest_tx_id,
+        status, submitted_at, soul_sha256, signer)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(txId, accountId, details.agentName || null, details.parentTxId || null,
+      details.generation || 1, sizeBytes, now, details.manifestTxId || null, details.status || 'submitted', now,
+      details.soulSha256 || null, details.signer || null);
+  });
+
+  return getAccount(accountId);
+}
+
+/**
+ * Mark a demo salvage as promoted to permanent storage
+ */
+async function recordPromotion(accountId, demoTxId, txId) {
+  const result = getDb().prepare(`
+    UPDATE salvages SET promoted_to = ?, promoted_at = ?
+    WHERE tx_id = ? AND account_id = ?
+  `).run(txId, new Date().toISOString(), demoTxId, accountId);
+  if (result.changes === 0) throw new Error('Salvage not found');
+
+  return getSalvageRecord(demoTxId);
+}
+
+/**
+ * Find the local lineage record for a salvage (any account)
+ */
+async function getSalvageRecord(txId) {
+  return rowToSalvage(getDb().prepare('SELECT * FROM salvages WHERE tx_id = ?').get(txId));
+}
+
+/**
+ * Salvage record for the soul a path manifest indexes
  */
-async function recordSalvage(accountId, txId, sizeBytes) {
-  const db = readDb();
-  if (!db[accountId]) throw new Error('Account not found');
-  
-  db[accountId].salvageCount++;
-  db[accountId].totalBytes += sizeBytes;
-  db[accountId].lastSalvage = new Date().toISOString();
-  db[accountId].salvageTxIds.push(txId);
-  
-  writeDb(db);
-  return db[accountId];
+async function getSalvageRecordByManifest(manifestTxId) {
+  return rowToSalvage(getDb().prepare('SELECT * FROM salvages WHERE manifest_tx_id = ?').get(manifestTxId));
+}
+
+/**
+ * Latest salvage of a given agent name for an account
+ */
+async function getLatestSalvage(accountId, agentName) {
+  return rowToSalvage(getDb().prepare(`
+    SELECT * FROM salvages WHERE account_id = ? AND agent_name = ?
+    ORDER BY rowid DESC LIMIT 1
+  `).get(accountId, agentName));
+}
+
+/**
+ * An account's salvages of a soul with this canonical hash and signer, newest first
+ */
+async function findSalvagesByHash(accountId, soulSha256, signer = null) {
+  return getDb().prepare(`
+    SELECT * FROM salvages WHERE account_id = ? AND soul_sha256 = ? AND signer IS ?
+    ORDER BY rowid DESC
+  `).all(accountId, soulSha256, signer).map(rowToSalvage);
+}
+
+/**
+ * Page through an account's salvages, newest first
+ */
+async function listSalvageRecords(accountId, { limit = 25, offset = 0 } = {}) {
+  const db = getDb();
+  const rows = db.prepare(`
+    SELECT * FROM salvages WHERE account_id = ?
+    ORDER BY rowid DESC LIMIT ? OFFSET ?
+  `).all(accountId, limit, offset);
+  const { total } = db.prepare('SELECT COUNT(*) AS total FROM salvages WHERE account_id = ?').get(accountId);
+
+  return { records: rows.map(rowToSalvage), total };
 }
 
 /**
  * Upgrade account tier
+ * A tier set by hand isn't paid through a provider: any crypto period or Stripe grace period is
+ * cleared, so expireLapsedTiers doesn't take it away when the old one ends.
  */
 async function upgradeTier(accountId, tier) {
-  const db = readDb();
-  if (!db[accountId]) throw new Error('Account not found');
-  
-  db[accountId].tier = tier;
-  db[accountId].upgradedAt = new Date().toISOString();
-  
-  writeDb(db);
-  return db[accountId];
-}
-
-/**
- * Rotate API key
- */
-async function rotateKey(accountId) {
-  const db = readDb();
-  if (!db[accountId]) throw new Error('Account not found');
-  
-  const newKey = generateApiKey();
-  db[accountId].apiKeyHash = hashKey(newKey);
-  db[accountId].keyRotatedAt = new Date().toISOString();
-  
-  writeDb(db);
+  const db = getDb();
+  const previous = db.prepare('SELECT tier FROM accounts WHERE id = ?').get(accountId);
+  if (!previous) throw new Error('Account not found');
+  db.prepare(`
+    UPDATE accounts SET tier = ?, upgraded_at = ?, billing_provider = NULL, current_period_end = NULL, grace_until = NULL WHERE id = ?
+  `).run(tier, new Date().toISOString(), accountId);
+  emitTierChange(accountId, previous.tier, tier, 'manual');
+
+  return getAccount(accountId);
+}
+
+/**
+ * Rotate one API key: it's revoked and replaced by a new key with the same
+ * label, scopes and expiry. The account's other keys keep working.
+ */
+async function rotateKey(accountId, keyId) {
+  const now = new Date().toISOString();
+  let newKey;
+
+  transaction(() => {
+    const db = getDb();
+    const row = db.prepare('SELECT * FROM api_keys WHERE id = ? AND account_id = ? AND revoked_at IS NULL')
+      .get(keyId, accountId);
+    if (!row) throw new Error('API key not found');
+
+    db.prepare('UPDATE accounts SET key_rotated_at = ? WHERE id = ?').run(now, accountId);
+    db.prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ?').run(now, keyId);
+    newKey = insertKey(db, accountId, { label: row.label, scopes: JSON.parse(row.scopes), expiresAt: row.expires_at }, now);
+  });
+
   return newKey;
 }
 
-module.exports = { createAccount, authenticate, getAccount, recordSalvage, upgradeTier, rotateKey };
+module.exports = {
+  createAccount, authenticate, getAccount, recordSalvage, upgradeTier, rotateKey,
+  recordPromotion, getSalvageRecord, getSalvageRecordByManifest, getLatestSalvage, findSalvagesByHash,
+  listSalvageRecords, createApiKey, listApiKeys, revokeApiKey, hasScope, SCOPES
+};
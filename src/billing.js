@@ -0,0 +1,111 @@
+// src/billing.js: Billing history, receipts and an account's billing state
+// Reads the payments ledger written by src/payments.js (Stripe and crypto)
+const { getDb } = require('./db');
+const { rowToPayment } = require('./payments');
+
+/**
+ * An account's payments, newest first (every intent, whatever its status)
+ */
+async function listPayments(accountId, { limit = 25, offset = 0 } = {}) {
+  const db = getDb();
+  const rows = db.prepare('SELECT * FROM payments WHERE account_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ? OFFSET ?')
+    .all(accountId, limit, offset);
+  const { total } = db.prepare('SELECT COUNT(*) AS total FROM payments WHERE account_id = ?').get(accountId);
+
+  return { payments: rows.map(rowToPayment), total, limit, offset };
+}
+
+/**
+ * How the account's tier is paid for and when it ends or renews
+ * renewal: 'auto' (Stripe), 'past_due' / 'canceled' (Stripe, in grace), 'manual' (crypto — pay again
+ * before current_period_end), 'expired' (crypto period over), or null
+ */
+function billingStatus(account) {
+  const subscription = account.subscription;
+  let renewal = null;
+  if (account.billingProvider === 'stripe' && subscription) {
+    renewal = subscription.status === 'active' ? 'auto' : subscription.status;
+  } else if (account.billingProvider === 'crypto') {
+    renewal = account.currentPeriodEnd > new Date().toISOString() ? 'manual' : 'expired';
+  }
+
+  return {
+    provider: account.billingProvider || null,
+    current_period_end: account.currentPeriodEnd || null,
+    renewal,
+    grace_until: subscription?.graceUntil || null
+  };
+}
+
+/**
+ * Receipt for a confirmed payment
+ */
+async function getReceipt(account, paymentId) {
+  const row = getDb().prepare('SELECT * FROM payments WHERE id = ? AND account_id = ?').get(paymentId, account.id);
+  if (!row) throw new Error('Payment not found');
+  if (row.status !== 'confirmed') throw new Error(`Receipt unavailable: payment is ${row.status}`);
+
+  const tierName = row.tier.charAt(0).toUpperCase() + row.tier.slice(1);
+  return {
+    receipt_number: `NS-${row.id.replace(/^pay_/, '')}`,
+    payment_id: row.id,
+    issued_at: row.verified_at || row.updated_at,
+    seller: 'Neural Salvage',
+    account: { id: account.id, name: account.name },
+    description: `Neural Salvage ${tierName} — 1 month`,
+    tier: row.tier,
+    period_start: row.period_start,
+    period_end: row.period_end,
+    amount_usd: row.amount_usd,
+    paid_with: row.provider === 'stripe'
+      ? { method: 'card', provider: 'stripe', reference: row.provider_ref }
+      : { method: 'crypto', currency: row.currency, amount: row.amount, rate_usd: row.rate_usd, tx_signature: row.tx_signature }
+  };
+}
+
+const escapeHtml = value => String(value ?? '').replace(/[&<>"']/g, c => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[c]);
+
+/**
+ * Standalone, printable HTML version of a receipt
+ */
+function receiptToHtml(receipt) {
+  const day = iso => (iso ? iso.slice(0, 10) : '—');
+  const paid = receipt.paid_with.method === 'card'
+    ? `Card (Stripe, ${receipt.paid_with.reference})`
+    : `${receipt.paid_with.amount} ${receipt.paid_with.currency} at $${receipt.paid_with.rate_usd} — tx ${receipt.paid_with.tx_signature}`;
+  const rows = [
+    ['Receipt', receipt.receipt_number],
+    ['Date', day(receipt.issued_at)],
+    ['Account', `${receipt.account.name} (${receipt.account.id})`],
+    ['Description', receipt.description],
+    ['Period', `${day(receipt.period_start)} → ${day(receipt.period_end)}`],
+    ['Paid with', paid],
+    ['Total', `$${Number(receipt.amount_usd).toFixed(2)} USD`]
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Receipt ${escapeHtml(receipt.receipt_number)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 640px; margin: 40px auto; color: #222; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 8px 0; border-bottom: 1px solid #ddd; vertical-align: top; }
+  th { width: 30%; color: #666; font-weight: normal; }
+  td { word-break: break-all; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(receipt.seller)}</h1>
+<table>
+${rows.map(([label, value]) => `  <tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>
+</body>
+</html>
+`;
+}
+
+module.exports = { listPayments, billingStatus, getReceipt, receiptToHtml };
@@ -0,0 +1,175 @@
+// src/confirmations.js: Arweave confirmation tracking for salvages
+// A posted transaction is only permanent once it is mined and buried under enough blocks.
+// Lifecycle: submitted → pending (in the mempool) → confirmed (n blocks), or dropped → re-posted, or failed
+const { getDb } = require('./db');
+const { getStorage } = require('./storage');
+const { getSalvageRecord } = require('./auth');
+const { emit } = require('./webhooks');
+
+// Blocks on top of a salvage before it counts as final
+const REQUIRED_CONFIRMATIONS = parseInt(process.env.ARWEAVE_CONFIRMATIONS, 10) || 10;
+
+// A transaction the gateway still doesn't know this long after it was (re-)posted has been dropped
+const DROP_AFTER_MS = (parseFloat(process.env.ARWEAVE_DROP_MINUTES) || 30) * 60_000;
+const MAX_REPOSTS = 3;
+
+const POLL_BATCH = 50;
+
+// A status request re-checks the gateway at most this often
+const REFRESH_AFTER_MS = 15_000;
+
+const isFinal = row => row.status === 'failed' || row.status === 'stored' ||
+  (row.status === 'confirmed' && row.confirmations >= REQUIRED_CONFIRMATIONS);
+
+function updateSalvage(txId, fields) {
+  const sets = Object.keys(fields).map(k => `${k} = ?`).join(', ');
+  getDb().prepare(`UPDATE salvages SET ${sets} WHERE tx_id = ?`).run(...Object.values(fields), txId);
+}
+
+const eventData = (row, extra) => ({
+  tx_id: row.tx_id,
+  agent_name: row.agent_name,
+  parent_tx_id: row.parent_tx_id,
+  generation: row.generation,
+  ...extra
+});
+
+/**
+ * Check one tracked salvage against the gateway and move it along its lifecycle
+ * Gateway errors leave the status alone (recorded in status_error) for the next round.
+ */
+async function checkSalvage(row, storage = getStorage(), now = new Date()) {
+  const at = now.toISOString();
+  let result;
+  try {
+    result = await storage.status(row.tx_id);
+  } catch (err) {
+    updateSalvage(row.tx_id, { checked_at: at, status_error: `Status check failed: ${err.message}` });
+    return row.status;
+  }
+
+  if (result.status === 'confirmed') {
+    updateSalvage(row.tx_id, {
+      status: 'confirmed',
+      confirmations: result.confirmations,
+      block_height: result.blockHeight ?? row.block_height,
+      confirmed_at: row.status === 'confirmed' ? row.confirmed_at : at,
+      checked_at: at,
+      status_error: null
+    });
+    const final = result.confirmations >= REQUIRED_CONFIRMATIONS;
+    if (final && !isFinal(row)) {
+      await storage.release?.(row.tx_id);
+      emit(row.account_id, 'salvage.confirmed', eventData(row, {
+        status: 'confirmed', storage: storage.name, confirmations: result.confirmations, block_height: result.blockHeight ?? null
+      }));
+      console.log(`[Salvage] Confirmed ${row.tx_id} (${result.confirmations} blocks)`);
+    }
+    return 'confirmed';
+  }
+
+  // Back in (or still in) the mempool; a confirmed transaction can land here after a fork
+  if (result.status === 'pending') {
+    updateSalvage(row.tx_id, {
+      status: 'pending', confirmations: 0, block_height: null, confirmed_at: null, checked_at: at, status_error: null
+    });
+    return 'pending';
+  }
+
+  // Unknown to the gateway: give a fresh post time to propagate before calling it dropped
+  if (row.status !== 'dropped' && now - new Date(row.submitted_at || row.created_at) < DROP_AFTER_MS) {
+    updateSalvage(row.tx_id, { checked_at: at, status_error: null });
+    return row.status;
+  }
+  return repostSalvage(row, storage, at);
+}
+
+/**
+ * Post a dropped salvage's signed transaction again (same ID, so lineage links stay valid)
+ */
+async function repostSalvage(row, storage, at) {
+  const fail = error => {
+    updateSalvage(row.tx_id, { status: 'failed', confirmations: 0, block_height: null, checked_at: at, status_error: error });
+    storage.release?.(row.tx_id);
+    emit(row.account_id, 'salvage.failed', eventData(row, { status: 'failed', storage: storage.name, error }));
+    console.log(`[Salvage] Failed ${row.tx_id}: ${error}`);
+    return 'failed';
+  };
+
+  if (row.reposts >= MAX_REPOSTS) return fail(`Dropped by the network after ${row.reposts} re-posts`);
+
+  try {
+    const reposted = storage.repost ? await storage.repost(row.tx_id) : false;
+    if (!reposted) return fail('Dropped by the network, and no signed copy was kept to re-post it — salvage again');
+  } catch (err) {
+    // The gateway refused it (e.g. its anchor has expired): it can never be mined
+    if (err.message.startsWith('Arweave upload failed')) return fail(`Dropped by the network; re-post rejected (${err.message})`);
+    updateSalvage(row.tx_id, { status: 'dropped', checked_at: at, status_error: `Re-post failed: ${err.message}` });
+    return 'dropped';
+  }
+
+  updateSalvage(row.tx_id, {
+    status: 'submitted', confirmations: 0, block_height: null, confirmed_at: null,
+    submitted_at: at, reposts: row.reposts + 1, checked_at: at, status_error: null
+  });
+  console.log(`[Salvage] Re-posted dropped transaction ${row.tx_id} (re-post ${row.reposts + 1})`);
+  return 'submitted';
+}
+
+let running = null;
+
+/**
+ * Check every salvage that isn't final yet, least recently checked first
+ * (one run at a time; overlapping calls share it)
+ */
+function pollSalvageStatuses(now = new Date()) {
+  if (running) return running;
+  running = (async () => {
+    const storage = getStorage();
+    const counts = { checked: 0, confirmed: 0, pending: 0, submitted: 0, dropped: 0, failed: 0 };
+    if (!storage.permanent) return counts; // local drivers store synchronously
+
+    const rows = getDb().prepare(`
+      SELECT * FROM salvages
+      WHERE tx_id NOT LIKE 'demo-%'
+        AND (status IN ('submitted', 'pending', 'dropped') OR (status = 'confirmed' AND confirmations < ?))
+      ORDER BY checked_at IS NOT NULL, checked_at LIMIT ?
+    `).all(REQUIRED_CONFIRMATIONS, POLL_BATCH);
+
+    for (const row of rows) {
+      counts[await checkSalvage(row, storage, now)]++;
+      counts.checked++;
+    }
+    return counts;
+  })().finally(() => { running = null; });
+  return running;
+}
+
+/**
+ * A salvage's confirmation status; re-checked with the gateway first if it isn't final
+ */
+async function getSalvageStatus(txId) {
+  const storage = getStorage();
+  const row = getDb().prepare('SELECT * FROM salvages WHERE tx_id = ?').get(txId);
+  if (!row) throw new Error(`Salvage not found: ${txId}`);
+
+  const stale = !row.checked_at || Date.now() - new Date(row.checked_at) > REFRESH_AFTER_MS;
+  if (storage.permanent && !txId.startsWith('demo-') && !isFinal(row) && stale) await checkSalvage(row, storage);
+
+  const record = await getSalvageRecord(txId);
+  return {
+    tx_id: record.txId,
+    status: record.status,
+    final: isFinal(record),
+    confirmations: record.confirmations,
+    required_confirmations: record.status === 'stored' ? 0 : REQUIRED_CONFIRMATIONS,
+    block_height: record.blockHeight,
+    submitted_at: record.submittedAt,
+    confirmed_at: record.confirmedAt,
+    checked_at: record.checkedAt,
+    reposts: record.reposts,
+    error: record.statusError
+  };
+}
+
+module.exports = { pollSalvageStatuses, getSalvageStatus, checkSalvage, REQUIRED_CONFIRMATIONS };
@@ -0,0 +1,447 @@
+// src/db.js: SQLite persistence — accounts, API keys, salvages, payments
+// One local file, opened once per process; schema changes go through MIGRATIONS
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const DB_PATH = process.env.DATABASE_PATH || path.join(DATA_DIR, 'neural-salvage.db');
+const LEGACY_ACCOUNTS_PATH = process.env.ACCOUNTS_PATH || path.join(DATA_DIR, 'accounts.json');
+
+/**
+ * Ordered schema migrations — append only, never edit one that has shipped
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial schema',
+    up: `
+      CREATE TABLE accounts (
+        id             TEXT PRIMARY KEY,
+        name           TEXT NOT NULL,
+        name_lower     TEXT NOT NULL UNIQUE,
+        type           TEXT NOT NULL,
+        description    TEXT NOT NULL DEFAULT '',
+        metadata       TEXT NOT NULL DEFAULT '{}',
+        tier           TEXT NOT NULL DEFAULT 'free',
+        salvage_count  INTEGER NOT NULL DEFAULT 0,
+        total_bytes    INTEGER NOT NULL DEFAULT 0,
+        created_at     TEXT NOT NULL,
+        last_salvage   TEXT,
+        upgraded_at    TEXT,
+        key_rotated_at TEXT
+      );
+
+      CREATE TABLE api_keys (
+        id          TEXT PRIMARY KEY,
+        account_id  TEXT NOT NULL REFERENCES accounts(id),
+        key_hash    TEXT NOT NULL UNIQUE,
+        created_at  TEXT NOT NULL,
+        revoked_at  TEXT
+      );
+      CREATE INDEX idx_api_keys_account ON api_keys(account_id);
+
+      CREATE TABLE salvages (
+        tx_id        TEXT PRIMARY KEY,
+        account_id   TEXT NOT NULL REFERENCES accounts(id),
+        agent_name   TEXT,
+        parent_tx_id TEXT,
+        generation   INTEGER NOT NULL DEFAULT 1,
+        size_bytes   INTEGER NOT NULL DEFAULT 0,
+        created_at   TEXT NOT NULL,
+        promoted_to  TEXT,
+        promoted_at  TEXT
+      );
+      CREATE INDEX idx_salvages_account_agent ON salvages(account_id, agent_name);
+
+      CREATE TABLE payments (
+        id            TEXT PRIMARY KEY,
+        account_id    TEXT NOT NULL REFERENCES accounts(id),
+        provider      TEXT NOT NULL,
+        currency      TEXT NOT NULL,
+        tier          TEXT NOT NULL,
+        amount_usd    REAL NOT NULL,
+        status        TEXT NOT NULL,
+        tx_signature  TEXT,
+        created_at    TEXT NOT NULL,
+        updated_at    TEXT NOT NULL
+      );
+      CREATE INDEX idx_payments_account ON payments(account_id);
+
+      CREATE TABLE meta (
+        key   TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 2,
+    name: 'scoped api keys',
+    // Existing keys keep full access ('*')
+    up: `
+      ALTER TABLE api_keys ADD COLUMN label TEXT NOT NULL DEFAULT 'default';
+      ALTER TABLE api_keys ADD COLUMN scopes TEXT NOT NULL DEFAULT '["*"]';
+      ALTER TABLE api_keys ADD COLUMN key_prefix TEXT;
+      ALTER TABLE api_keys ADD COLUMN expires_at TEXT;
+      ALTER TABLE api_keys ADD COLUMN last_used_at TEXT;
+    `
+  },
+  {
+    version: 3,
+    name: 'salvage usage index',
+    // Per-period usage is counted from salvages (src/quota.js)
+    up: 'CREATE INDEX idx_salvages_account_created ON salvages(account_id, created_at);'
+  },
+  {
+    version: 4,
+    name: 'upload sessions',
+    up: `
+      CREATE TABLE upload_sessions (
+        id          TEXT PRIMARY KEY,
+        account_id  TEXT NOT NULL REFERENCES accounts(id),
+        kind        TEXT NOT NULL,
+        status      TEXT NOT NULL,
+        total_bytes INTEGER NOT NULL,
+        sha256      TEXT,
+        options     TEXT NOT NULL DEFAULT '{}',
+        created_at  TEXT NOT NULL,
+        updated_at  TEXT NOT NULL,
+        expires_at  TEXT NOT NULL,
+        tx_id       TEXT
+      );
+      CREATE INDEX idx_upload_sessions_expiry ON upload_sessions(status, expires_at);
+
+      CREATE TABLE upload_chunks (
+        session_id  TEXT NOT NULL REFERENCES upload_sessions(id),
+        idx         INTEGER NOT NULL,
+        size        INTEGER NOT NULL,
+        sha256      TEXT NOT NULL,
+        received_at TEXT NOT NULL,
+        PRIMARY KEY (session_id, idx)
+      );
+    `
+  },
+  {
+    version: 5,
+    name: 'attachments',
+    up: `
+      CREATE TABLE attachments (
+        storage      TEXT NOT NULL,
+        sha256       TEXT NOT NULL,
+        content_type TEXT NOT NULL,
+        tx_id        TEXT NOT NULL,
+        size_bytes   INTEGER NOT NULL,
+        created_at   TEXT NOT NULL,
+        PRIMARY KEY (storage, sha256, content_type)
+      );
+
+      ALTER TABLE salvages ADD COLUMN manifest_tx_id TEXT;
+    `
+  },
+  {
+    version: 6,
+    name: 'stripe subscriptions',
+    // grace_until: when a lapsed (failed or canceled) subscription drops back to free
+    up: `
+      ALTER TABLE accounts ADD COLUMN stripe_customer_id TEXT;
+      ALTER TABLE accounts ADD COLUMN stripe_subscription_id TEXT;
+      ALTER TABLE accounts ADD COLUMN subscription_tier TEXT;
+      ALTER TABLE accounts ADD COLUMN subscription_status TEXT;
+      ALTER TABLE accounts ADD COLUMN grace_until TEXT;
+      CREATE INDEX idx_accounts_stripe_subscription ON accounts(stripe_subscription_id);
+      CREATE INDEX idx_accounts_grace ON accounts(grace_until);
+
+      CREATE TABLE stripe_events (
+        id          TEXT PRIMARY KEY,
+        type        TEXT NOT NULL,
+        account_id  TEXT,
+        received_at TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 7,
+    name: 'crypto payment intents',
+    // amount is in the payment currency (decimal string); a transaction can pay for one intent only
+    up: `
+      ALTER TABLE payments ADD COLUMN address TEXT;
+      ALTER TABLE payments ADD COLUMN amount TEXT;
+      ALTER TABLE payments ADD COLUMN confirmations INTEGER;
+      ALTER TABLE payments ADD COLUMN verified_at TEXT;
+      CREATE UNIQUE INDEX idx_payments_tx_signature ON payments(tx_signature);
+    `
+  },
+  {
+    version: 8,
+    name: 'locked payment quotes',
+    // rate_usd: USD per coin the amount was quoted at, honoured until quote_expires_at
+    up: `
+      ALTER TABLE payments ADD COLUMN rate_usd REAL;
+      ALTER TABLE payments ADD COLUMN price_source TEXT;
+      ALTER TABLE payments ADD COLUMN quote_expires_at TEXT;
+      CREATE INDEX idx_payments_open_quotes ON payments(currency, status, quote_expires_at);
+    `
+  },
+  {
+    version: 9,
+    name: 'billing ledger',
+    // provider_ref: Stripe checkout session or invoice ID; period_*: what a payment paid for
+    up: `
+      ALTER TABLE payments ADD COLUMN provider_ref TEXT;
+      ALTER TABLE payments ADD COLUMN period_start TEXT;
+      ALTER TABLE payments ADD COLUMN period_end TEXT;
+      CREATE UNIQUE INDEX idx_payments_provider_ref ON payments(provider_ref);
+      CREATE INDEX idx_payments_account_created ON payments(account_id, created_at);
+
+      ALTER TABLE accounts ADD COLUMN billing_provider TEXT;
+      ALTER TABLE accounts ADD COLUMN current_period_end TEXT;
+    `
+  },
+  {
+    version: 10,
+    name: 'outbound webhooks',
+    up: `
+      CREATE TABLE webhook_endpoints (
+        id          TEXT PRIMARY KEY,
+        account_id  TEXT NOT NULL REFERENCES accounts(id),
+        url         TEXT NOT NULL,
+        secret      TEXT NOT NULL,
+        events      TEXT NOT NULL,
+        description TEXT NOT NULL DEFAULT '',
+        created_at  TEXT NOT NULL,
+        deleted_at  TEXT
+      );
+      CREATE INDEX idx_webhook_endpoints_account ON webhook_endpoints(account_id);
+
+      CREATE TABLE webhook_deliveries (
+        id               TEXT PRIMARY KEY,
+        endpoint_id      TEXT NOT NULL REFERENCES webhook_endpoints(id),
+        account_id       TEXT NOT NULL REFERENCES accounts(id),
+        event_id         TEXT NOT NULL,
+        event_type       TEXT NOT NULL,
+        payload          TEXT NOT NULL,
+        status           TEXT NOT NULL,
+        attempts         INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at  TEXT,
+        last_status_code INTEGER,
+        last_error       TEXT,
+        replay_of        TEXT,
+        created_at       TEXT NOT NULL,
+        updated_at       TEXT,
+        delivered_at     TEXT
+      );
+      CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+      CREATE INDEX idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, created_at);
+    `
+  },
+  {
+    version: 11,
+    name: 'salvage confirmation tracking',
+    // status: submitted → pending → confirmed, or dropped (re-posted) → failed; 'stored' for local drivers
+    // Salvages from before tracking are re-checked by the poller
+    up: `
+      ALTER TABLE salvages ADD COLUMN status TEXT NOT NULL DEFAULT 'submitted';
+      ALTER TABLE salvages ADD COLUMN confirmations INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE salvages ADD COLUMN block_height INTEGER;
+      ALTER TABLE salvages ADD COLUMN submitted_at TEXT;
+      ALTER TABLE salvages ADD COLUMN confirmed_at TEXT;
+      ALTER TABLE salvages ADD COLUMN checked_at TEXT;
+      ALTER TABLE salvages ADD COLUMN reposts INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE salvages ADD COLUMN status_error TEXT;
+      UPDATE salvages SET submitted_at = created_at;
+      UPDATE salvages SET status = 'stored' WHERE tx_id LIKE 'demo-%';
+      CREATE INDEX idx_salvages_status ON salvages(status, checked_at);
+    `
+  },
+  {
+    version: 12,
+    name: 'jobs and idempotency keys',
+    // sync = 1: a synchronous request holding its Idempotency-Key (never picked up by the worker)
+    up: `
+      CREATE TABLE jobs (
+        id               TEXT PRIMARY KEY,
+        account_id       TEXT NOT NULL REFERENCES accounts(id),
+        type             TEXT NOT NULL,
+        sync             INTEGER NOT NULL DEFAULT 0,
+        idempotency_key  TEXT,
+        request_hash     TEXT NOT NULL,
+        request          TEXT,
+        status           TEXT NOT NULL,
+        stage            TEXT,
+        attempts         INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at  TEXT,
+        last_error       TEXT,
+        response_status  INTEGER,
+        response         TEXT,
+        created_at       TEXT NOT NULL,
+        updated_at       TEXT NOT NULL,
+        started_at       TEXT,
+        completed_at     TEXT
+      );
+      CREATE UNIQUE INDEX idx_jobs_idempotency ON jobs(account_id, idempotency_key) WHERE idempotency_key IS NOT NULL;
+      CREATE INDEX idx_jobs_due ON jobs(status, next_attempt_at);
+    `
+  },
+  {
+    version: 13,
+    name: 'soul signing keys',
+    // public_key is normalized per key_type (raw base64url for ed25519, base58 for solana, checksummed for ethereum)
+    up: `
+      CREATE TABLE signing_keys (
+        id          TEXT PRIMARY KEY,
+        account_id  TEXT NOT NULL REFERENCES accounts(id),
+        key_type    TEXT NOT NULL,
+        public_key  TEXT NOT NULL,
+        label       TEXT NOT NULL DEFAULT '',
+        created_at  TEXT NOT NULL,
+        revoked_at  TEXT
+      );
+      CREATE UNIQUE INDEX idx_signing_keys_active ON signing_keys(account_id, key_type, public_key) WHERE revoked_at IS NULL;
+      CREATE INDEX idx_signing_keys_public_key ON signing_keys(key_type, public_key);
+    `
+  },
+  {
+    version: 14,
+    name: 'salvage content hashes',
+    // Canonical soul SHA-256 (public souls only) and the Signer tag, to find identical re-salvages
+    up: `
+      ALTER TABLE salvages ADD COLUMN soul_sha256 TEXT;
+      ALTER TABLE salvages ADD COLUMN signer TEXT;
+      CREATE INDEX idx_salvages_soul_sha256 ON salvages(account_id, soul_sha256);
+    `
+  },
+  {
+    version: 15,
+    name: 'job salvage tx ids',
+    // The tx ID a job's upload returned, so no later attempt stores the soul again
+    up: `
+      ALTER TABLE jobs ADD COLUMN tx_id TEXT;
+    `
+  }
+];
+
+let db = null;
+
+/**
+ * Open (and migrate) the database
+ */
+function getDb() {
+  if (db) return db;
+
+  const dir = path.dirname(DB_PATH);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  db = new Database(DB_PATH);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.pragma('busy_timeout = 5000');
+
+  migrate(db);
+  importLegacyAccounts(db);
+
+  return db;
+}
+
+/**
+ * Run fn inside a single transaction (rolled back if it throws)
+ */
+function transaction(fn) {
+  return getDb().transaction(fn)();
+}
+
+function migrate(conn) {
+  conn.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version    INTEGER PRIMARY KEY,
+    name       TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  )`);
+
+  const applied = new Set(conn.prepare('SELECT version FROM schema_migrations').all().map(r => r.version));
+
+  for (const migration of MIGRATIONS) {
+    if (applied.has(migration.version)) continue;
+
+    conn.transaction(() => {
+      conn.exec(migration.up);
+      conn.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+        .run(migration.version, migration.name, new Date().toISOString());
+    })();
+
+    console.log(`[DB] Applied migration ${migration.version}: ${migration.name}`);
+  }
+}
+
+/**
+ * One-time import of the old JSON account store (data/accounts.json, or ACCOUNTS_PATH)
+ * The file is renamed afterwards so it can't be imported twice.
+ */
+function importLegacyAccounts(conn) {
+  if (!fs.existsSync(LEGACY_ACCOUNTS_PATH)) return;
+  if (conn.prepare("SELECT 1 FROM meta WHERE key = 'legacy_accounts_imported'").get()) return;
+
+  const legacy = JSON.parse(fs.readFileSync(LEGACY_ACCOUNTS_PATH, 'utf8'));
+
+  const insertAccount = conn.prepare(`
+    INSERT INTO accounts (id, name, name_lower, type, description, metadata, tier, salvage_count,
+      total_bytes, created_at, last_salvage, upgraded_at, key_rotated_at)
+    VALUES (@id, @name, @name_lower, @type, @description, @metadata, @tier, @salvage_count,
+      @total_bytes, @created_at, @last_salvage, @upgraded_at, @key_rotated_at)
+  `);
+  const insertKey = conn.prepare(
+    'INSERT INTO api_keys (id, account_id, key_hash, created_at) VALUES (?, ?, ?, ?)'
+  );
+  const insertSalvage = conn.prepare(`
+    INSERT OR IGNORE INTO salvages (tx_id, account_id, agent_name, parent_tx_id, generation, size_bytes,
+      created_at, promoted_to, promoted_at)
+    VALUES (@tx_id, @account_id, @agent_name, @parent_tx_id, @generation, @size_bytes,
+      @created_at, @promoted_to, @promoted_at)
+  `);
+
+  let count = 0;
+  conn.transaction(() => {
+    for (const a of Object.values(legacy)) {
+      insertAccount.run({
+        id: a.id,
+        name: a.name,
+        name_lower: a.name.toLowerCase(),
+        type: a.type,
+        description: a.description || '',
+        metadata: JSON.stringify(a.metadata || {}),
+        tier: a.tier || 'free',
+        salvage_count: a.salvageCount || 0,
+        total_bytes: a.totalBytes || 0,
+        created_at: a.createdAt,
+        last_salvage: a.lastSalvage || null,
+        upgraded_at: a.upgradedAt || null,
+        key_rotated_at: a.keyRotatedAt || null
+      });
+      insertKey.run(`key_${a.id}`, a.id, a.apiKeyHash, a.keyRotatedAt || a.createdAt);
+
+      // Lineage records first, then bare tx IDs from before lineage tracking
+      const records = new Map((a.salvages || []).map(s => [s.txId, s]));
+      for (const txId of a.salvageTxIds || []) {
+        const s = records.get(txId) || {};
+        insertSalvage.run({
+          tx_id: txId,
+          account_id: a.id,
+          agent_name: s.agentName || null,
+          parent_tx_id: s.parentTxId || null,
+          generation: s.generation || 1,
+          size_bytes: s.sizeBytes || 0,
+          created_at: s.createdAt || a.lastSalvage || a.createdAt,
+          promoted_to: s.promotedTo || null,
+          promoted_at: s.promotedAt || null
+        });
+      }
+      count++;
+    }
+
+    conn.prepare("INSERT INTO meta (key, value) VALUES ('legacy_accounts_imported', ?)")
+      .run(new Date().toISOString());
+  })();
+
+  fs.renameSync(LEGACY_ACCOUNTS_PATH, `${LEGACY_ACCOUNTS_PATH}.imported`);
+  console.log(`[DB] Imported ${count} account(s) from accounts.json`);
+}
+
+module.exports = { getDb, transaction, MIGRATIONS };
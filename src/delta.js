@@ -0,0 +1,134 @@
+// src/delta.js: Structured soul patches for delta salvages
+// A delta stores only what changed since a base soul — replayed on revive
+
+/**
+ * Patch shape:
+ * {
+ *   fields: { set: { <field>: value }, unset: [<field>] },
+ *   memory: { set: { <key>: value }, unset: [<key>], daily_logs: <entries> },
+ *   files:  <entries>
+ * }
+ * where <entries> = { upsert: [entry], remove: [key], order: [key] }
+ *
+ * `memory` and `files` are only broken down per entry when both sides have
+ * the expected shape — otherwise they travel as whole values in `fields`.
+ */
+
+function isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Arrays of entries keyed by a unique field (files by path, logs by date)
+function isKeyedList(list, key) {
+  if (!Array.isArray(list)) return false;
+  const keys = list.map(e => e?.[key]);
+  return keys.every(k => typeof k === 'string' && k) && new Set(keys).size === keys.length;
+}
+
+function diffObject(base, next, skip = []) {
+  const set = {};
+  const unset = [];
+
+  for (const [k, v] of Object.entries(next)) {
+    if (skip.includes(k)) continue;
+    if (!(k in base) || !sameValue(base[k], v)) set[k] = v;
+  }
+  for (const k of Object.keys(base)) {
+    if (skip.includes(k)) continue;
+    if (!(k in next)) unset.push(k);
+  }
+
+  return Object.keys(set).length || unset.length ? { set, unset } : null;
+}
+
+function diffEntries(base, next, key) {
+  const baseByKey = new Map(base.map(e => [e[key], e]));
+  const nextKeys = new Set(next.map(e => e[key]));
+
+  const upsert = next.filter(e => !sameValue(baseByKey.get(e[key]), e));
+  const remove = base.map(e => e[key]).filter(k => !nextKeys.has(k));
+  const order = next.map(e => e[key]);
+
+  if (!upsert.length && !remove.length && sameValue(order, base.map(e => e[key]))) return null;
+  return { upsert, remove, order };
+}
+
+function applyEntries(base, change, key) {
+  const byKey = new Map(base.map(e => [e[key], e]));
+  change.remove.forEach(k => byKey.delete(k));
+  change.upsert.forEach(e => byKey.set(e[key], e));
+  return change.order.map(k => byKey.get(k)).filter(Boolean);
+}
+
+/**
+ * Compute the patch that turns `base` into `next`
+ * Returns null when nothing changed
+ */
+function computeDelta(base, next) {
+  const patch = {};
+
+  const splitMemory = isPlainObject(base.memory) && isPlainObject(next.memory) &&
+    (next.memory.daily_logs === undefined || isKeyedList(next.memory.daily_logs, 'date')) &&
+    (base.memory.daily_logs === undefined || isKeyedList(base.memory.daily_logs, 'date'));
+  const splitFiles = isKeyedList(base.files, 'path') && isKeyedList(next.files, 'path');
+
+  const skip = [];
+  if (splitMemory) skip.push('memory');
+  if (splitFiles) skip.push('files');
+
+  const fields = diffObject(base, next, skip);
+  if (fields) patch.fields = fields;
+
+  if (splitMemory) {
+    const memory = diffObject(base.memory, next.memory, ['daily_logs']) || {};
+    const logs = diffEntries(base.memory.daily_logs || [], next.memory.daily_logs || [], 'date');
+    if (logs) memory.daily_logs = logs;
+    if (next.memory.daily_logs === undefined && base.memory.daily_logs !== undefined) {
+      memory.unset = [...(memory.unset || []), 'daily_logs'];
+      delete memory.daily_logs;
+    }
+    if (Object.keys(memory).length) patch.memory = memory;
+  }
+
+  if (splitFiles) {
+    const files = diffEntries(base.files, next.files, 'path');
+    if (files) patch.files = files;
+  }
+
+  return Object.keys(patch).length ? patch : null;
+}
+
+/**
+ * Replay a patch on top of a base soul (base is not mutated)
+ */
+function applyDelta(base, patch) {
+  const soul = JSON.parse(JSON.stringify(base));
+  if (!patch) return soul;
+
+  if (patch.fields) {
+    Object.assign(soul, patch.fields.set || {});
+    (patch.fields.unset || []).forEach(k => delete soul[k]);
+  }
+
+  if (patch.memory) {
+    const memory = isPlainObject(soul.memory) ? soul.memory : {};
+    Object.assign(memory, patch.memory.set || {});
+    if (patch.memory.daily_logs) {
+      memory.daily_logs = applyEntries(memory.daily_logs || [], patch.memory.daily_logs, 'date');
+    }
+    (patch.memory.unset || []).forEach(k => delete memory[k]);
+    soul.memory = memory;
+  }
+
+  if (patch.files) {
+    soul.files = applyEntries(soul.files || [], patch.files, 'path');
+  }
+
+  return soul;
+}
+
+module.exports = { computeDelta, applyDelta };
@@ -0,0 +1,177 @@
+// src/encryption.js: Encrypted envelopes for private souls
+// AES-256-GCM with a key from a passphrase (scrypt) or an X25519 public key (ECDH + HKDF)
+const crypto = require('crypto');
+
+const ENVELOPE_FORMAT = 'neural-salvage-envelope';
+const CIPHER = 'aes-256-gcm';
+
+const SCRYPT_DEFAULTS = { N: 32768, r: 8, p: 1 };
+// Bounds the memory (128·N·r bytes) a client-supplied envelope can make a revive spend
+const SCRYPT_MAX_MEMORY = 64 * 1_048_576;
+
+/**
+ * Encrypt a soul into an envelope
+ * key: { passphrase } or { public_key } (X25519, PEM)
+ */
+async function encryptSoul(soul, key) {
+  const plaintext = Buffer.from(JSON.stringify(soul));
+  const { aesKey, kdf } = await deriveEncryptionKey(key);
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, aesKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return {
+    format: ENVELOPE_FORMAT,
+    version: 1,
+    cipher: CIPHER,
+    kdf,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  };
+}
+
+/**
+ * Decrypt an envelope back into a soul
+ * key: { passphrase } or { private_key } (X25519, PEM)
+ */
+async function decryptSoul(envelope, key) {
+  const problems = validateEnvelope(envelope);
+  if (problems.length) throw new Error(`Invalid envelope: ${problems.join('; ')}`);
+
+  const aesKey = await deriveDecryptionKey(envelope.kdf, key);
+
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, aesKey, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(envelope.ciphertext, 'base64')),
+      decipher.final()
+    ]);
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch {
+    throw new Error('Decryption failed: wrong key or corrupted envelope');
+  }
+}
+
+/**
+ * Structural check for envelopes (client-encrypted blobs are never decrypted server-side)
+ */
+function validateEnvelope(envelope) {
+  const errors = [];
+  if (!envelope || typeof envelope !== 'object') return ['Envelope must be a JSON object'];
+
+  if (envelope.format !== ENVELOPE_FORMAT) errors.push(`format must be "${ENVELOPE_FORMAT}"`);
+  if (envelope.cipher !== CIPHER) errors.push(`cipher must be "${CIPHER}"`);
+  for (const field of ['iv', 'tag', 'ciphertext']) {
+    if (typeof envelope[field] !== 'string' || !envelope[field]) errors.push(`${field} must be a base64 string`);
+  }
+
+  const kdf = envelope.kdf;
+  if (!kdf || typeof kdf !== 'object') {
+    errors.push('kdf is required');
+  } else if (kdf.name === 'scrypt') {
+    if (typeof kdf.salt !== 'string') errors.push('kdf.salt must be a base64 string');
+    if (!Number.isInteger(kdf.N) || kdf.N < 2 || (kdf.N & (kdf.N - 1))) errors.push('kdf.N must be a power of two');
+    if (!Number.isInteger(kdf.r) || kdf.r < 1 || kdf.r > 32) errors.push('kdf.r must be 1-32');
+    if (!Number.isInteger(kdf.p) || kdf.p < 1 || kdf.p > 16) errors.push('kdf.p must be 1-16');
+    if (Number.isInteger(kdf.N) && Number.isInteger(kdf.r) && 128 * kdf.N * kdf.r > SCRYPT_MAX_MEMORY) {
+      errors.push(`kdf.N and kdf.r must keep scrypt memory (128·N·r) within ${SCRYPT_MAX_MEMORY / 1_048_576}MB`);
+    }
+  } else if (kdf.name === 'x25519-hkdf-sha256') {
+    if (typeof kdf.ephemeral_public_key !== 'string') errors.push('kdf.ephemeral_public_key must be a PEM string');
+    if (typeof kdf.salt !== 'string') errors.push('kdf.salt must be a base64 string');
+  } else {
+    errors.push('kdf.name must be "scrypt" or "x25519-hkdf-sha256"');
+  }
+
+  return errors;
+}
+
+/**
+ * Non-sensitive Arweave tags describing how an envelope was sealed
+ */
+function envelopeTags(envelope) {
+  const tags = {
+    'Encryption': 'AES-256-GCM',
+    'KDF': envelope.kdf.name
+  };
+  if (envelope.kdf.name === 'scrypt') {
+    tags['KDF-Params'] = `N=${envelope.kdf.N},r=${envelope.kdf.r},p=${envelope.kdf.p}`;
+  }
+  tags['KDF-Salt'] = envelope.kdf.salt;
+  return tags;
+}
+
+/**
+ * scrypt off the event loop (libuv threadpool)
+ */
+function scrypt(passphrase, salt, { N, r, p }) {
+  return new Promise((resolve, reject) => {
+    // maxmem leaves room for scrypt's 128·r·p working buffer on top of the 128·N·r table
+    crypto.scrypt(String(passphrase), salt, 32, { N, r, p, maxmem: SCRYPT_MAX_MEMORY + 1_048_576 }, (err, key) => {
+      if (err) reject(err);
+      else resolve(key);
+    });
+  });
+}
+
+function x25519Key(sharedSecret, salt) {
+  return Buffer.from(crypto.hkdfSync('sha256', sharedSecret, salt, ENVELOPE_FORMAT, 32));
+}
+
+async function deriveEncryptionKey(key) {
+  if (key?.passphrase) {
+    const salt = crypto.randomBytes(16);
+    return {
+      aesKey: await scrypt(key.passphrase, salt, SCRYPT_DEFAULTS),
+      kdf: { name: 'scrypt', salt: salt.toString('base64'), ...SCRYPT_DEFAULTS }
+    };
+  }
+
+  if (key?.public_key) {
+    const recipient = loadKey(() => crypto.createPublicKey(key.public_key), 'public_key');
+    const ephemeral = crypto.generateKeyPairSync('x25519');
+    const salt = crypto.randomBytes(16);
+    const shared = crypto.diffieHellman({ privateKey: ephemeral.privateKey, publicKey: recipient });
+    return {
+      aesKey: x25519Key(shared, salt),
+      kdf: {
+        name: 'x25519-hkdf-sha256',
+        ephemeral_public_key: ephemeral.publicKey.export({ type: 'spki', format: 'pem' }),
+        salt: salt.toString('base64')
+      }
+    };
+  }
+
+  throw new Error('Encryption key required: { passphrase } or { public_key }');
+}
+
+async function deriveDecryptionKey(kdf, key) {
+  const salt = Buffer.from(kdf.salt, 'base64');
+
+  if (kdf.name === 'scrypt') {
+    if (!key?.passphrase) throw new Error('This soul is encrypted with a passphrase — provide { passphrase }');
+    return scrypt(key.passphrase, salt, kdf);
+  }
+
+  if (!key?.private_key) throw new Error('This soul is encrypted to a public key — provide { private_key }');
+  const privateKey = loadKey(() => crypto.createPrivateKey(key.private_key), 'private_key');
+  const ephemeral = loadKey(() => crypto.createPublicKey(kdf.ephemeral_public_key), 'kdf.ephemeral_public_key');
+
+  return x25519Key(crypto.diffieHellman({ privateKey, publicKey: ephemeral }), salt);
+}
+
+function loadKey(load, field) {
+  let key;
+  try {
+    key = load();
+  } catch {
+    throw new Error(`${field} must be a PEM-encoded X25519 key`);
+  }
+  if (key.asymmetricKeyType !== 'x25519') throw new Error(`${field} must be a PEM-encoded X25519 key`);
+  return key;
+}
+
+module.exports = { encryptSoul, decryptSoul, validateEnvelope, envelopeTags, ENVELOPE_FORMAT };
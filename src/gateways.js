@@ -0,0 +1,146 @@
+// src/gateways.js: Arweave read gateways — ordered failover with health tracking,
+// and verification of what they return against the signed transaction
+const Arweave = require('arweave');
+const { computeRootHash } = require('arweave/node/lib/merkle');
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.ARWEAVE_GATEWAY_TIMEOUT_MS, 10) || 30_000;
+
+// A failing gateway is tried last for a while: 30s, 1m, 2m … capped at MAX_COOLDOWN_MS
+const BASE_COOLDOWN_MS = 30_000;
+const MAX_COOLDOWN_MS = 10 * 60_000;
+
+// Signature checks only; never used to sign or post
+const verifier = Arweave.init({});
+
+/**
+ * Ordered gateways for reads; each request goes to the healthiest first
+ * urls: base URLs, e.g. ['https://arweave.net', 'https://ar-io.net']
+ */
+function createGatewayPool(urls) {
+  const gateways = urls.map(url => ({
+    url: url.replace(/\/+$/, ''),
+    failures: 0,
+    consecutiveFailures: 0,
+    cooldownUntil: 0,
+    lastError: null,
+    lastFailureAt: null,
+    lastSuccessAt: null,
+    latencyMs: null
+  }));
+
+  // Healthy gateways in configured order, then those cooling down (soonest back first)
+  function ranked() {
+    const now = Date.now();
+    const healthy = gateways.filter(g => g.cooldownUntil <= now);
+    const cooling = gateways.filter(g => g.cooldownUntil > now).sort((a, b) => a.cooldownUntil - b.cooldownUntil);
+    return [...healthy, ...cooling];
+  }
+
+  function succeeded(gateway, startedAt) {
+    const latency = Date.now() - startedAt;
+    gateway.consecutiveFailures = 0;
+    gateway.cooldownUntil = 0;
+    gateway.lastSuccessAt = new Date().toISOString();
+    gateway.latencyMs = gateway.latencyMs == null ? latency : Math.round(gateway.latencyMs * 0.8 + latency * 0.2);
+  }
+
+  function failed(gateway, err) {
+    gateway.failures++;
+    gateway.consecutiveFailures++;
+    gateway.cooldownUntil = Date.now() + Math.min(BASE_COOLDOWN_MS * 2 ** (gateway.consecutiveFailures - 1), MAX_COOLDOWN_MS);
+    gateway.lastError = err.message;
+    gateway.lastFailureAt = new Date().toISOString();
+    console.log(`[Gateways] ${gateway.url} failed: ${err.message}`);
+  }
+
+  /**
+   * Run fetchFrom(baseUrl) against each gateway in turn until one succeeds: { result, gateway }
+   * fetchFrom returns null when the gateway doesn't have the item (not a health failure).
+   * Throws "Not found" if a gateway answered and none had it, or every gateway's error if none answered.
+   */
+  async function request(fetchFrom) {
+    const errors = [];
+    for (const gateway of ranked()) {
+      const startedAt = Date.now();
+      try {
+        const result = await fetchFrom(gateway.url);
+        succeeded(gateway, startedAt);
+        if (result !== null) return { result, gateway: gateway.url };
+      } catch (err) {
+        failed(gateway, err);
+        errors.push(`${gateway.url}: ${err.message}`);
+      }
+    }
+    if (errors.length === gateways.length) throw new Error(`All gateways failed (${errors.join('; ')})`);
+    throw new Error('Not found on any gateway');
+  }
+
+  function health() {
+    const now = Date.now();
+    return gateways.map(g => ({
+      url: g.url,
+      healthy: g.cooldownUntil <= now,
+      failures: g.failures,
+      consecutive_failures: g.consecutiveFailures,
+      cooldown_until: g.cooldownUntil > now ? new Date(g.cooldownUntil).toISOString() : null,
+      last_error: g.lastError,
+      last_failure_at: g.lastFailureAt,
+      last_success_at: g.lastSuccessAt,
+      latency_ms: g.latencyMs
+    }));
+  }
+
+  return { request, health, urls: gateways.map(g => g.url) };
+}
+
+async function fetchOk(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  // 202: still pending, so not readable yet
+  if (response.status === 404 || response.status === 202) {
+    await response.body?.cancel();
+    return null;
+  }
+  if (!response.ok) {
+    await response.body?.cancel();
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response;
+}
+
+/**
+ * A transaction's data and tags, checked against its signature and data root
+ * Anything that doesn't verify counts as a gateway failure, so the next gateway is tried.
+ */
+async function fetchVerified(pool, id) {
+  const { result, gateway } = await pool.request(async base => {
+    const headerResponse = await fetchOk(`${base}/tx/${id}`);
+    if (!headerResponse) return null;
+    const tx = verifier.transactions.fromRaw(await headerResponse.json());
+
+    // The ID is the hash of the signature, and the signature covers tags, data_root and data_size
+    if (tx.id !== id || !(await verifier.transactions.verify(tx))) throw new Error(`Invalid signature for ${id}`);
+    if (tx.format !== 2) throw new Error(`Unsupported transaction format ${tx.format} for ${id}`);
+
+    const dataResponse = await fetchOk(`${base}/${id}`);
+    if (!dataResponse) return null;
+    const data = Buffer.from(await dataResponse.arrayBuffer());
+
+    if (String(data.length) !== tx.data_size) throw new Error(`Data size mismatch for ${id}`);
+    const root = Buffer.from(await computeRootHash(data)).toString('base64url');
+    if (root !== tx.data_root) throw new Error(`Data root mismatch for ${id}`);
+
+    return { data, tags: decodeTags(tx) };
+  });
+
+  return { ...result, gateway };
+}
+
+function decodeTags(tx) {
+  const tags = {};
+  tx.get('tags').forEach(tag => {
+    tags[tag.get('name', { decode: true, string: true })] = tag.get('value', { decode: true, string: true });
+  });
+  return tags;
+}
+
+module.exports = { createGatewayPool, fetchVerified };
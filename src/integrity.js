@@ -0,0 +1,89 @@
+// src/integrity.js: Content digests for salvaged souls
+// One canonical SHA-256 for the whole soul (tagged, and used to spot identical re-salvages)
+// plus one per workspace file, so a reviver can check every file it writes.
+const crypto = require('crypto');
+
+const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+/**
+ * Canonical JSON: object keys sorted, no whitespace, undefined members left out
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(v => canonicalJson(v) ?? 'null').join(',')}]`;
+  if (value && typeof value === 'object') {
+    const members = Object.keys(value).sort()
+      .filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`);
+    return `{${members.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * The canonical bytes of a soul (what soul hashes and agent signatures cover), with each
+ * attachment reduced to { path, content_type, sha256 } — inline attachments are uploaded
+ * separately and replaced by references, so only their content counts, not where it ended up
+ */
+function canonicalSoulBytes(soul) {
+  const attachments = Array.isArray(soul?.attachments)
+    ? soul.attachments.map(a => ({
+      path: a.path,
+      content_type: a.content_type,
+      sha256: typeof a.data === 'string' ? sha256(Buffer.from(a.data.replace(/\s+/g, ''), 'base64')) : a.sha256
+    }))
+    : soul?.attachments;
+  return Buffer.from(canonicalJson({ ...soul, attachments }));
+}
+
+/**
+ * Hex SHA-256 of the canonical soul
+ */
+function soulDigest(soul) {
+  return sha256(canonicalSoulBytes(soul));
+}
+
+/**
+ * Per-file hashes of the soul's files[] and memory entries, keyed by their workspace path
+ * (MEMORY.md, memory/<date>.md, files[].path) — the paths the files/openclaw revive formats use
+ */
+function contentHashes(soul) {
+  const hashes = {};
+  const memory = typeof soul?.memory === 'string' ? { long_term: soul.memory } : soul?.memory;
+  if (typeof memory?.long_term === 'string') hashes['MEMORY.md'] = sha256(memory.long_term);
+  for (const log of Array.isArray(memory?.daily_logs) ? memory.daily_logs : []) {
+    if (log.date && typeof log.content === 'string') hashes[`memory/${log.date}.md`] = sha256(log.content);
+  }
+  // files[] win over memory entries with the same path, as in the workspace itself
+  for (const f of Array.isArray(soul?.files) ? soul.files : []) {
+    if (f.path && typeof f.content === 'string') hashes[f.path] = sha256(f.content);
+  }
+  return hashes;
+}
+
+/**
+ * The integrity block stored in a salvage payload
+ */
+function soulIntegrity(soul) {
+  return { algorithm: 'sha256', soul: soulDigest(soul), files: contentHashes(soul) };
+}
+
+/**
+ * Check a revived soul against the integrity block recorded at salvage time
+ * recorded: false for salvages from before hashes were recorded (and private souls)
+ */
+function checkIntegrity(soul, recorded) {
+  const digest = soulDigest(soul);
+  if (!recorded?.soul) return { recorded: false, soul_sha256: digest };
+
+  const current = contentHashes(soul);
+  const mismatched = Object.keys(recorded.files || {}).filter(path => current[path] !== recorded.files[path]);
+  return {
+    recorded: true,
+    verified: digest === recorded.soul && mismatched.length === 0,
+    soul_sha256: digest,
+    files_checked: Object.keys(recorded.files || {}).length,
+    ...(mismatched.length && { mismatched })
+  };
+}
+
+module.exports = { sha256, canonicalJson, canonicalSoulBytes, soulDigest, contentHashes, soulIntegrity, checkIntegrity };
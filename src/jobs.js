@@ -0,0 +1,261 @@
+// src/jobs.js: Persistent background jobs and Idempotency-Key bookkeeping
+// A job row holds the request until it has run and then its response, so a repeated
+// Idempotency-Key gets the original answer back. Handlers are registered per job type.
+const crypto = require('crypto');
+const { getDb } = require('./db');
+const { getAccount } = require('./auth');
+
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 5;
+const BASE_BACKOFF_MS = 15_000; // 15s, 30s, 1m, 2m … capped at MAX_BACKOFF_MS
+const MAX_BACKOFF_MS = 30 * 60_000;
+
+// A running job renews its lease this often; one not renewed for LEASE_MS was lost
+// (e.g. to a restart) and is picked up again
+const LEASE_RENEW_MS = 30_000;
+const LEASE_MS = 2 * 60_000;
+
+// From 'uploading' on the soul may already be stored. Once the upload returns, its tx ID is
+// kept on the job and no later attempt uploads again; an attempt lost before that point is
+// not run again either, as it could store (and bill) the soul twice.
+const UPLOAD_STAGES = ['uploading', 'linking_attachments', 'recording'];
+
+// Finished jobs — and with them their idempotency keys — are kept this long
+const JOB_TTL_MS = (parseFloat(process.env.JOB_TTL_HOURS) || 24) * 3_600_000;
+
+const MAX_KEY_LENGTH = 255;
+
+const HANDLERS = new Map();
+
+/**
+ * handler(job, { account, progress, stored }) resolves to the response { status, body }
+ * Status 5xx (or a throw) is retried with backoff — unless stored(txId) was called, by
+ * this attempt or an earlier one (job.txId) — anything else finishes the job.
+ */
+function registerJobHandler(type, handler) {
+  if (HANDLERS.has(type)) throw new Error(`Job handler already registered: ${type}`);
+  HANDLERS.set(type, handler);
+}
+
+function rowToJob(row) {
+  return {
+    id: row.id,
+    accountId: row.account_id,
+    type: row.type,
+    sync: !!row.sync,
+    idempotencyKey: row.idempotency_key,
+    status: row.status,
+    stage: row.stage,
+    attempts: row.attempts,
+    maxAttempts: MAX_ATTEMPTS,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error,
+    txId: row.tx_id,
+    responseStatus: row.response_status,
+    response: row.response ? JSON.parse(row.response) : null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    startedAt: row.started_at,
+    completedAt: row.completed_at
+  };
+}
+
+/**
+ * Fingerprint of a request, to tell a retry from a different request reusing a key
+ */
+function hashRequest(route, body) {
+  return crypto.createHash('sha256').update(`${route}\n${JSON.stringify(body)}`).digest('hex');
+}
+
+/**
+ * The job already created for this Idempotency-Key, or null
+ */
+async function findIdempotentJob(accountId, key, requestHash) {
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    throw new Error(`Invalid Idempotency-Key: 1 to ${MAX_KEY_LENGTH} characters`);
+  }
+
+  const db = getDb();
+  const row = db.prepare('SELECT * FROM jobs WHERE account_id = ? AND idempotency_key = ?').get(accountId, key);
+  if (!row) return null;
+  if (row.request_hash !== requestHash) throw new Error('Idempotency-Key already used for a different request');
+
+  // A synchronous request that never finished (the server went down mid-salvage) gives its key
+  // back — unless its upload had begun, which ends the request as interrupted instead
+  if (row.sync && row.status === 'running' && Date.now() - new Date(row.updated_at) > LEASE_MS) {
+    if (!row.tx_id && !UPLOAD_STAGES.includes(row.stage)) {
+      db.prepare('DELETE FROM jobs WHERE id = ?').run(row.id);
+      return null;
+    }
+    await completeJob(row.id, interrupted(row));
+    return rowToJob(db.prepare('SELECT * FROM jobs WHERE id = ?').get(row.id));
+  }
+  return rowToJob(row);
+}
+
+/**
+ * Queue a job, or with sync: true just hold an Idempotency-Key for a request
+ * that runs inline (finish it with completeJob or discardJob)
+ */
+async function createJob(accountId, { type, idempotencyKey = null, requestHash, request = null, sync = false }) {
+  const db = getDb();
+  const id = `job_${crypto.randomBytes(12).toString('hex')}`;
+  const now = new Date().toISOString();
+
+  try {
+    db.prepare(`
+      INSERT INTO jobs (id, account_id, type, sync, idempotency_key, request_hash, request, status, stage, next_attempt_at,
+        created_at, updated_at, started_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, accountId, type, sync ? 1 : 0, idempotencyKey, requestHash, request && JSON.stringify(request),
+      sync ? 'running' : 'queued', sync ? 'running' : 'queued', sync ? null : now, now, now, sync ? now : null);
+  } catch (err) {
+    // Two requests racing with the same key
+    if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') throw new Error('Idempotency-Key is already in use by a request in progress');
+    throw err;
+  }
+
+  if (!sync) setImmediate(() => processJobs().catch(err => console.error('[Jobs] Run failed:', err)));
+  return rowToJob(db.prepare('SELECT * FROM jobs WHERE id = ?').get(id));
+}
+
+/**
+ * Store a job's final response; the request (the soul) is dropped
+ */
+async function completeJob(id, { status, body }) {
+  const now = new Date().toISOString();
+  getDb().prepare(`
+    UPDATE jobs SET status = ?, stage = 'done', response_status = ?, response = ?, request = NULL, next_attempt_at = NULL,
+      completed_at = ?, updated_at = ?
+    WHERE id = ?
+  `).run(status < 400 ? 'succeeded' : 'failed', status, JSON.stringify(body), now, now, id);
+}
+
+/**
+ * Forget a job (a synchronous request that failed server-side, so its key can be used again)
+ */
+async function discardJob(id) {
+  getDb().prepare('DELETE FROM jobs WHERE id = ?').run(id);
+}
+
+async function getJob(accountId, id) {
+  const row = getDb().prepare('SELECT * FROM jobs WHERE id = ? AND account_id = ?').get(id, accountId);
+  if (!row) throw new Error('Job not found');
+  return rowToJob(row);
+}
+
+/**
+ * Hold a running job's lease while it works: { progress(stage), stored(txId), release() }
+ * progress records the stage; stored records the tx ID the upload returned.
+ */
+function holdJob(id) {
+  const db = getDb();
+  const now = () => new Date().toISOString();
+  const timer = setInterval(() => {
+    db.prepare("UPDATE jobs SET updated_at = ? WHERE id = ? AND status = 'running'").run(now(), id);
+  }, LEASE_RENEW_MS);
+  timer.unref();
+
+  return {
+    progress: stage => db.prepare('UPDATE jobs SET stage = ?, updated_at = ? WHERE id = ?').run(stage, now(), id),
+    stored: txId => db.prepare('UPDATE jobs SET tx_id = ?, updated_at = ? WHERE id = ?').run(txId, now(), id),
+    release: () => clearInterval(timer)
+  };
+}
+
+// Response for a job lost mid-upload: the soul may have been stored, so it isn't tried again
+function interrupted(row) {
+  const error = 'Salvage interrupted after its upload began — not retried, so the soul is not stored or billed twice. '
+    + 'Check GET /api/v1/salvages before salvaging it again.';
+  return { status: 500, body: { error, tx_id: row.tx_id || null } };
+}
+
+function backoff(attempts) {
+  return Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+}
+
+async function runJob(row) {
+  const db = getDb();
+  const started = new Date().toISOString();
+  // Claim it — another process may have got there first
+  const claimed = db.prepare(`
+    UPDATE jobs SET status = 'running', stage = 'starting', attempts = attempts + 1, started_at = COALESCE(started_at, ?),
+      updated_at = ?
+    WHERE id = ? AND status = ? AND updated_at = ?
+  `).run(started, started, row.id, row.status, row.updated_at);
+  if (claimed.changes === 0) return;
+
+  // Lost while uploading, before the upload returned a tx ID: it may have gone through
+  if (row.status === 'running' && !row.tx_id && UPLOAD_STAGES.includes(row.stage)) {
+    console.log(`[Jobs] ${row.id} was lost mid-upload — not run again`);
+    return completeJob(row.id, interrupted(row));
+  }
+
+  const hold = holdJob(row.id);
+  let outcome;
+  try {
+    const handler = HANDLERS.get(row.type);
+    if (!handler) throw new Error(`No handler for job type: ${row.type}`);
+    const account = await getAccount(row.account_id);
+    if (!account) return completeJob(row.id, { status: 404, body: { error: 'Account not found' } });
+
+    outcome = await handler({ ...rowToJob(row), request: JSON.parse(row.request) }, {
+      account, progress: hold.progress, stored: hold.stored
+    });
+  } catch (err) {
+    console.error(`[Jobs] ${row.id} failed:`, err);
+    outcome = { status: 500, body: { error: err.message } };
+  } finally {
+    hold.release();
+  }
+
+  // Once a tx ID is known the soul is stored: a retry would only upload it again
+  const attempts = row.attempts + 1;
+  const { tx_id: txId } = db.prepare('SELECT tx_id FROM jobs WHERE id = ?').get(row.id);
+  if (outcome.status < 500 || attempts >= MAX_ATTEMPTS || txId) return completeJob(row.id, outcome);
+
+  const now = new Date();
+  db.prepare(`
+    UPDATE jobs SET status = 'queued', stage = 'retry_scheduled', next_attempt_at = ?, last_error = ?, updated_at = ? WHERE id = ?
+  `).run(new Date(now.getTime() + backoff(attempts)).toISOString(), outcome.body?.error || `HTTP ${outcome.status}`,
+    now.toISOString(), row.id);
+  console.log(`[Jobs] ${row.id} attempt ${attempts} failed (${outcome.body?.error}) — retrying`);
+}
+
+let running = null;
+
+/**
+ * Run queued jobs that are due, one at a time (overlapping calls share the run)
+ */
+function processJobs() {
+  if (running) return running;
+  running = (async () => {
+    let ran = 0;
+    for (;;) {
+      const now = new Date();
+      const row = getDb().prepare(`
+        SELECT * FROM jobs
+        WHERE sync = 0 AND ((status = 'queued' AND next_attempt_at <= ?) OR (status = 'running' AND updated_at <= ?))
+        ORDER BY next_attempt_at LIMIT 1
+      `).get(now.toISOString(), new Date(now.getTime() - LEASE_MS).toISOString());
+      if (!row) return { ran };
+
+      await runJob(row);
+      ran++;
+    }
+  })().finally(() => { running = null; });
+  return running;
+}
+
+/**
+ * Remove finished jobs past JOB_TTL_HOURS (their idempotency keys become reusable)
+ */
+async function purgeJobs() {
+  const cutoff = new Date(Date.now() - JOB_TTL_MS).toISOString();
+  const { changes } = getDb().prepare('DELETE FROM jobs WHERE completed_at IS NOT NULL AND completed_at < ?').run(cutoff);
+  return { removed: changes };
+}
+
+module.exports = {
+  registerJobHandler, hashRequest, findIdempotentJob, createJob, holdJob, completeJob, discardJob, getJob, processJobs,
+  purgeJobs
+};
@@ -1,19 +1,18 @@
 // src/payments.js: Multi-currency payment processing
 // Accepts: USD (Stripe), SOL, AR, ETH, USDC, BTC
-const { upgradeTier } = require('./auth');
-
-// Pricing in USD equivalent
-const TIER_PRICES = {
-  pro: 5,        // $5/month
-  enterprise: 25 // $25/month
-};
+const crypto = require('crypto');
+const { getDb, transaction } = require('./db');
+const { TIERS } = require('./quota');
+const { verifierFor, toBaseUnits, fromBaseUnits, DECIMALS, MIN_CONFIRMATIONS } = require('./verifiers');
+const { getPrice } = require('./prices');
+const { emitTierChange } = require('./webhooks');
 
 // Accepted payment wallets/addresses
 const PAYMENT_ADDRESSES = {
   SOL: process.env.SOL_WALLET || null,
   AR: process.env.AR_WALLET || null,
   ETH: process.env.ETH_WALLET || null,
-  USDC: process.env.USDC_WALLET || null,  // On Solana or Ethereum
+  USDC: process.env.USDC_WALLET || null,  // Solana wallet (SPL USDC)
   BTC: process.env.BTC_WALLET || null
 };
 
@@ -55,11 +54,11 @@ function getPaymentMethods() {
 
   return {
     methods,
-    tiers: {
-      free: { price: 0, salvages_per_month: 1, max_size: '1MB' },
-      pro: { price: TIER_PRICES.pro, salvages_per_month: 'unlimited', max_size: '100MB' },
-      enterprise: { price: TIER_PRICES.enterprise, salvages_per_month: 'unlimited', max_size: 'unlimited' }
-    }
+    tiers: Object.fromEntries(Object.entries(TIERS).map(([name, t]) => [name, {
+      price: t.price_usd,
+      salvages_per_month: t.salvages_per_period ?? 'unlimited',
+      max_size: t.max_salvage_bytes == null ? 'unlimited' : `${t.max_salvage_bytes / 1_048_576}MB`
+    }]))
   };
 }
 
@@ -67,7 +66,7 @@ function getPaymentMethods() {
  * Create a payment intent
  */
 async function createPayment({ accountId, currency, tier }) {
-  const price = TIER_PRICES[tier];
+  const price = TIERS[tier]?.price_usd;
   if (!price) throw new Error(`Unknown tier: ${tier}`);
 
   currency = currency.toUpperCase();
@@ -96,11 +95,21 @@ async function createPayment({ accountId, currency, tier }) {
       mode: 'subscription',
       success_url: `${process.env.BASE_URL || 'http://localhost:3000'}/ui/payment-success?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: `${process.env.BASE_URL || 'http://localhost:3000'}/ui/payment-cancel`,
-      metadata: { accountId, tier }
+      metadata: { accountId, tier },
+      subscription_data: { metadata: { accountId, tier } }
     });
 
+    // Ledger entry for the checkout; the webhook confirms it
+    const paymentId = `pay_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+    const now = new Date().toISOString();
+    getDb().prepare(`
+      INSERT INTO payments (id, account_id, provider, currency, tier, amount_usd, status, provider_ref, created_at, updated_at)
+      VALUES (?, ?, 'stripe', 'USD', ?, ?, 'awaiting_payment', ?, ?, ?)
+    `).run(paymentId, accountId, tier, price, session.id, now, now);
+
     return {
       type: 'stripe_checkout',
+      payment_id: paymentId,
       checkout_url: session.url,
       session_id: session.id,
       amount: price,
@@ -114,58 +123,442 @@ async function createPayment({ accountId, currency, tier }) {
     throw new Error(`${currency} payments not configured. Available: ${Object.keys(PAYMENT_ADDRESSES).filter(k => PAYMENT_ADDRESSES[k]).join(', ')}`);
   }
 
-  // For crypto we return payment instructions
-  // Verification happens async via /payments/verify
-  const paymentId = `pay_${Date.now()}_${accountId.slice(0, 8)}`;
-  
+  // The intent is persisted so a tx signature can later be tied to this account, amount and address
+  const paymentId = `pay_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+  const quote = await quoteAmount(currency, price);
+  const now = new Date().toISOString();
+  getDb().prepare(`
+    INSERT INTO payments (id, account_id, provider, currency, tier, amount_usd, status, address, amount, rate_usd,
+      price_source, quote_expires_at, created_at, updated_at)
+    VALUES (?, ?, 'crypto', ?, ?, ?, 'awaiting_payment', ?, ?, ?, ?, ?, ?, ?)
+  `).run(paymentId, accountId, currency, tier, price, address, quote.amount, quote.rate, quote.source, quote.expiresAt, now, now);
+
   return {
     type: 'crypto',
-    payment_id: paymentId,
-    currency,
-    amount_usd: price,
-    send_to: address,
-    instructions: `Send $${price} equivalent of ${currency} to ${address}. Then call POST /api/v1/payments/verify with { payment_id: "${paymentId}", tx_signature: "<your tx hash>" }`,
-    note: 'After verification, your account will be upgraded automatically.'
+    ...rowToPayment(getDb().prepare('SELECT * FROM payments WHERE id = ?').get(paymentId)),
+    instructions: paymentInstructions({ id: paymentId, amount: quote.amount, currency, address, expiresAt: quote.expiresAt }),
+    note: verifierFor(currency)
+      ? 'Once the transfer is confirmed on-chain, your account is upgraded automatically.'
+      : 'Payments in this currency are verified manually — your account will be upgraded within 24 hours.'
   };
 }
 
+function paymentInstructions({ id, amount, currency, address, expiresAt }) {
+  return `Send exactly ${amount} ${currency} to ${address} before ${expiresAt}. ` +
+    `Then call POST /api/v1/payments/verify with { payment_id: "${id}", tx_signature: "<your tx hash>" }`;
+}
+
+// How long a quoted crypto amount is honoured
+const QUOTE_TTL_MS = (parseFloat(process.env.QUOTE_TTL_MINUTES) || 15) * 60_000;
+// The last QUOTE_TAG_DIGITS digits of a quoted amount differ between open quotes,
+// so every incoming transfer matches exactly one intent
+const QUOTE_TAG_DIGITS = 3;
+
 /**
- * Verify a crypto payment (basic — checks tx exists, amount TBD)
- * In production: use chain-specific verification (Solana RPC, Etherscan, etc.)
+ * Exact amount of `currency` for `usd` at the current price, locked for QUOTE_TTL_MS
+ * { amount, rate, source, expiresAt }
  */
-async function verifyPayment({ paymentId, txSignature }) {
-  // Extract currency from payment context
-  // For now: manual verification flag
-  // TODO: Implement chain-specific verification:
-  // - SOL/USDC: Use @solana/web3.js to check transfer
-  // - ETH: Use ethers.js to check transfer
-  // - AR: Use Arweave SDK
-  // - BTC: Use blockstream API
-  
-  console.log(`[Payment] Verification request: ${paymentId} | TX: ${txSignature}`);
+async function quoteAmount(currency, usd) {
+  const { price, source } = await getPrice(currency);
+  const tagScale = 10n ** BigInt(QUOTE_TAG_DIGITS);
+  const roundedScale = 10 ** (DECIMALS[currency] - QUOTE_TAG_DIGITS);
+  // Rounded up at the tag's position, so the tag only ever adds to the price
+  const base = BigInt(Math.ceil((usd / price) * roundedScale - 1e-6)) * tagScale;
+
+  const now = new Date();
+  const taken = new Set(getDb().prepare(`
+    SELECT amount FROM payments
+    WHERE currency = ? AND status IN ('awaiting_payment', 'pending_confirmation') AND quote_expires_at > ?
+  `).all(currency, now.toISOString()).map(r => r.amount));
 
+  // Random tags first, then a scan, so concurrent quotes rarely collide
+  const candidates = [
+    ...Array.from({ length: 20 }, () => 1 + crypto.randomInt(Number(tagScale) - 1)),
+    ...Array.from({ length: Number(tagScale) - 1 }, (_, i) => i + 1)
+  ];
+  for (const tag of candidates) {
+    const amount = fromBaseUnits(base + BigInt(tag), currency);
+    if (!taken.has(amount)) {
+      return { amount, rate: price, source, expiresAt: new Date(now.getTime() + QUOTE_TTL_MS).toISOString() };
+    }
+  }
+  throw new Error(`Too many open ${currency} quotes for this amount — try again shortly`);
+}
+
+function rowToPayment(row) {
   return {
-    payment_id: paymentId,
+    payment_id: row.id,
+    provider: row.provider,
+    currency: row.currency,
+    tier: row.tier,
+    amount_usd: row.amount_usd,
+    amount: row.amount,
+    send_to: row.address,
+    status: row.status,
+    tx_signature: row.tx_signature,
+    confirmations: row.confirmations,
+    rate_usd: row.rate_usd,
+    price_source: row.price_source,
+    quote_expires_at: row.quote_expires_at,
+    provider_ref: row.provider_ref,
+    period_start: row.period_start,
+    period_end: row.period_end,
+    created_at: row.created_at,
+    verified_at: row.verified_at
+  };
+}
+
+// Transfers made before the intent existed can't pay for it (allowing for clock skew)
+const CLOCK_SKEW_MS = 5 * 60_000;
+
+/**
+ * Verify a crypto payment on-chain and upgrade the account once it's confirmed
+ * Checks the recipient, the exact quoted amount, confirmations, that the
+ * transfer was made while the quote was locked, and that it hasn't paid for
+ * another intent. A transfer not seen on-chain yet leaves the payment as it
+ * was; until it has enough confirmations the payment stays
+ * 'pending_confirmation' — call again to re-check. An expired quote
+ * with no transfer is re-quoted at the current price ({ requoted: true }).
+ */
+async function verifyPayment({ accountId, paymentId, txSignature }) {
+  const db = getDb();
+  const row = db.prepare("SELECT * FROM payments WHERE id = ? AND account_id = ? AND provider = 'crypto'").get(paymentId, accountId);
+  if (!row) throw new Error('Payment not found');
+  const reload = () => rowToPayment(db.prepare('SELECT * FROM payments WHERE id = ?').get(paymentId));
+
+  if (row.status === 'confirmed') {
+    if (row.tx_signature !== txSignature) throw new Error('Payment already confirmed with another transaction');
+    return { ...rowToPayment(row), message: 'Payment already confirmed.' };
+  }
+
+  const used = db.prepare('SELECT id FROM payments WHERE tx_signature = ? AND id != ?').get(txSignature, paymentId);
+  if (used) throw new Error('Transaction already used for another payment');
+
+  const verify = verifierFor(row.currency);
+  if (!verify) {
+    updatePayment(paymentId, { status: 'pending_review', tx_signature: txSignature });
+    console.log(`[Payment] Manual review: ${paymentId} | TX: ${txSignature}`);
+    return {
+      ...reload(),
+      message: 'Payment recorded. Manual verification in progress — your account will be upgraded within 24 hours.'
+    };
+  }
+
+  let result;
+  try {
+    result = await verify({ txSignature, address: row.address });
+  } catch (err) {
+    throw new Error(`Chain lookup failed (${row.currency}): ${err.message}`);
+  }
+
+  const quoteExpiresAt = Date.parse(row.quote_expires_at);
+  if (!result.found && quoteExpiresAt <= Date.now()) {
+    const quote = await quoteAmount(row.currency, row.amount_usd);
+    updatePayment(paymentId, {
+      status: 'awaiting_payment', tx_signature: null, confirmations: null, amount: quote.amount,
+      rate_usd: quote.rate, price_source: quote.source, quote_expires_at: quote.expiresAt
+    });
+    console.log(`[Payment] Re-quoted ${paymentId}: ${quote.amount} ${row.currency}`);
+    return {
+      ...reload(),
+      requoted: true,
+      instructions: paymentInstructions({ id: paymentId, amount: quote.amount, currency: row.currency, address: row.address, expiresAt: quote.expiresAt }),
+      message: `Quote expired before the transaction was seen — the payment has been re-quoted at ${quote.amount} ${row.currency}.`
+    };
+  }
+
+  // Nothing is stored until the transfer is seen paying this intent's address: a signature
+  // that isn't on-chain yet would otherwise claim it, and lock out the real payer's
+  if (!result.found || result.pending) {
+    return {
+      ...reload(),
+      required_confirmations: MIN_CONFIRMATIONS[row.currency],
+      message: result.found
+        ? 'Transaction seen but not yet mined. Call verify again shortly.'
+        : 'Transaction not found yet. Call verify again once it has been broadcast.'
+    };
+  }
+
+  if (!result.success) throw new Error('Payment verification failed: the transaction failed on-chain');
+  const expected = toBaseUnits(row.amount, row.currency);
+  if (result.recipientReceived !== expected) {
+    const received = fromBaseUnits(result.recipientReceived > 0n ? result.recipientReceived : 0n, row.currency);
+    throw new Error(`Payment verification failed: ${received} ${row.currency} sent to ${row.address}, expected exactly ${row.amount}`);
+  }
+
+  // Without a block time (not reported yet) the transfer counts as made now
+  const madeAt = result.timestamp ? result.timestamp * 1000 : Date.now();
+  if (madeAt < Date.parse(row.created_at) - CLOCK_SKEW_MS) {
+    throw new Error('Payment verification failed: the transaction predates this payment');
+  }
+  // Paid, but after the price lock ran out: someone has to look at it
+  if (madeAt > quoteExpiresAt + CLOCK_SKEW_MS) {
+    updatePayment(paymentId, { status: 'pending_review', tx_signature: txSignature, confirmations: result.confirmations });
+    console.log(`[Payment] Late transfer, manual review: ${paymentId} | TX: ${txSignature}`);
+    return {
+      ...reload(),
+      message: `The transfer was made after the quote expired (${row.quote_expires_at}). It has been sent for manual review.`
+    };
+  }
+
+  const confirmed = result.confirmed;
+  updatePayment(paymentId, {
+    status: confirmed ? 'confirmed' : 'pending_confirmation',
     tx_signature: txSignature,
-    status: 'pending_review',
-    message: 'Payment recorded. Manual verification in progress — your account will be upgraded within 24 hours.',
-    note: 'Automated on-chain verification coming soon.'
+    confirmations: result.confirmations
+  });
+
+  if (confirmed) {
+    const periodEnd = confirmCryptoPayment(paymentId, accountId, row.tier);
+    console.log(`[Payment] ${row.currency} upgrade: ${accountId} → ${row.tier} until ${periodEnd} | TX: ${txSignature}`);
+  }
+
+  const payment = reload();
+  return {
+    ...payment,
+    required_confirmations: MIN_CONFIRMATIONS[row.currency],
+    message: confirmed
+      ? `Payment confirmed — account upgraded to ${row.tier}.`
+      : `Waiting for confirmations (${payment.confirmations}/${MIN_CONFIRMATIONS[row.currency]}). Call verify again shortly.`
   };
 }
 
 /**
- * Stripe webhook handler (call from server.js route)
+ * One calendar month after `date` (clamped: Jan 31 → Feb 28/29)
  */
-async function handleStripeWebhook(event) {
-  if (event.type === 'checkout.session.completed') {
-    const session = event.data.object;
-    const { accountId, tier } = session.metadata;
-    
-    if (accountId && tier) {
-      await upgradeTier(accountId, tier);
+function addMonth(date) {
+  const next = new Date(date);
+  next.setUTCMonth(next.getUTCMonth() + 1);
+  if (next.getUTCDate() !== new Date(date).getUTCDate()) next.setUTCDate(0);
+  return next;
+}
+
+/**
+ * Mark a crypto payment confirmed and give the account its tier for one month
+ * Paying again for the same tier before it ends extends the current period.
+ * Returns the new period end.
+ */
+function confirmCryptoPayment(paymentId, accountId, tier) {
+  return transaction(() => {
+    const db = getDb();
+    const now = new Date();
+    const account = db.prepare('SELECT tier, billing_provider, current_period_end FROM accounts WHERE id = ?').get(accountId);
+    const renewing = account.billing_provider === 'crypto' && account.tier === tier && account.current_period_end > now.toISOString();
+    const start = renewing ? new Date(account.current_period_end) : now;
+    const end = addMonth(start).toISOString();
+
+    db.prepare(`
+      UPDATE payments SET status = 'confirmed', verified_at = ?, period_start = ?, period_end = ?, updated_at = ? WHERE id = ?
+    `).run(now.toISOString(), start.toISOString(), end, now.toISOString(), paymentId);
+    db.prepare(`
+      UPDATE accounts SET tier = ?, upgraded_at = ?, billing_provider = 'crypto', current_period_end = ?, grace_until = NULL WHERE id = ?
+    `).run(tier, now.toISOString(), end, accountId);
+    emitTierChange(accountId, account.tier, tier, 'crypto_payment');
+    return end;
+  });
+}
+
+function updatePayment(paymentId, fields) {
+  const sets = Object.keys(fields).map(k => `${k} = ?`).join(', ');
+  try {
+    getDb().prepare(`UPDATE payments SET ${sets}, updated_at = ? WHERE id = ?`)
+      .run(...Object.values(fields), new Date().toISOString(), paymentId);
+  } catch (err) {
+    // Two intents racing for the same transaction
+    if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') throw new Error('Transaction already used for another payment');
+    throw err;
+  }
+}
+
+// How long a lapsed subscription keeps its tier before dropping to free
+const GRACE_PERIOD_MS = (parseFloat(process.env.STRIPE_GRACE_DAYS) || 3) * 86_400_000;
+
+/**
+ * Verify a Stripe-Signature header against the raw request body
+ * Returns the parsed event; throws "Invalid webhook signature: ..." otherwise
+ */
+function constructStripeEvent(rawBody, signature, secret = process.env.STRIPE_WEBHOOK_SECRET) {
+  if (!secret) throw new Error('Stripe webhooks not configured');
+  if (!signature) throw new Error('Invalid webhook signature: missing Stripe-Signature header');
+
+  try {
+    return require('stripe').webhooks.constructEvent(rawBody, signature, secret);
+  } catch (err) {
+    throw new Error(`Invalid webhook signature: ${err.message.split('\n')[0].trim()}`);
+  }
+}
+
+// Invoices reference their subscription at the top level (older API versions) or under parent
+function invoiceSubscription(invoice) {
+  const ref = invoice.subscription || invoice.parent?.subscription_details?.subscription;
+  return typeof ref === 'object' && ref ? ref.id : ref;
+}
+
+function accountForSubscription(db, subscriptionId) {
+  if (!subscriptionId) return null;
+  return db.prepare(`
+    SELECT id, tier, subscription_status, subscription_tier, grace_until, billing_provider FROM accounts WHERE stripe_subscription_id = ?
+  `)
+    .get(subscriptionId);
+}
+
+const fromUnix = seconds => (seconds ? new Date(seconds * 1000).toISOString() : null);
+
+// Billing period an invoice pays for (its subscription line)
+function invoicePeriod(invoice) {
+  const period = invoice.lines?.data?.[0]?.period;
+  return { start: fromUnix(period?.start), end: fromUnix(period?.end) };
+}
+
+/**
+ * Insert or update the ledger entry for a Stripe checkout session or invoice
+ */
+function recordStripePayment(db, { accountId, ref, tier, amountUsd, status, periodStart = null, periodEnd = null }, now) {
+  db.prepare(`
+    INSERT INTO payments (id, account_id, provider, currency, tier, amount_usd, status, provider_ref, period_start, period_end,
+      verified_at, created_at, updated_at)
+    VALUES (?, ?, 'stripe', 'USD', ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (provider_ref) DO UPDATE SET
+      status = excluded.status, amount_usd = excluded.amount_usd,
+      period_start = COALESCE(excluded.period_start, period_start), period_end = COALESCE(excluded.period_end, period_end),
+      verified_at = COALESCE(excluded.verified_at, verified_at), updated_at = excluded.updated_at
+  `).run(`pay_${now.getTime()}_${crypto.randomBytes(6).toString('hex')}`, accountId, tier, amountUsd, status, ref,
+    periodStart, periodEnd, status === 'confirmed' ? now.toISOString() : null, now.toISOString(), now.toISOString());
+}
+
+/**
+ * Apply one subscription lifecycle event to the account it belongs to
+ * Returns the affected account ID, or null if the event isn't for one of ours.
+ */
+function applyStripeEvent(db, event, now) {
+  const object = event.data.object;
+
+  switch (event.type) {
+    case 'checkout.session.completed': {
+      const { accountId, tier } = object.metadata || {};
+      if (!accountId || !TIERS[tier] || tier === 'free') return null;
+      const previous = db.prepare('SELECT tier FROM accounts WHERE id = ?').get(accountId);
+
+      // Monthly subscriptions are anchored on the checkout: the first period starts now
+      const periodEnd = addMonth(now).toISOString();
+      const result = db.prepare(`
+        UPDATE accounts SET tier = ?, upgraded_at = ?, stripe_customer_id = ?, stripe_subscription_id = ?,
+          subscription_tier = ?, subscription_status = 'active', grace_until = NULL,
+          billing_provider = 'stripe', current_period_end = ?
+        WHERE id = ?
+      `).run(tier, now.toISOString(), object.customer || null, object.subscription || null, tier, periodEnd, accountId);
+      if (result.changes === 0) return null;
+
+      recordStripePayment(db, {
+        accountId, ref: object.id, tier, status: 'confirmed', periodStart: now.toISOString(), periodEnd,
+        amountUsd: object.amount_total != null ? object.amount_total / 100 : TIERS[tier].price_usd
+      }, now);
+
+      emitTierChange(accountId, previous.tier, tier, 'stripe_checkout');
       console.log(`[Payment] Stripe upgrade: ${accountId} → ${tier}`);
+      return accountId;
+    }
+
+    // A renewal went through: clear any grace period, restoring the tier if it had already lapsed
+    // (a late invoice for a canceled subscription doesn't revive it)
+    case 'invoice.paid': {
+      const account = accountForSubscription(db, invoiceSubscription(object));
+      if (!account || account.subscription_status === 'canceled') return null;
+
+      const period = invoicePeriod(object);
+      db.prepare(`
+        UPDATE accounts SET tier = COALESCE(subscription_tier, tier), subscription_status = 'active', grace_until = NULL,
+          billing_provider = 'stripe', current_period_end = COALESCE(?, current_period_end)
+        WHERE id = ?
+      `).run(period.end, account.id);
+
+      // The first invoice is already in the ledger as the checkout
+      if (object.billing_reason !== 'subscription_create') {
+        recordStripePayment(db, {
+          accountId: account.id, ref: object.id, tier: account.subscription_tier, status: 'confirmed',
+          amountUsd: (object.amount_paid ?? 0) / 100, periodStart: period.start, periodEnd: period.end
+        }, now);
+      }
+      if (account.subscription_tier) emitTierChange(account.id, account.tier, account.subscription_tier, 'stripe_renewal');
+      return account.id;
     }
+
+    case 'invoice.payment_failed':
+    case 'customer.subscription.deleted': {
+      const subscriptionId = event.type === 'invoice.payment_failed' ? invoiceSubscription(object) : object.id;
+      const account = accountForSubscription(db, subscriptionId);
+      if (!account) return null;
+
+      // A grace period already running (failed renewal, then cancellation) is not extended, and
+      // none is started when the tier is no longer paid through Stripe (crypto or set by hand)
+      const status = event.type === 'invoice.payment_failed' ? 'past_due' : 'canceled';
+      const graceUntil = account.billing_provider === 'stripe'
+        ? account.grace_until || new Date(now.getTime() + GRACE_PERIOD_MS).toISOString()
+        : null;
+      db.prepare('UPDATE accounts SET subscription_status = ?, grace_until = ? WHERE id = ?')
+        .run(status, graceUntil, account.id);
+
+      if (event.type === 'invoice.payment_failed') {
+        const period = invoicePeriod(object);
+        recordStripePayment(db, {
+          accountId: account.id, ref: object.id, tier: account.subscription_tier, status: 'failed',
+          amountUsd: (object.amount_due ?? 0) / 100, periodStart: period.start, periodEnd: period.end
+        }, now);
+      }
+
+      console.log(`[Payment] Stripe subscription ${status}: ${account.id} (${graceUntil ? `free tier from ${graceUntil}` : 'tier not paid through Stripe — kept'})`);
+      return account.id;
+    }
+
+    default:
+      return null;
   }
 }
 
-module.exports = { getPaymentMethods, createPayment, verifyPayment, handleStripeWebhook };
+/**
+ * Stripe webhook handler (call with an event from constructStripeEvent)
+ * Events are recorded by ID, so Stripe's retries are only applied once.
+ */
+async function handleStripeWebhook(event, now = new Date()) {
+  return transaction(() => {
+    const db = getDb();
+    if (db.prepare('SELECT 1 FROM stripe_events WHERE id = ?').get(event.id)) {
+      return { event_id: event.id, type: event.type, duplicate: true, account_id: null };
+    }
+
+    const accountId = applyStripeEvent(db, event, now);
+    db.prepare('INSERT INTO stripe_events (id, type, account_id, received_at) VALUES (?, ?, ?, ?)')
+      .run(event.id, event.type, accountId, now.toISOString());
+
+    return { event_id: event.id, type: event.type, duplicate: false, account_id: accountId };
+  });
+}
+
+/**
+ * Drop accounts back to the free tier when a lapsed Stripe subscription's
+ * grace period, or the month bought with a crypto payment, has run out
+ */
+async function expireLapsedTiers(now = new Date()) {
+  const at = now.toISOString();
+  const lapsed = transaction(() => {
+    const db = getDb();
+    const graceOver = db.prepare('SELECT id, tier FROM accounts WHERE grace_until IS NOT NULL AND grace_until <= ?').all(at);
+    const periodOver = db.prepare(`
+      SELECT id, tier FROM accounts WHERE billing_provider = 'crypto' AND tier != 'free' AND current_period_end <= ?
+    `).all(at);
+
+    const downgrade = db.prepare("UPDATE accounts SET tier = 'free', grace_until = NULL WHERE id = ?");
+    graceOver.forEach(({ id, tier }) => { downgrade.run(id); emitTierChange(id, tier, 'free', 'grace_period_expired'); });
+    periodOver.forEach(({ id, tier }) => { downgrade.run(id); emitTierChange(id, tier, 'free', 'period_expired'); });
+    return { graceOver: graceOver.map(r => r.id), periodOver: periodOver.map(r => r.id) };
+  });
+
+  lapsed.graceOver.forEach(id => console.log(`[Payment] Grace period over: ${id} → free`));
+  lapsed.periodOver.forEach(id => console.log(`[Payment] Paid period over: ${id} → free`));
+  return { downgraded: lapsed.graceOver.length + lapsed.periodOver.length };
+}
+
+module.exports = {
+  getPaymentMethods, createPayment, verifyPayment, constructStripeEvent, handleStripeWebhook, expireLapsedTiers,
+  rowToPayment
+};
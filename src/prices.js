@@ -0,0 +1,68 @@
+// src/prices.js: USD prices for crypto payment quotes
+// Sources are pluggable (registerPriceSource); PRICE_SOURCE picks one, default 'static'
+const SOURCES = new Map();
+
+// Live prices are reused for this long, so a burst of quotes is one request
+const CACHE_MS = 60_000;
+const cache = new Map();
+
+/**
+ * Add a price source: fetchPrice(currency) resolves to the USD price of one unit
+ */
+function registerPriceSource(name, { description, fetchPrice }) {
+  if (SOURCES.has(name)) throw new Error(`Price source already registered: ${name}`);
+  SOURCES.set(name, { description, fetchPrice });
+}
+
+// Offline feed: <CURRENCY>_USD_PRICE environment variables
+registerPriceSource('static', {
+  description: 'Fixed prices from <CURRENCY>_USD_PRICE',
+  fetchPrice: async currency => parseFloat(process.env[`${currency}_USD_PRICE`]) || null
+});
+
+const COINGECKO_IDS = { SOL: 'solana', ETH: 'ethereum', AR: 'arweave', BTC: 'bitcoin', USDC: 'usd-coin' };
+
+// PRICE_API_URL can point at a CoinGecko-compatible mirror or a local feed
+registerPriceSource('coingecko', {
+  description: 'Live prices from the CoinGecko simple price API',
+  fetchPrice: async currency => {
+    const id = COINGECKO_IDS[currency];
+    if (!id) return null;
+
+    const base = process.env.PRICE_API_URL || 'https://api.coingecko.com/api/v3';
+    const response = await fetch(`${base}/simple/price?ids=${id}&vs_currencies=usd`, { signal: AbortSignal.timeout(10_000) });
+    if (!response.ok) throw new Error(`price API returned ${response.status}`);
+    const body = await response.json();
+    return body[id]?.usd ?? null;
+  }
+});
+
+/**
+ * USD price of one unit of `currency`: { price, source, fetchedAt }
+ * USDC is pegged at 1. Throws "Price unavailable: ..." if the source has no price.
+ */
+async function getPrice(currency, sourceName = process.env.PRICE_SOURCE || 'static') {
+  if (currency === 'USDC') return { price: 1, source: 'peg', fetchedAt: new Date().toISOString() };
+
+  const source = SOURCES.get(sourceName);
+  if (!source) throw new Error(`Unknown price source: ${sourceName} (available: ${[...SOURCES.keys()].join(', ')})`);
+
+  const key = `${sourceName}:${currency}`;
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.at < CACHE_MS) return cached.quote;
+
+  let price;
+  try {
+    price = await source.fetchPrice(currency);
+  } catch (err) {
+    throw new Error(`Price unavailable: ${currency} from "${sourceName}" (${err.message})`);
+  }
+  if (!(price > 0)) throw new Error(`Price unavailable: no ${currency} price from "${sourceName}"`);
+
+  const quote = { price, source: sourceName, fetchedAt: new Date().toISOString() };
+  // The static feed is read fresh each time (it's just the environment)
+  if (sourceName !== 'static') cache.set(key, { at: Date.now(), quote });
+  return quote;
+}
+
+module.exports = { getPrice, registerPriceSource };
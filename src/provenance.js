@@ -0,0 +1,201 @@
+// src/provenance.js: Agent-signed souls
+// Accounts register the public keys their agents sign with; a salvage can carry a detached
+// signature over the canonical soul JSON, stored with the public key as tags, and checked
+// again whenever the soul is retrieved or revived.
+const crypto = require('crypto');
+const { getDb, transaction } = require('./db');
+const { canonicalSoulBytes } = require('./integrity');
+
+const KEY_TYPES = ['ed25519', 'solana', 'ethereum'];
+const MAX_KEYS_PER_ACCOUNT = 10;
+
+const SIGNATURE_TAGS = { type: 'Signature-Type', signer: 'Signer', signature: 'Soul-Signature' };
+
+function rowToSigningKey(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    accountId: row.account_id,
+    keyType: row.key_type,
+    publicKey: row.public_key,
+    label: row.label,
+    createdAt: row.created_at,
+    revokedAt: row.revoked_at
+  };
+}
+
+/**
+ * Public key in the form it is stored and tagged:
+ * ed25519 — PEM or the raw 32 bytes as base64, stored as base64url
+ * solana — base58 address; ethereum — 0x address, stored checksummed
+ */
+function normalizePublicKey(keyType, publicKey) {
+  if (!KEY_TYPES.includes(keyType)) {
+    throw new Error(`Unknown signing key type: ${keyType} (available: ${KEY_TYPES.join(', ')})`);
+  }
+  if (typeof publicKey !== 'string' || !publicKey.trim()) throw new Error('Signing key public_key is required');
+  const value = publicKey.trim();
+
+  if (keyType === 'ed25519') {
+    try {
+      const key = value.includes('BEGIN') ? crypto.createPublicKey(value) : ed25519Key(Buffer.from(value, 'base64'));
+      if (key.asymmetricKeyType !== 'ed25519') throw new Error('not ed25519');
+      return key.export({ format: 'jwk' }).x;
+    } catch {
+      throw new Error('Signing key public_key must be an Ed25519 key (PEM, or the raw 32 bytes as base64)');
+    }
+  }
+
+  if (keyType === 'solana') {
+    const { PublicKey } = require('@solana/web3.js');
+    try {
+      return new PublicKey(value).toBase58();
+    } catch {
+      throw new Error('Signing key public_key must be a base58 Solana address');
+    }
+  }
+
+  const { getAddress } = require('ethers');
+  try {
+    return getAddress(value);
+  } catch {
+    throw new Error('Signing key public_key must be a 0x Ethereum address');
+  }
+}
+
+function ed25519Key(raw) {
+  if (raw.length !== 32) throw new Error('Ed25519 public keys are 32 bytes');
+  return crypto.createPublicKey({ key: { kty: 'OKP', crv: 'Ed25519', x: raw.toString('base64url') }, format: 'jwk' });
+}
+
+/**
+ * Check a detached signature over message (bytes) — false for a bad or malformed signature
+ * ed25519: base64 signature; solana: base58 signature (ed25519 under the address);
+ * ethereum: 0x signature of an EIP-191 personal message (personal_sign)
+ */
+function verifySignature(keyType, publicKey, signature, message) {
+  if (typeof signature !== 'string' || !signature.trim()) return false;
+  try {
+    if (keyType === 'ed25519') {
+      const sig = Buffer.from(signature, 'base64');
+      return sig.length === 64 && crypto.verify(null, message, ed25519Key(Buffer.from(publicKey, 'base64url')), sig);
+    }
+    if (keyType === 'solana') {
+      const { PublicKey } = require('@solana/web3.js');
+      const { decodeBase58, toBeArray } = require('ethers');
+      const decoded = toBeArray(decodeBase58(signature.trim()));
+      if (decoded.length > 64) return false;
+      const sig = Buffer.concat([Buffer.alloc(64 - decoded.length), decoded]); // base58 keeps leading zero bytes as '1's
+      return crypto.verify(null, message, ed25519Key(Buffer.from(new PublicKey(publicKey).toBytes())), sig);
+    }
+    if (keyType === 'ethereum') {
+      const { verifyMessage } = require('ethers');
+      return verifyMessage(message, signature.trim()) === publicKey;
+    }
+  } catch {
+    return false;
+  }
+  return false;
+}
+
+/**
+ * Register a public key the account's agents sign souls with
+ */
+async function registerSigningKey(accountId, { keyType, publicKey, label = '' }) {
+  const normalized = normalizePublicKey(keyType, publicKey);
+  const id = `sk_${crypto.randomBytes(12).toString('hex')}`;
+
+  transaction(() => {
+    const db = getDb();
+    const active = db.prepare('SELECT key_type, public_key FROM signing_keys WHERE account_id = ? AND revoked_at IS NULL').all(accountId);
+    if (active.some(k => k.key_type === keyType && k.public_key === normalized)) throw new Error('Signing key already registered');
+    if (active.length >= MAX_KEYS_PER_ACCOUNT) throw new Error(`Signing key limit reached: ${MAX_KEYS_PER_ACCOUNT} per account`);
+
+    db.prepare(`
+      INSERT INTO signing_keys (id, account_id, key_type, public_key, label, created_at) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(id, accountId, keyType, normalized, String(label), new Date().toISOString());
+  });
+
+  return rowToSigningKey(getDb().prepare('SELECT * FROM signing_keys WHERE id = ?').get(id));
+}
+
+/**
+ * All signing keys of an account (including revoked ones), newest first
+ */
+async function listSigningKeys(accountId) {
+  return getDb().prepare('SELECT * FROM signing_keys WHERE account_id = ? ORDER BY created_at DESC, rowid DESC')
+    .all(accountId).map(rowToSigningKey);
+}
+
+/**
+ * Revoke a signing key: new salvages can't use it; souls it already signed still verify
+ */
+async function revokeSigningKey(accountId, keyId) {
+  const db = getDb();
+  const row = db.prepare('SELECT * FROM signing_keys WHERE id = ? AND account_id = ?').get(keyId, accountId);
+  if (!row) throw new Error('Signing key not found');
+  if (!row.revoked_at) db.prepare('UPDATE signing_keys SET revoked_at = ? WHERE id = ?').run(new Date().toISOString(), keyId);
+  return rowToSigningKey(db.prepare('SELECT * FROM signing_keys WHERE id = ?').get(keyId));
+}
+
+/**
+ * Check a salvage request's soul signature against the account's signing key
+ * keyId may be left out when the account has exactly one active key. Without a soul
+ * (client-encrypted), the signature can't be checked yet — revive checks it after decryption.
+ * Returns the signature tags to store with the salvage.
+ */
+function signatureTags(accountId, { signature, keyId }, soul) {
+  if (typeof signature !== 'string' || !signature.trim()) throw new Error('Invalid soul signature: expected a string');
+
+  const db = getDb();
+  let row;
+  if (keyId) {
+    row = db.prepare('SELECT * FROM signing_keys WHERE id = ? AND account_id = ? AND revoked_at IS NULL').get(keyId, accountId);
+    if (!row) throw new Error(`Signing key not found: ${keyId}`);
+  } else {
+    const active = db.prepare('SELECT * FROM signing_keys WHERE account_id = ? AND revoked_at IS NULL').all(accountId);
+    if (!active.length) throw new Error('Signing key not found: register one at /api/v1/account/signing-keys first');
+    if (active.length > 1) throw new Error('Invalid soul signature: signing_key_id is required when the account has several signing keys');
+    row = active[0];
+  }
+
+  if (soul && !verifySignature(row.key_type, row.public_key, signature, canonicalSoulBytes(soul))) {
+    throw new Error(`Invalid soul signature: it does not match the soul for ${row.key_type} key ${row.id}`);
+  }
+
+  return {
+    [SIGNATURE_TAGS.type]: row.key_type,
+    [SIGNATURE_TAGS.signer]: row.public_key,
+    [SIGNATURE_TAGS.signature]: signature.trim()
+  };
+}
+
+/**
+ * Provenance of a retrieved soul, from its signature tags:
+ * verified (the signature matches the soul), mismatch (it doesn't), or unverified
+ * (unsigned, or the soul isn't available to check, e.g. still encrypted)
+ * key_id is set when the signer is a key registered to the account that salvaged it.
+ */
+function soulProvenance(tags, soul, { reason } = {}) {
+  const keyType = tags?.[SIGNATURE_TAGS.type];
+  const publicKey = tags?.[SIGNATURE_TAGS.signer];
+  const signature = tags?.[SIGNATURE_TAGS.signature];
+  if (!keyType || !publicKey || !signature) {
+    return { status: 'unverified', signed: false, reason: 'Soul is not signed' };
+  }
+
+  const key = getDb().prepare('SELECT id, revoked_at FROM signing_keys WHERE account_id = ? AND key_type = ? AND public_key = ? ORDER BY created_at LIMIT 1')
+    .get(tags['Account-Id'] || '', keyType, publicKey);
+  const signer = { key_type: keyType, public_key: publicKey, key_id: key?.id || null, key_revoked: !!key?.revoked_at };
+
+  if (!soul) return { status: 'unverified', signed: true, ...signer, reason: reason || 'Soul not available to check' };
+  if (!KEY_TYPES.includes(keyType) || !verifySignature(keyType, publicKey, signature, canonicalSoulBytes(soul))) {
+    return { status: 'mismatch', signed: true, ...signer, reason: 'Signature does not match the soul' };
+  }
+  return { status: 'verified', signed: true, ...signer };
+}
+
+module.exports = {
+  KEY_TYPES, verifySignature,
+  registerSigningKey, listSigningKeys, revokeSigningKey, signatureTags, soulProvenance
+};
@@ -0,0 +1,126 @@
+// src/quota.js: Tier limits, per-period usage and request rate limiting
+// TIERS is the single source of truth — /api/v1/info and payment methods read from it
+const { getDb } = require('./db');
+
+/**
+ * null means unlimited
+ * salvages_per_period counts salvages in the current calendar month (UTC)
+ */
+const TIERS = {
+  free: { price_usd: 0, salvages_per_period: 1, max_salvage_bytes: 1_048_576, requests_per_minute: 60 },
+  pro: { price_usd: 5, salvages_per_period: null, max_salvage_bytes: 104_857_600, requests_per_minute: 300 },
+  enterprise: { price_usd: 25, salvages_per_period: null, max_salvage_bytes: null, requests_per_minute: 1200 }
+};
+
+// Requests without a (valid) API key are limited per IP
+const ANONYMOUS_REQUESTS_PER_MINUTE = 30;
+const RATE_WINDOW_MS = 60_000;
+
+function getTier(name) {
+  return TIERS[name] || TIERS.free;
+}
+
+/**
+ * The accounting period containing `date`: { period: 'YYYY-MM', start, end } (ISO, end exclusive)
+ */
+function currentPeriod(date = new Date()) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  const end = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+  return { period: start.toISOString().slice(0, 7), start: start.toISOString(), end: end.toISOString() };
+}
+
+/**
+ * Salvages and bytes stored by an account in the current period
+ * A promoted demo salvage is counted once (as the permanent copy).
+ */
+function getUsage(accountId, date = new Date()) {
+  const period = currentPeriod(date);
+  const row = getDb().prepare(`
+    SELECT COUNT(*) AS salvages, COALESCE(SUM(size_bytes), 0) AS bytes FROM salvages
+    WHERE account_id = ? AND created_at >= ? AND created_at < ? AND promoted_to IS NULL
+  `).get(accountId, period.start, period.end);
+
+  return { ...period, salvages: row.salvages, bytes: row.bytes };
+}
+
+// Salvages that passed the quota check but haven't been recorded yet
+const inflight = new Map();
+
+/**
+ * Check a salvage against the account's tier and hold a slot for it
+ * sizeBytes: payload size, or null to skip the size check (deltas are
+ * checked on the stored size instead). Returns a release function to call
+ * once the salvage is recorded or has failed.
+ */
+function reserveSalvage(account, sizeBytes) {
+  const tier = getTier(account.tier);
+
+  if (sizeBytes != null && tier.max_salvage_bytes != null && sizeBytes > tier.max_salvage_bytes) {
+    throw new Error(`Payload too large: ${sizeBytes} bytes (max ${tier.max_salvage_bytes} on the ${account.tier} tier)`);
+  }
+
+  if (tier.salvages_per_period != null) {
+    const usage = getUsage(account.id);
+    if (usage.salvages + (inflight.get(account.id) || 0) >= tier.salvages_per_period) {
+      throw new Error(`Quota exceeded: ${tier.salvages_per_period} salvage(s) per month on the ${account.tier} tier (resets ${usage.end})`);
+    }
+  }
+
+  inflight.set(account.id, (inflight.get(account.id) || 0) + 1);
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    const left = inflight.get(account.id) - 1;
+    if (left > 0) inflight.set(account.id, left);
+    else inflight.delete(account.id);
+  };
+}
+
+// Fixed one-minute windows, keyed by API key ID or IP
+const windows = new Map();
+
+function rateLimitFor(account) {
+  return account ? getTier(account.tier).requests_per_minute : ANONYMOUS_REQUESTS_PER_MINUTE;
+}
+
+/**
+ * Count one request against `id` and report the window state:
+ * { allowed, limit, remaining, resetAt (ms) }
+ */
+function hitRateLimit(id, limit, now = Date.now()) {
+  let window = windows.get(id);
+  if (!window || window.resetAt <= now) {
+    window = { count: 0, resetAt: now + RATE_WINDOW_MS };
+    windows.set(id, window);
+  }
+  window.count++;
+
+  return {
+    allowed: window.count <= limit,
+    limit,
+    remaining: Math.max(0, limit - window.count),
+    resetAt: window.resetAt
+  };
+}
+
+/**
+ * Current window state without counting a request
+ */
+function peekRateLimit(id, limit, now = Date.now()) {
+  const window = windows.get(id);
+  if (!window || window.resetAt <= now) return { limit, remaining: limit, resetAt: now + RATE_WINDOW_MS };
+  return { limit, remaining: Math.max(0, limit - window.count), resetAt: window.resetAt };
+}
+
+// Drop expired windows so the map doesn't grow with every IP ever seen
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, window] of windows) {
+    if (window.resetAt <= now) windows.delete(id);
+  }
+}, RATE_WINDOW_MS).unref();
+
+module.exports = {
+  TIERS, getTier, currentPeriod, getUsage, reserveSalvage, rateLimitFor, hitRateLimit, peekRateLimit
+};
@@ -1,61 +1,240 @@
 // src/revival.js: Revive agents from salvaged state
-const { retrieveSalvage } = require('./salvage');
+const crypto = require('crypto');
+const { retrieveSalvage, resolveSoul, storageFor } = require('./salvage');
+const { loadAttachment } = require('./attachments');
+const { getSalvageRecord } = require('./auth');
+const { emit } = require('./webhooks');
+const { soulProvenance } = require('./provenance');
+const { sha256, checkIntegrity } = require('./integrity');
+const { ARCHIVE_TYPES } = require('./archive');
+
+const MANIFEST_PATH = '.neural-salvage/manifest.json';
 
 /**
  * Revive a soul from Arweave and format for agent bootstrap
- * 
- * Formats:
- * - 'structured': Returns the soul object as-is
- * - 'files': Returns as an array of {path, content} ready to write to disk
- * - 'openclaw': Returns formatted for OpenClaw workspace bootstrap
+ * `format` is any name in the format registry (see listFormats);
+ * 'tar.gz' / 'zip' are handled by reviveToArchive instead.
+ *
+ * Delta salvages are replayed onto their base snapshot transparently;
+ * private souls are decrypted with `decryption` before formatting.
+ * Attachments are listed (without their bytes) under `attachments`.
+ * `provenance` says whether the agent's signature matches the revived soul, and
+ * `integrity` whether it matches the hashes recorded when it was salvaged.
  */
-async function reviveFromSalvage(txId, { format = 'structured' } = {}) {
+async function reviveFromSalvage(txId, { format = 'structured', decryption, revivedBy = null } = {}) {
+  if (ARCHIVE_TYPES[format]) throw new Error(`Format "${format}" is an archive — use reviveToArchive`);
+  const formatter = FORMATS.get(format);
+  if (!formatter) {
+    throw new Error(`Unknown revive format: ${format} (available: ${listFormats().map(f => f.name).join(', ')})`);
+  }
+
   const data = await retrieveSalvage(txId);
-  
-  if (data.status === 'demo') {
+
+  const { soul, stored, chain, retrievals } = await resolveSoul(txId, { head: data, decryption });
+  const provenance = soulProvenance(data.tags, stored);
+  const integrity = checkIntegrity(stored, data.payload?.integrity);
+  const metadata = {
+    ...data.payload?.metadata,
+    ...(chain.length > 1 && { reconstructed_from: chain }),
+    ...(data.status === 'demo' && { demo: true }),
+    retrieval: data.retrieval,
+    ...(chain.length > 1 && { chain_retrieval: retrievals })
+  };
+
+  const attachments = listAttachments(soul);
+  await notifyRevive(data, { format, revived_by: revivedBy });
+  return {
+    tx_id: txId,
+    format,
+    ...formatter.render(soul, { txId }),
+    ...(attachments.length && { attachments }),
+    ...(data.manifest_tx_id && { manifest_tx_id: data.manifest_tx_id }),
+    provenance,
+    integrity,
+    metadata
+  };
+}
+
+// revive.performed goes to the account that owns the salvage
+async function notifyRevive(data, fields) {
+  const record = await getSalvageRecord(data.tx_id);
+  if (record) emit(record.accountId, 'revive.performed', { tx_id: data.tx_id, ...fields });
+}
+
+// Workspace files with the sha256 of their content, to check them once written
+function withHashes(files) {
+  return files.map(f => ({ ...f, sha256: sha256(f.content) }));
+}
+
+// Attachment metadata only — bytes are fetched on demand
+function listAttachments(soul) {
+  return (Array.isArray(soul.attachments) ? soul.attachments : []).map(({ data, ...a }) => ({
+    ...a,
+    ...(data !== undefined && { inline: true })
+  }));
+}
+
+/**
+ * Revival format registry
+ * render(soul, { txId }) returns the format-specific fields of the revive response.
+ */
+const FORMATS = new Map();
+
+function registerFormat(name, { description, render }) {
+  if (FORMATS.has(name) || ARCHIVE_TYPES[name]) throw new Error(`Revive format already registered: ${name}`);
+  FORMATS.set(name, { description, render });
+}
+
+/**
+ * Every format reviveFromSalvage / reviveToArchive accept
+ */
+function listFormats() {
+  return [
+    ...[...FORMATS].map(([name, { description }]) => ({ name, description, archive: false })),
+    ...Object.keys(ARCHIVE_TYPES).map(name => ({
+      name,
+      description: `Downloadable ${name} of the workspace files, BOOTSTRAP.md and a sha256 manifest`,
+      archive: true
+    }))
+  ];
+}
+
+registerFormat('structured', {
+  description: 'The soul object as-is',
+  render: soul => ({ soul })
+});
+
+registerFormat('files', {
+  description: 'Flat array of { path, content, sha256 } ready to write to disk',
+  render: soul => ({ files: withHashes(soulToFiles(soul)) })
+});
+
+registerFormat('openclaw', {
+  description: 'OpenClaw workspace files (with sha256) plus bootstrap instructions',
+  render: soul => {
+    const workspace = soulToOpenClawWorkspace(soul);
     return {
-      ...data,
-      soul: getDemoSoul(),
-      format
+      workspace: { ...workspace, files: withHashes(workspace.files) },
+      bootstrap_instructions: getBootstrapInstructions(soul)
     };
   }
+});
+
+registerFormat('system-prompt', {
+  description: 'One consolidated system prompt (identity, personality, tools, memory)',
+  render: soul => ({ system_prompt: soulToSystemPrompt(soul) })
+});
 
-  const soul = data.payload?.soul;
-  if (!soul) {
-    throw new Error('Salvage does not contain a valid soul');
+registerFormat('character-card-v2', {
+  description: 'Character Card V2 (chara_card_v2) JSON with memory as a character book',
+  render: (soul, { txId }) => ({ card: soulToCharacterCard(soul, txId) })
+});
+
+registerFormat('letta', {
+  description: 'Letta/MemGPT-style agent file with core memory blocks and archival memory',
+  render: (soul, { txId }) => ({ agent: soulToLettaAgent(soul, txId) })
+});
+
+registerFormat('memory-store', {
+  description: 'Generic chat-history seed plus a flat list of memory records for vector/memory stores',
+  render: soul => soulToMemoryStore(soul)
+});
+
+/**
+ * Revive a soul as a downloadable workspace archive ('tar.gz' or 'zip')
+ * Contains the OpenClaw workspace files, attachments (under attachments/),
+ * BOOTSTRAP.md (unless the soul has its own) and a manifest with a sha256 per file.
+ * Returns { filename, contentType, manifest, retrieval, provenance, stream }
+ */
+async function reviveToArchive(txId, { archive = 'tar.gz', decryption, revivedBy = null } = {}) {
+  const type = ARCHIVE_TYPES[archive];
+  if (!type) {
+    throw new Error(`Unsupported archive type: ${archive} (use ${Object.keys(ARCHIVE_TYPES).join(' or ')})`);
+  }
+
+  const data = await retrieveSalvage(txId);
+  const { soul, stored, chain } = await resolveSoul(txId, { head: data, decryption });
+  const provenance = soulProvenance(data.tags, stored);
+  const integrity = checkIntegrity(stored, data.payload?.integrity);
+
+  const attachmentFiles = await Promise.all((Array.isArray(soul.attachments) ? soul.attachments : []).map(async a => ({
+    path: `attachments/${a.path}`,
+    content: await loadAttachment(a.tx_id ? storageFor(a.tx_id) : null, a)
+  })));
+
+  // Never write outside the extraction directory
+  const skipped = [];
+  const files = [...soulToOpenClawWorkspace(soul).files, ...attachmentFiles].filter(f => {
+    const safe = !f.path.startsWith('/') && !f.path.split(/[\\/]/).includes('..') && f.path !== MANIFEST_PATH;
+    if (!safe) skipped.push(f.path);
+    return safe;
+  });
+  if (!files.some(f => f.path === 'BOOTSTRAP.md')) {
+    files.push({ path: 'BOOTSTRAP.md', content: getBootstrapInstructions(soul, { archive: true }) });
   }
 
-  switch (format) {
-    case 'files':
-      return {
-        tx_id: txId,
-        format: 'files',
-        files: soulToFiles(soul),
-        metadata: data.payload?.metadata
-      };
-    
-    case 'openclaw':
-      return {
-        tx_id: txId,
-        format: 'openclaw',
-        workspace: soulToOpenClawWorkspace(soul),
-        bootstrap_instructions: getBootstrapInstructions(soul),
-        metadata: data.payload?.metadata
-      };
-    
-    case 'structured':
-    default:
-      return {
-        tx_id: txId,
-        format: 'structured',
-        soul,
-        metadata: data.payload?.metadata
-      };
+  const manifest = {
+    tx_id: txId,
+    archive,
+    created_at: new Date().toISOString(),
+    ...(chain.length > 1 && { reconstructed_from: chain }),
+    ...(data.status === 'demo' && { demo: true }),
+    provenance,
+    integrity,
+    files: files.map(f => ({
+      path: f.path,
+      size_bytes: Buffer.byteLength(f.content),
+      sha256: sha256(f.content)
+    })),
+    ...(skipped.length && { skipped })
+  };
+  files.push({ path: MANIFEST_PATH, content: JSON.stringify(manifest, null, 2) });
+
+  const name = (soul.identity?.name || 'agent').replace(/[^A-Za-z0-9_-]+/g, '_');
+  await notifyRevive(data, { format: archive, revived_by: revivedBy });
+  return {
+    filename: `${name}-${txId.slice(0, 12)}.${archive}`,
+    contentType: type.contentType,
+    manifest,
+    retrieval: data.retrieval,
+    provenance,
+    stream: type.stream(files)
+  };
+}
+
+const DAILY_LOG_PATH = /^memory\/(\d{4}-\d{2}-\d{2})\.md$/;
+
+// 'salvaged_at' <-> 'Salvaged At'
+const labelFor = key => key.split('_').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+const keyFor = label => label.trim().toLowerCase().replace(/\s+/g, '_');
+
+/**
+ * IDENTITY.md: one "Label: value" line per single-line string field, name first
+ */
+function renderIdentity(identity) {
+  const keys = ['name', 'description', ...Object.keys(identity).filter(k => !['name', 'description'].includes(k)).sort()];
+  const lines = keys
+    .filter(k => typeof identity[k] === 'string' && !identity[k].includes('\n'))
+    .map(k => `${labelFor(k)}: ${identity[k]}\n`);
+  return `# Identity\n\n${lines.join('')}`;
+}
+
+/**
+ * Parse IDENTITY.md back into an identity object
+ * Returns { identity, canonical } — canonical means renderIdentity reproduces it exactly
+ */
+function parseIdentity(content) {
+  const identity = {};
+  for (const match of content.matchAll(/^\**([A-Za-z][A-Za-z ]*?)\**:\**\s*(.+)$/gm)) {
+    const key = keyFor(match[1]);
+    if (!(key in identity)) identity[key] = match[2].trim();
   }
+  return { identity, canonical: !!identity.name && renderIdentity(identity) === content };
 }
 
 /**
  * Convert soul to flat file array
+ * Entries in soul.files override generated files with the same path.
  */
 function soulToFiles(soul) {
   const files = [];
@@ -63,13 +242,11 @@ function soulToFiles(soul) {
   if (soul.identity) {
     files.push({
       path: 'IDENTITY.md',
-      content: typeof soul.identity === 'string' 
-        ? soul.identity 
-        : `# Identity\n\nName: ${soul.identity.name}\n${soul.identity.description ? `Description: ${soul.identity.description}\n` : ''}`
+      content: typeof soul.identity === 'string' ? soul.identity : renderIdentity(soul.identity)
     });
   }
 
-  if (soul.personality) {
+  if (soul.personality != null) {
     files.push({
       path: 'SOUL.md',
       content: typeof soul.personality === 'string' ? soul.personality : JSON.stringify(soul.personality, null, 2)
@@ -80,12 +257,12 @@ function soulToFiles(soul) {
     if (typeof soul.memory === 'string') {
       files.push({ path: 'MEMORY.md', content: soul.memory });
     } else {
-      if (soul.memory.long_term) {
+      if (typeof soul.memory.long_term === 'string') {
         files.push({ path: 'MEMORY.md', content: soul.memory.long_term });
       }
       if (soul.memory.daily_logs && Array.isArray(soul.memory.daily_logs)) {
         soul.memory.daily_logs.forEach(log => {
-          if (log.date && log.content) {
+          if (log.date && typeof log.content === 'string') {
             files.push({ path: `memory/${log.date}.md`, content: log.content });
           }
         });
@@ -93,7 +270,7 @@ function soulToFiles(soul) {
     }
   }
 
-  if (soul.tools) {
+  if (soul.tools != null) {
     files.push({
       path: 'TOOLS.md',
       content: typeof soul.tools === 'string' ? soul.tools : JSON.stringify(soul.tools, null, 2)
@@ -110,8 +287,10 @@ function soulToFiles(soul) {
   // Additional files
   if (Array.isArray(soul.files)) {
     soul.files.forEach(f => {
-      if (f.path && f.content) {
-        files.push({ path: f.path, content: f.content });
+      if (f.path && typeof f.content === 'string') {
+        const existing = files.find(g => g.path === f.path);
+        if (existing) existing.content = f.content;
+        else files.push({ path: f.path, content: f.content });
       }
     });
   }
@@ -119,6 +298,77 @@ function soulToFiles(soul) {
   return files;
 }
 
+/**
+ * Inverse of soulToFiles: map a workspace file list back to a soul
+ * Anything that wouldn't render back byte-for-byte (a hand-written IDENTITY.md,
+ * non-canonical config.json) is also kept verbatim in soul.files, so
+ * soulToFiles(filesToSoul(files)) returns the same files.
+ *
+ * options.name: agent name when IDENTITY.md is missing or has no "Name:" line
+ */
+function filesToSoul(files, { name } = {}) {
+  if (!Array.isArray(files) || files.length === 0) {
+    throw new Error('files must be a non-empty array of { path, content }');
+  }
+
+  const byPath = new Map();
+  files.forEach((f, i) => {
+    if (!f || typeof f.path !== 'string' || typeof f.content !== 'string') {
+      throw new Error(`files[${i}] must be { path: string, content: string }`);
+    }
+    const path = f.path.replace(/^\.\//, '');
+    if (!path || path.startsWith('/') || path.split('/').includes('..')) {
+      throw new Error(`files[${i}].path must be a relative path inside the workspace`);
+    }
+    if (byPath.has(path)) throw new Error(`files[${i}].path is duplicated: ${path}`);
+    byPath.set(path, f.content);
+  });
+
+  const soul = {};
+  const extra = [];
+  const memory = {};
+  const dailyLogs = [];
+
+  for (const [path, content] of byPath) {
+    const log = path.match(DAILY_LOG_PATH);
+
+    if (path === 'IDENTITY.md') {
+      const { identity, canonical } = parseIdentity(content);
+      soul.identity = canonical ? identity : { ...identity, name: identity.name || name };
+      if (!canonical) extra.push({ path, content });
+    } else if (path === 'SOUL.md') {
+      soul.personality = content;
+    } else if (path === 'TOOLS.md') {
+      soul.tools = content;
+    } else if (path === 'MEMORY.md') {
+      memory.long_term = content;
+    } else if (log) {
+      dailyLogs.push({ date: log[1], content });
+    } else if (path === 'config.json') {
+      let config = null;
+      try { config = JSON.parse(content); } catch {}
+      if (config && typeof config === 'object' && !Array.isArray(config) && JSON.stringify(config, null, 2) === content) {
+        soul.config = config;
+      } else {
+        extra.push({ path, content });
+      }
+    } else {
+      extra.push({ path, content });
+    }
+  }
+
+  if (!soul.identity) soul.identity = { name };
+  if (!soul.identity.name) {
+    throw new Error('IDENTITY.md must contain a "Name:" line, or pass "name"');
+  }
+
+  if (dailyLogs.length) memory.daily_logs = dailyLogs;
+  if (Object.keys(memory).length) soul.memory = memory;
+  if (extra.length) soul.files = extra;
+
+  return soul;
+}
+
 /**
  * Format specifically for OpenClaw workspace
  */
@@ -143,13 +393,13 @@ function soulToOpenClawWorkspace(soul) {
 /**
  * Generate bootstrap instructions for the revived agent
  */
-function getBootstrapInstructions(soul) {
+function getBootstrapInstructions(soul, { archive = false } = {}) {
   return `# Revival Bootstrap
 
 This agent was revived from Neural Salvage (Arweave permanent storage).
 
 ## Steps:
-1. Write all files from the 'files' array to your workspace
+1. ${archive ? 'Extract this archive into your workspace' : "Write all files from the 'files' array to your workspace"}
 2. Read SOUL.md to restore personality
 3. Read MEMORY.md to restore long-term knowledge
 4. Read IDENTITY.md to restore name and identity
@@ -166,12 +416,154 @@ You'll need your human to provide those again.
 `;
 }
 
-function getDemoSoul() {
+const CORE_MEMORY_LIMIT = 5000; // Letta's default block size, in characters
+const RECENT_LOG_COUNT = 7;     // daily logs inlined into a system prompt
+
+// Soul fields as text: strings pass through, anything else is pretty-printed JSON
+function asText(value) {
+  if (value == null) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+function longTermMemory(soul) {
+  return typeof soul.memory === 'string' ? soul.memory : asText(soul.memory?.long_term);
+}
+
+function dailyLogs(soul) {
+  return (Array.isArray(soul.memory?.daily_logs) ? soul.memory.daily_logs : [])
+    .filter(log => log.date && typeof log.content === 'string')
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Memory as flat records: long-term memory split at markdown headings,
+ * one record per daily log and per extra workspace file
+ */
+function memoryRecords(soul) {
+  const records = [];
+
+  longTermMemory(soul).split(/\n(?=#{1,6} )/).map(p => p.trim()).filter(Boolean)
+    .forEach(text => records.push({ source: 'long_term', text }));
+  dailyLogs(soul).forEach(log => records.push({ source: 'daily_log', date: log.date, text: log.content }));
+  (Array.isArray(soul.files) ? soul.files : [])
+    .filter(f => typeof f.content === 'string' && f.content.trim())
+    .forEach(f => records.push({ source: 'file', path: f.path, text: f.content }));
+
+  return records.map(r => ({
+    id: crypto.createHash('sha256').update(JSON.stringify(r)).digest('hex').slice(0, 16),
+    ...r
+  }));
+}
+
+/**
+ * Single system prompt for any chat-completion style agent
+ * options.memory: false leaves memory out (when it's shipped separately)
+ */
+function soulToSystemPrompt(soul, { memory = true } = {}) {
+  const identity = soul.identity || {};
+  const sections = [`You are ${identity.name || 'an AI agent'}.${identity.description ? ` ${identity.description}` : ''}`];
+
+  const details = Object.entries(identity)
+    .filter(([k, v]) => !['name', 'description'].includes(k) && typeof v === 'string');
+  if (details.length) sections.push(`## Identity\n${details.map(([k, v]) => `- ${labelFor(k)}: ${v}`).join('\n')}`);
+
+  if (soul.personality != null) sections.push(`## Personality\n${asText(soul.personality).trim()}`);
+  if (soul.tools != null) sections.push(`## Tools and environment\n${asText(soul.tools).trim()}`);
+
+  if (memory) {
+    const longTerm = longTermMemory(soul).trim();
+    if (longTerm) sections.push(`## Long-term memory\n${longTerm}`);
+
+    const recent = dailyLogs(soul).slice(-RECENT_LOG_COUNT);
+    if (recent.length) {
+      sections.push(`## Recent memory\n${recent.map(log => `### ${log.date}\n${log.content.trim()}`).join('\n\n')}`);
+    }
+  }
+
+  return sections.join('\n\n') + '\n';
+}
+
+/**
+ * Character Card V2 — long-term memory is always-on lore, daily logs are keyed by date
+ */
+function soulToCharacterCard(soul, txId) {
+  const identity = soul.identity || {};
+  const name = identity.name || 'Unknown';
+  const entries = memoryRecords(soul)
+    .filter(r => r.source !== 'file')
+    .map((r, i) => ({
+      keys: r.date ? [r.date] : [],
+      content: r.text,
+      extensions: {},
+      enabled: true,
+      insertion_order: i,
+      constant: r.source === 'long_term',
+      comment: r.date ? `Daily log ${r.date}` : 'Long-term memory'
+    }));
+
+  return {
+    spec: 'chara_card_v2',
+    spec_version: '2.0',
+    data: {
+      name,
+      description: identity.description || '',
+      personality: asText(soul.personality),
+      scenario: '',
+      first_mes: '',
+      mes_example: '',
+      creator_notes: `Revived from Neural Salvage (${txId})`,
+      system_prompt: soul.tools != null ? `## Tools and environment\n${asText(soul.tools).trim()}` : '',
+      post_history_instructions: '',
+      alternate_greetings: [],
+      ...(entries.length && { character_book: { name: `${name} memory`, extensions: {}, entries } }),
+      tags: [identity.platform].filter(Boolean),
+      creator: '',
+      character_version: '',
+      extensions: { neural_salvage: { tx_id: txId, identity } }
+    }
+  };
+}
+
+/**
+ * Letta/MemGPT agent: persona, human and tools as core memory blocks,
+ * everything else as archival passages
+ */
+function soulToLettaAgent(soul, txId) {
+  const identity = soul.identity || {};
+  const userFile = (Array.isArray(soul.files) ? soul.files : []).find(f => f.path === 'USER.md');
+
+  const block = (label, value) => ({ label, value, limit: Math.max(CORE_MEMORY_LIMIT, value.length) });
+  const memoryBlocks = [
+    block('persona', [identity.description, asText(soul.personality)].filter(Boolean).join('\n\n')),
+    block('human', userFile ? userFile.content : '')
+  ];
+  if (soul.tools != null) memoryBlocks.push(block('tools', asText(soul.tools)));
+
+  return {
+    agent_type: 'memgpt_agent',
+    name: identity.name || 'Unknown',
+    description: identity.description || '',
+    system: `You are ${identity.name || 'an AI agent'}, revived from a Neural Salvage snapshot. ` +
+      'Your persona block is who you are; the human block is what you know about your human. ' +
+      'Search archival memory for long-term knowledge and daily logs from before the snapshot.',
+    memory_blocks: memoryBlocks,
+    archival_memory: memoryRecords(soul)
+      .filter(r => r.path !== 'USER.md')
+      .map(r => ({ text: r.text, tags: [r.source, r.date || r.path].filter(Boolean) })),
+    tags: [identity.platform].filter(Boolean),
+    metadata: { neural_salvage_tx_id: txId }
+  };
+}
+
+/**
+ * Generic export: a system message to seed chat history, plus memory records
+ * (id, text, metadata) ready for a vector or key-value memory store
+ */
+function soulToMemoryStore(soul) {
   return {
-    identity: { name: 'Demo Agent', description: 'A demonstration revival' },
-    memory: { long_term: '# Memory\n\nThis is a demo revival. No real state was stored.' },
-    personality: '# Soul\n\nDemo personality.',
+    messages: [{ role: 'system', content: soulToSystemPrompt(soul, { memory: false }) }],
+    memories: memoryRecords(soul).map(({ id, text, ...metadata }) => ({ id, text, metadata }))
   };
 }
 
-module.exports = { reviveFromSalvage };
+module.exports = { reviveFromSalvage, reviveToArchive, registerFormat, listFormats, soulToFiles, filesToSoul };
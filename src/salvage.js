@@ -1,154 +1,599 @@
 // src/salvage.js: Core salvage operations — write and read from Arweave
-const Arweave = require('arweave');
-const { recordSalvage } = require('./auth');
+const { getStorage, getDemoStorage } = require('./storage');
+const {
+  recordSalvage, recordPromotion, getAccount, getSalvageRecord, getSalvageRecordByManifest, getLatestSalvage,
+  findSalvagesByHash, listSalvageRecords
+} = require('./auth');
+const { computeDelta, applyDelta } = require('./delta');
+const { emit } = require('./webhooks');
+const { encryptSoul, decryptSoul, envelopeTags } = require('./encryption');
+const { upgradeSoul, SCHEMA_VERSION } = require('./schema');
+const { soulProvenance } = require('./provenance');
+const { soulDigest, soulIntegrity } = require('./integrity');
+const {
+  pendingAttachments, storeAttachments, writeManifest, manifestTarget, copyAttachments, findAttachment, loadAttachment
+} = require('./attachments');
 
-const arweave = Arweave.init({
-  host: 'arweave.net',
-  port: 443,
-  protocol: 'https'
-});
+const MAX_HISTORY_DEPTH = 1000;
+const SOUL_SCHEMA = 'neural-salvage-soul';
+const DELTA_SCHEMA = 'neural-salvage-delta';
+const ENCRYPTED_SCHEMA = 'neural-salvage-encrypted';
+
+// Deltas chained on top of each other before a full snapshot is forced
+const DELTA_SNAPSHOT_INTERVAL = parseInt(process.env.DELTA_SNAPSHOT_INTERVAL, 10) || 10;
+
+// Demo salvages older than this are treated as gone (0 = keep forever)
+const DEMO_TTL_MS = (parseFloat(process.env.DEMO_TTL_HOURS) || 0) * 3_600_000;
+
+const LINEAGE_UNKNOWN = 'Lineage unknown: an encrypted soul needs agent_name or parent_tx_id (null starts a new lineage)';
+
+// Demo IDs live in the local demo store, everything else in the configured driver
+function storageFor(txId) {
+  return txId.startsWith('demo-') ? getDemoStorage() : getStorage();
+}
+
+/**
+ * Resolve the parent salvage for a new version of a soul
+ * - parentTxId undefined: latest salvage of the same agent name for this account
+ *   (without a name — a client-encrypted soul sent with no agent_name — there is none to follow)
+ * - parentTxId null: start a new lineage (genesis)
+ * - parentTxId string: must be one of this account's salvages
+ */
+async function resolveParent(account, agentName, parentTxId) {
+  if (parentTxId === null) return null;
+
+  if (parentTxId === undefined) {
+    if (!agentName) throw new Error(LINEAGE_UNKNOWN);
+    const latest = await getLatestSalvage(account.id, agentName);
+    return latest ? { txId: latest.txId, generation: latest.generation || 1 } : null;
+  }
+
+  const record = await getSalvageRecord(parentTxId);
+  if (record && record.accountId === account.id) {
+    return { txId: record.txId, generation: record.generation || 1 };
+  }
+
+  throw new Error(`Parent salvage not found: ${parentTxId}`);
+}
+
+/**
+ * Build a delta against the parent salvage, or null when a full snapshot
+ * should be stored instead (no parent, base unreadable, chain too long,
+ * or the patch would not be smaller than the soul itself)
+ */
+async function buildDelta(soul, baseTxId) {
+  if (!baseTxId) return null;
+
+  let base;
+  try {
+    base = await resolveSoul(baseTxId);
+  } catch (err) {
+    console.log(`[Salvage] Delta base ${baseTxId} unavailable (${err.message}) — storing full snapshot`);
+    return null;
+  }
+
+  if (base.depth + 1 > DELTA_SNAPSHOT_INTERVAL) return null;
+
+  const patch = computeDelta(base.soul, soul) || {};
+  if (JSON.stringify(patch).length >= JSON.stringify(soul).length) return null;
+
+  return { base_tx_id: baseTxId, depth: base.depth + 1, patch };
+}
 
 /**
  * Salvage (upload) a soul to Arweave
  * Tags the transaction for discoverability via GraphQL
+ *
+ * mode 'delta' stores only the patch against the parent salvage (Base-Tx tag);
+ * maxBytes caps the size of what is actually uploaded
+ *
+ * Private souls: pass `encryption` ({ passphrase } or { public_key }) to seal
+ * the soul here, or `envelope` when the client already encrypted it. Tags then
+ * carry only the KDF parameters — never the agent's name or platform.
+ *
+ * Attachments of public souls are uploaded first (deduplicated by hash) and
+ * replaced by references; a path manifest then links them to the soul.
+ * A private soul keeps its attachments inline, inside the envelope.
+ *
+ * signature: tags from signatureTags() (src/provenance.js) for an agent-signed soul
+ *
+ * Public souls carry an integrity block (src/integrity.js): the canonical soul SHA-256, also
+ * tagged Soul-SHA256, and per-file hashes — a delta records only the soul hash, to stay small.
+ *
+ * onProgress(stage) is told each step: uploading_attachments, uploading, linking_attachments, recording
+ * onStored(txId) is told the tx ID as soon as the upload returns, before it is linked and recorded.
  */
-async function salvageToArweave({ soul, account, metadata }) {
-  const walletJson = process.env.ARWEAVE_WALLET_JSON;
+async function salvageToArweave({
+  soul, envelope, encryption, agentName: privateName, account, metadata, parentTxId, mode = 'full', maxBytes, signature,
+  onProgress = () => {}, onStored = () => {}
+}) {
+  const agentName = soul?.identity?.name || privateName || 'unknown';
+
+  if (encryption) envelope = await encryptSoul(soul, encryption);
+  const isPrivate = !!envelope;
+  if (isPrivate && mode === 'delta') {
+    throw new Error('Delta mode is not available for encrypted souls');
+  }
+
+  const storage = getStorage();
+  const target = storage.canWrite() ? storage : getDemoStorage(); // demo mode without a wallet
+
+  let attachmentsStored = [];
+  if (!isPrivate && pendingAttachments(soul).length) {
+    onProgress('uploading_attachments');
+    try {
+      ({ soul, stored: attachmentsStored } = await storeAttachments(target, soul, { 'Account-Id': account.id }));
+    } catch (err) {
+      if (err.message.startsWith('Invalid attachment')) throw err;
+      emit(account.id, 'salvage.failed', { agent_name: agentName, storage: target.name, error: `Attachment upload failed: ${err.message}` });
+      throw new Error(`Upload failed (${target.name}): ${err.message}`);
+    }
+  }
+
+  const parent = await resolveParent(account, soul?.identity?.name || privateName, parentTxId);
+  const lineage = {
+    agentName,
+    parentTxId: parent?.txId || null,
+    generation: parent ? parent.generation + 1 : 1
+  };
+
+  const delta = mode === 'delta' ? await buildDelta(soul, lineage.parentTxId) : null;
+  const integrity = isPrivate ? null : soulIntegrity(soul);
+  const signer = signature?.['Signer'] || null;
 
   const payload = {
     version: '1.0',
-    schema: 'neural-salvage-soul',
+    schema: isPrivate ? ENCRYPTED_SCHEMA : delta ? DELTA_SCHEMA : SOUL_SCHEMA,
+    schema_version: soul ? soul.schema_version || '1.0' : SCHEMA_VERSION,
     timestamp: new Date().toISOString(),
-    soul,
+    ...(isPrivate ? { encrypted: envelope } : delta ? { delta } : { soul }),
+    ...(integrity && { integrity: delta ? { algorithm: integrity.algorithm, soul: integrity.soul } : integrity }),
     account: {
       id: account.id,
       name: account.name,
       type: account.type
     },
+    lineage: {
+      parent_tx_id: lineage.parentTxId,
+      generation: lineage.generation
+    },
     metadata: metadata || {}
   };
 
   const data = JSON.stringify(payload);
+  const sizeBytes = Buffer.byteLength(data);
+  const storedAs = delta ? 'delta' : 'full';
+
+  if (maxBytes && sizeBytes > maxBytes) {
+    throw new Error(`Payload too large: ${sizeBytes} bytes stored (max ${maxBytes})`);
+  }
+
+  // Tag for discoverability
+  const tags = {
+    'Content-Type': 'application/json',
+    'App-Name': 'Neural-Salvage',
+    'App-Version': '1.0',
+    'Schema': payload.schema,
+    'Account-Id': account.id,
+    'Account-Type': account.type,
+    'Timestamp': payload.timestamp,
+    'Generation': String(lineage.generation),
+    'Soul-Schema-Version': payload.schema_version
+  };
+
+  if (isPrivate) {
+    tags['Visibility'] = 'private';
+    Object.assign(tags, envelopeTags(envelope));
+  } else {
+    tags['Agent-Name'] = agentName;
+    tags['Soul-SHA256'] = integrity.soul;
+    if (soul.identity?.platform) {
+      tags['Platform'] = soul.identity.platform;
+    }
+  }
+
+  if (lineage.parentTxId) {
+    tags['Parent-Tx'] = lineage.parentTxId;
+  }
 
-  if (!walletJson) {
-    // Demo mode — return a mock but log intent
-    console.log(`[Salvage] Demo mode | Account: ${account.name} | Size: ${data.length} bytes`);
-    
-    // Still record it in the account
-    const demoTxId = `demo-${Date.now()}-${account.id.slice(0, 8)}`;
-    await recordSalvage(account.id, demoTxId, data.length);
+  if (delta) {
+    tags['Base-Tx'] = delta.base_tx_id;
+    tags['Delta-Depth'] = String(delta.depth);
+  }
+
+  if (signature) Object.assign(tags, signature);
+
+  // Soul + attachments under one path manifest
+  const linkAttachments = async id => {
+    if (isPrivate || !soul.attachments?.some(a => a.tx_id)) return null;
+    onProgress('linking_attachments');
+    return writeManifest(target, id, soul.attachments, { 'Account-Id': account.id, 'Agent-Name': agentName });
+  };
+  const attachmentSummary = {
+    attachments: attachmentsStored.length,
+    attachments_deduplicated: attachmentsStored.filter(a => a.deduplicated).length
+  };
+  const eventData = (id, status, extra) => ({
+    tx_id: id,
+    status,
+    agent_name: agentName,
+    parent_tx_id: lineage.parentTxId,
+    generation: lineage.generation,
+    mode: storedAs,
+    encrypted: isPrivate,
+    size_bytes: sizeBytes,
+    ...extra
+  });
+
+  if (target !== storage) {
+    // Demo mode — kept locally with the tags Arweave would have received
+    onProgress('uploading');
+    const { id } = await target.put(data, tags);
+    onStored(id);
+    const manifestTxId = await linkAttachments(id);
+    onProgress('recording');
+    await recordSalvage(account.id, id, sizeBytes, {
+      ...lineage, manifestTxId, status: 'stored', soulSha256: integrity?.soul, signer
+    });
+    emit(account.id, 'salvage.created', eventData(id, 'demo', { storage: 'demo', manifest_tx_id: manifestTxId }));
+
+    console.log(`[Salvage] Demo mode | Account: ${account.name} | TX: ${id} | Size: ${sizeBytes} bytes`);
 
     return {
-      txId: demoTxId,
+      txId: id,
       status: 'demo',
+      parentTxId: lineage.parentTxId,
+      generation: lineage.generation,
+      mode: storedAs,
+      baseTxId: delta?.base_tx_id || null,
+      encrypted: isPrivate,
+      manifestTxId,
+      soulSha256: integrity?.soul || null,
+      ...attachmentSummary,
       message: 'Demo mode — configure ARWEAVE_WALLET_JSON for permanent storage',
-      size: data.length
+      size: sizeBytes
     };
   }
 
   try {
-    const wallet = JSON.parse(walletJson);
-    
-    // Create transaction
-    const tx = await arweave.createTransaction({ data }, wallet);
-    
-    // Tag for discoverability
-    tx.addTag('Content-Type', 'application/json');
-    tx.addTag('App-Name', 'Neural-Salvage');
-    tx.addTag('App-Version', '1.0');
-    tx.addTag('Schema', 'neural-salvage-soul');
-    tx.addTag('Agent-Name', soul.identity?.name || 'unknown');
-    tx.addTag('Account-Id', account.id);
-    tx.addTag('Account-Type', account.type);
-    tx.addTag('Timestamp', payload.timestamp);
-    
-    if (soul.identity?.platform) {
-      tx.addTag('Platform', soul.identity.platform);
-    }
-
-    // Sign and submit
-    await arweave.transactions.sign(tx, wallet);
-    const response = await arweave.transactions.post(tx);
+    // Arweave keeps the signed transaction, to re-post it if the network drops it
+    onProgress('uploading');
+    const { id, cost } = await storage.put(data, tags, { keep: storage.permanent });
+    onStored(id);
+    const manifestTxId = await linkAttachments(id);
+    onProgress('recording');
 
-    if (response.status !== 200) {
-      throw new Error(`Arweave upload failed with status ${response.status}`);
-    }
+    // Record in account; Arweave salvages are then tracked to confirmation (src/confirmations.js)
+    const status = storage.permanent ? 'submitted' : 'stored';
+    await recordSalvage(account.id, id, sizeBytes, { ...lineage, manifestTxId, status, soulSha256: integrity?.soul, signer });
+    emit(account.id, 'salvage.created', eventData(id, status, { storage: storage.name, manifest_tx_id: manifestTxId }));
+    // Nothing further to wait for on a local store
+    if (!storage.permanent) emit(account.id, 'salvage.confirmed', eventData(id, status, { storage: storage.name }));
 
-    // Record in account
-    await recordSalvage(account.id, tx.id, data.length);
-
-    console.log(`[Salvage] Permanent | Account: ${account.name} | TX: ${tx.id} | Size: ${data.length} bytes`);
+    console.log(`[Salvage] ${storage.permanent ? 'Submitted' : 'Stored'} (${storage.name}) | Account: ${account.name} | TX: ${id} | Size: ${sizeBytes} bytes`);
 
     return {
-      txId: tx.id,
-      status: 'permanent',
-      arweave_url: `https://arweave.net/${tx.id}`,
-      size: data.length,
-      cost_winston: tx.reward
+      txId: id,
+      status,
+      storage: storage.name,
+      parentTxId: lineage.parentTxId,
+      generation: lineage.generation,
+      mode: storedAs,
+      baseTxId: delta?.base_tx_id || null,
+      encrypted: isPrivate,
+      manifestTxId,
+      soulSha256: integrity?.soul || null,
+      ...attachmentSummary,
+      arweave_url: storage.urlFor(id),
+      size: sizeBytes,
+      cost_winston: cost
     };
   } catch (err) {
-    console.error('[Salvage] Arweave error:', err);
-    throw new Error(`Arweave upload failed: ${err.message}`);
+    console.error(`[Salvage] ${storage.name} error:`, err);
+    emit(account.id, 'salvage.failed', { agent_name: agentName, storage: storage.name, error: err.message });
+    throw new Error(`Upload failed (${storage.name}): ${err.message}`);
   }
 }
 
 /**
- * Retrieve a salvaged soul from Arweave
+ * An earlier salvage of the identical soul by this account (same canonical hash and signer)
+ * that a new salvage would only duplicate: not failed, and still in the storage new
+ * salvages go to. Private souls never match — their hashes aren't recorded.
  */
-async function retrieveSalvage(txId) {
-  if (txId.startsWith('demo-')) {
-    return {
-      status: 'demo',
-      message: 'This is a demo salvage — no data was written to Arweave',
-      tx_id: txId
-    };
+async function findDuplicateSalvage(accountId, soul, { signer = null } = {}) {
+  const demo = !getStorage().canWrite();
+  for (const record of await findSalvagesByHash(accountId, soulDigest(soul), signer)) {
+    if (record.txId.startsWith('demo-') !== demo || record.status === 'failed' || record.promotedTo) continue;
+
+    const storage = storageFor(record.txId);
+    if (storage.permanent) return record;
+    // Local stores can be purged or wiped, and demo salvages expire
+    if (demo && DEMO_TTL_MS && Date.now() - new Date(record.createdAt).getTime() > DEMO_TTL_MS) continue;
+    if ((await storage.status(record.txId)).status !== 'not_found') return record;
   }
+  return null;
+}
 
-  try {
-    const data = await arweave.transactions.getData(txId, { decode: true, string: true });
-    const payload = JSON.parse(data);
-
-    // Get transaction metadata
-    const tx = await arweave.transactions.get(txId);
-    const tags = {};
-    tx.get('tags').forEach(tag => {
-      const key = tag.get('name', { decode: true, string: true });
-      const value = tag.get('value', { decode: true, string: true });
-      tags[key] = value;
-    });
+/**
+ * Throws "Salvage not found" unless accountId may read txId
+ * Salvages kept off Arweave (demo, filesystem) belong to the account that made them;
+ * Arweave transactions are public, so anyone may read those (accountId may be absent).
+ */
+async function checkSalvageAccess(txId, accountId) {
+  if (storageFor(txId).permanent) return;
 
-    return {
-      status: 'found',
-      tx_id: txId,
-      arweave_url: `https://arweave.net/${txId}`,
-      tags,
-      payload
-    };
+  // A path manifest belongs to the account of the soul it indexes
+  const record = await getSalvageRecord(txId) || await getSalvageRecordByManifest(txId);
+  if (!record || record.accountId !== accountId) throw new Error(`Salvage not found: ${txId}`);
+}
+
+/**
+ * Retrieve a salvaged soul from the configured storage driver
+ * A path manifest ID resolves to the soul it indexes (manifest_tx_id is set).
+ * `retrieval` says how the soul was read: cache hit or miss, gateway, verified.
+ * With verify, `provenance` reports whether the soul's agent signature checks out.
+ */
+async function retrieveSalvage(txId, { verify = false } = {}) {
+  const isDemo = txId.startsWith('demo-');
+  const storage = storageFor(txId);
+
+  if (isDemo && DEMO_TTL_MS && Date.now() - new Date(await storage.storedAt(txId)).getTime() > DEMO_TTL_MS) {
+    throw new Error(`Salvage not found: ${txId} (demo salvage expired)`);
+  }
+
+  const { data, tags, retrieval } = await storage.read(txId);
+  const payload = JSON.parse(data.toString('utf8'));
+
+  const soulTxId = manifestTarget(tags, payload);
+  if (soulTxId) return { ...(await retrieveSalvage(soulTxId, { verify })), manifest_tx_id: txId };
+
+  const result = {
+    status: isDemo ? 'demo' : 'found',
+    ...(isDemo && { message: 'This is a demo salvage — stored locally, not written to Arweave' }),
+    tx_id: txId,
+    manifest_tx_id: (await getSalvageRecord(txId))?.manifestTxId || null,
+    storage: storage.name,
+    arweave_url: storage.urlFor(txId),
+    retrieval,
+    tags,
+    payload
+  };
+  if (verify) result.provenance = await salvageProvenance(result);
+  return result;
+}
+
+/**
+ * Check a retrieved salvage's signature against its full soul (deltas are replayed first)
+ * Private souls stay unverified here — revive decrypts and checks them.
+ */
+async function salvageProvenance(data) {
+  if (data.payload?.schema === ENCRYPTED_SCHEMA) {
+    return soulProvenance(data.tags, null, { reason: 'Soul is encrypted — revive it with the decryption key to verify' });
+  }
+  try {
+    return soulProvenance(data.tags, (await resolveSoul(data.tx_id, { head: data })).stored);
   } catch (err) {
-    if (err.type === 'TX_NOT_FOUND' || err.message?.includes('not found')) {
-      throw new Error(`Salvage not found: ${txId}`);
+    return soulProvenance(data.tags, null, { reason: `Soul could not be reconstructed: ${err.message}` });
+  }
+}
+
+/**
+ * Copy a demo salvage into the configured (writable) storage driver
+ * Lineage references to demo salvages are swapped for their promoted IDs;
+ * a delta can only be promoted after its base has been.
+ */
+async function promoteDemoSalvage(txId, account) {
+  const storage = getStorage();
+  if (!storage.canWrite()) {
+    throw new Error('Promotion requires permanent storage — configure ARWEAVE_WALLET_JSON');
+  }
+
+  const record = await getSalvageRecord(txId);
+  if (!txId.startsWith('demo-') || !record || record.accountId !== account.id) {
+    throw new Error(`Salvage not found: ${txId}`);
+  }
+  if (record.promotedTo) {
+    return { txId: record.promotedTo, promotedFrom: txId, alreadyPromoted: true };
+  }
+
+  const { payload, tags } = await retrieveSalvage(txId);
+
+  const promotedId = async id => {
+    if (!id || !id.startsWith('demo-')) return id || null;
+    return (await getSalvageRecord(id))?.promotedTo || null;
+  };
+
+  if (payload.delta) {
+    const baseTxId = await promotedId(payload.delta.base_tx_id);
+    if (!baseTxId) throw new Error(`Promote base salvage ${payload.delta.base_tx_id} first`);
+    payload.delta.base_tx_id = baseTxId;
+    tags['Base-Tx'] = baseTxId;
+  }
+
+  const parentTxId = await promotedId(payload.lineage?.parent_tx_id);
+  if (payload.lineage) payload.lineage.parent_tx_id = parentTxId;
+  if (parentTxId) tags['Parent-Tx'] = parentTxId;
+  else delete tags['Parent-Tx'];
+  tags['Promoted-From'] = txId;
+
+  // Attachment references move along with the soul (or with the patch that set them)
+  const demo = getDemoStorage();
+  if (payload.soul?.attachments) {
+    payload.soul.attachments = await copyAttachments(demo, storage, payload.soul.attachments);
+  }
+  if (payload.delta?.patch?.fields?.set?.attachments) {
+    payload.delta.patch.fields.set.attachments = await copyAttachments(demo, storage, payload.delta.patch.fields.set.attachments);
+  }
+
+  const data = JSON.stringify(payload);
+  const sizeBytes = Buffer.byteLength(data);
+  const { id, cost } = await storage.put(data, tags, { keep: storage.permanent });
+
+  let manifestTxId = null;
+  if (record.manifestTxId) {
+    const soul = payload.soul || (await resolveSoul(id)).soul;
+    manifestTxId = await writeManifest(storage, id, soul.attachments || [], { 'Account-Id': account.id, 'Agent-Name': record.agentName });
+  }
+
+  await recordSalvage(account.id, id, sizeBytes, {
+    agentName: record.agentName,
+    parentTxId,
+    generation: record.generation,
+    manifestTxId,
+    status: storage.permanent ? 'submitted' : 'stored',
+    soulSha256: payload.integrity?.soul,
+    signer: tags['Signer']
+  });
+  await recordPromotion(account.id, txId, id);
+
+  console.log(`[Salvage] Promoted ${txId} → ${id} (${storage.name}) | Account: ${account.name}`);
+
+  return {
+    txId: id,
+    promotedFrom: txId,
+    manifestTxId,
+    status: storage.permanent ? 'submitted' : 'stored',
+    storage: storage.name,
+    arweave_url: storage.urlFor(id),
+    size: sizeBytes,
+    cost_winston: cost
+  };
+}
+
+/**
+ * Remove demo salvages past DEMO_TTL_HOURS
+ */
+async function purgeDemoSalvages() {
+  if (!DEMO_TTL_MS) return { removed: 0 };
+  return getDemoStorage().purge(DEMO_TTL_MS);
+}
+
+/**
+ * Reconstruct the full soul for a salvage, replaying delta patches
+ * back onto the nearest full snapshot, upgraded to the current schema
+ * Pass `head` when the caller already retrieved txId, and `decryption`
+ * ({ passphrase } or { private_key }) to open private souls
+ * `retrievals` has each link's retrieval, in chain order.
+ * `stored` is the soul as it was salvaged, before the final upgrade — what
+ * signatures and integrity hashes cover.
+ */
+async function resolveSoul(txId, { head = null, decryption } = {}) {
+  const chain = [];
+  const retrievals = [];
+  const patches = [];
+  let current = txId;
+
+  while (true) {
+    if (chain.includes(current)) throw new Error(`Delta cycle detected at ${current}`);
+    chain.push(current);
+
+    const data = current === txId && head ? head : await retrieveSalvage(current);
+    const payload = data.payload;
+    if (!head) head = data;
+    retrievals.push({ tx_id: current, ...data.retrieval });
+
+    if (payload?.schema === DELTA_SCHEMA) {
+      patches.push(payload.delta.patch);
+      current = payload.delta.base_tx_id;
+      continue;
+    }
+
+    let snapshot = payload?.soul;
+    if (payload?.schema === ENCRYPTED_SCHEMA) {
+      if (!decryption) throw new Error('Salvage is encrypted — provide a decryption key');
+      snapshot = await decryptSoul(payload.encrypted, decryption);
     }
-    throw err;
+    if (!snapshot) throw new Error('Salvage does not contain a valid soul');
+
+    // Each patch was computed against its base as revived, i.e. upgraded
+    const stored = patches.reverse().reduce((s, patch) => applyDelta(upgradeSoul(s), patch), snapshot);
+    const soul = upgradeSoul(stored);
+    return { soul, stored, data: head, chain, retrievals, depth: chain.length - 1, encrypted: !!payload.encrypted };
   }
 }
 
+/**
+ * Fetch one attachment of a salvage by path: { attachment, data }
+ * (private souls need `decryption`, as their attachments are inside the envelope)
+ */
+async function getSalvageAttachment(txId, attachmentPath, { decryption } = {}) {
+  const { soul } = await resolveSoul(txId, { decryption });
+  const attachment = findAttachment(soul, attachmentPath);
+  const data = await loadAttachment(attachment.tx_id ? storageFor(attachment.tx_id) : null, attachment);
+  return { attachment, data };
+}
+
+/**
+ * Walk a salvage's lineage back to genesis (newest first)
+ * Uses the local record when we have it, otherwise the Parent-Tx tag on Arweave
+ */
+async function getSalvageHistory(txId) {
+  const history = [];
+  const seen = new Set();
+  let current = txId;
+
+  while (current) {
+    if (seen.has(current)) throw new Error(`Lineage cycle detected at ${current}`);
+    if (history.length >= MAX_HISTORY_DEPTH) break;
+    seen.add(current);
+
+    const record = await getSalvageRecord(current);
+    if (record) {
+      history.push({
+        tx_id: record.txId,
+        parent_tx_id: record.parentTxId || null,
+        generation: record.generation || 1,
+        agent_name: record.agentName,
+        timestamp: record.createdAt
+      });
+      current = record.parentTxId || null;
+      continue;
+    }
+
+    const { tags } = await retrieveSalvage(current);
+    history.push({
+      tx_id: current,
+      parent_tx_id: tags['Parent-Tx'] || null,
+      generation: tags['Generation'] ? +tags['Generation'] : null,
+      agent_name: tags['Agent-Name'] || null,
+      timestamp: tags['Timestamp'] || null
+    });
+    current = tags['Parent-Tx'] || null;
+  }
+
+  return {
+    tx_id: txId,
+    genesis_tx_id: history[history.length - 1]?.tx_id || txId,
+    depth: history.length,
+    truncated: !!current,
+    history
+  };
+}
+
 /**
  * List salvages for an account (from local db — Arweave GraphQL backup)
  */
 async function listSalvages(accountId, { limit = 25, offset = 0 } = {}) {
-  const { getAccount } = require('./auth');
   const account = await getAccount(accountId);
   if (!account) throw new Error('Account not found');
 
-  const txIds = account.salvageTxIds || [];
-  const total = txIds.length;
-  const page = txIds.slice(offset, offset + limit).reverse(); // newest first
+  const { records, total } = await listSalvageRecords(accountId, { limit, offset }); // newest first
 
   return {
-    salvages: page.map(txId => ({
-      tx_id: txId,
-      arweave_url: txId.startsWith('demo-') ? null : `https://arweave.net/${txId}`,
-      is_demo: txId.startsWith('demo-')
+    salvages: records.map(r => ({
+      tx_id: r.txId,
+      arweave_url: r.txId.startsWith('demo-') ? null : getStorage().urlFor(r.txId),
+      is_demo: r.txId.startsWith('demo-'),
+      agent_name: r.agentName,
+      parent_tx_id: r.parentTxId,
+      generation: r.generation,
+      size_bytes: r.sizeBytes,
+      created_at: r.createdAt,
+      promoted_to: r.promotedTo,
+      manifest_tx_id: r.manifestTxId,
+      status: r.status,
+      confirmations: r.confirmations,
+      soul_sha256: r.soulSha256
     })),
     total,
     limit,
@@ -156,4 +601,7 @@ async function listSalvages(accountId, { limit = 25, offset = 0 } = {}) {
   };
 }
 
-module.exports = { salvageToArweave, retrieveSalvage, listSalvages };
+module.exports = {
+  salvageToArweave, retrieveSalvage, checkSalvageAccess, resolveSoul, listSalvages, getSalvageHistory,
+  getSalvageAttachment, promoteDemoSalvage, purgeDemoSalvages, findDuplicateSalvage, storageFor
+};
@@ -0,0 +1,153 @@
+// src/scanner.js: Secret scanner for soul payloads
+// Reports every finding with its JSON path and detector; can redact instead of reject
+
+/**
+ * severity 'block' rejects the salvage; 'warn' is reported but allowed
+ * (credential-field and high-entropy-string have no pattern — see below)
+ */
+const DETECTORS = [
+  { name: 'openai-key', severity: 'block', pattern: /sk-(?:proj-)?[a-zA-Z0-9]{20,}/g },
+  { name: 'anthropic-key', severity: 'block', pattern: /sk-ant-[a-zA-Z0-9-]+/g },
+  { name: 'openrouter-key', severity: 'block', pattern: /sk-or-[a-zA-Z0-9-]+/g },
+  { name: 'github-token', severity: 'block', pattern: /gh[pousr]_[a-zA-Z0-9]{36}/g },
+  { name: 'xai-key', severity: 'block', pattern: /xai-[a-zA-Z0-9]+/g },
+  { name: 'google-api-key', severity: 'block', pattern: /AIzaSy[a-zA-Z0-9_-]{33}/g },
+  { name: 'aws-access-key-id', severity: 'block', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { name: 'aws-secret-access-key', severity: 'block', pattern: /aws_?secret_?access_?key\W{0,5}[A-Za-z0-9/+=]{40}/gi },
+  { name: 'stripe-key', severity: 'block', pattern: /\b(?:sk|rk)_(?:live|test)_[a-zA-Z0-9]{16,}/g },
+  { name: 'stripe-webhook-secret', severity: 'block', pattern: /\bwhsec_[a-zA-Z0-9]{24,}/g },
+  { name: 'slack-token', severity: 'block', pattern: /\bxox[abprs]-[a-zA-Z0-9-]{10,}/g },
+  { name: 'slack-webhook', severity: 'block', pattern: /https:\/\/hooks\.slack\.com\/services\/[A-Za-z0-9/]+/g },
+  { name: 'jwt', severity: 'block', pattern: /\beyJ[a-zA-Z0-9_-]{10,}\.eyJ[a-zA-Z0-9_-]{10,}\.[a-zA-Z0-9_-]{10,}/g },
+  { name: 'private-key-block', severity: 'block', pattern: /-----BEGIN[A-Z ]*PRIVATE KEY-----/g },
+  { name: 'solana-private-key', severity: 'block', pattern: /\[\s*\d{1,3}(?:\s*,\s*\d{1,3}){63}\s*\]/g },
+  { name: 'solana-private-key', severity: 'block', pattern: /(?:private|secret)[_\s-]?key\W{0,20}[1-9A-HJ-NP-Za-km-z]{86,88}/gi },
+  { name: 'ethereum-private-key', severity: 'block', pattern: /(?:private[_\s-]?key|secret)\W{0,20}(?:0x)?[a-fA-F0-9]{64}\b/gi },
+  { name: 'hex-64', severity: 'warn', pattern: /\b0x[a-fA-F0-9]{64}\b/g },
+  { name: 'password', severity: 'block', pattern: /password\s*[:=]\s*\S+/gi }
+];
+
+// Base64 attachment bodies are binary, not text — scanning them only yields noise
+const OPAQUE_PATH = /^soul\.attachments\[\d+\]\.data$/;
+
+// Object keys whose (string) values are treated as credentials
+const CREDENTIAL_KEYS = /^(?:password|passwd|secret|client_secret|api[_-]?key|access[_-]?token|auth[_-]?token|private[_-]?key|mnemonic|seed[_-]?phrase)$/i;
+
+const ENTROPY_MIN_LENGTH = 32;
+const ENTROPY_THRESHOLD = 4.5; // bits per character
+
+function shannonEntropy(str) {
+  const counts = {};
+  for (const ch of str) counts[ch] = (counts[ch] || 0) + 1;
+  return Object.values(counts).reduce((h, n) => {
+    const p = n / str.length;
+    return h - p * Math.log2(p);
+  }, 0);
+}
+
+function mask(value) {
+  return value.length <= 8 ? '****' : `${value.slice(0, 4)}…(${value.length} chars)`;
+}
+
+function scanString(str, path) {
+  const findings = [];
+  const covered = [];
+
+  for (const detector of DETECTORS) {
+    for (const m of str.matchAll(detector.pattern)) {
+      const start = m.index;
+      const end = start + m[0].length;
+      // A weaker detector shouldn't re-report text a stronger one already claimed
+      if (covered.some(([s, e]) => start < e && end > s)) continue;
+      covered.push([start, end]);
+      findings.push({ path, detector: detector.name, severity: detector.severity, value: m[0], start, end });
+    }
+  }
+
+  for (const m of str.matchAll(/[A-Za-z0-9+/=_-]{32,}/g)) {
+    const start = m.index;
+    const end = start + m[0].length;
+    if (m[0].length < ENTROPY_MIN_LENGTH || covered.some(([s, e]) => start < e && end > s)) continue;
+    if (shannonEntropy(m[0]) >= ENTROPY_THRESHOLD) {
+      findings.push({ path, detector: 'high-entropy-string', severity: 'warn', value: m[0], start, end });
+    }
+  }
+
+  return findings;
+}
+
+function isAllowed(finding, allowlist) {
+  return allowlist.some(entry => {
+    if (typeof entry === 'string') return entry === finding.value;
+    if (!entry || typeof entry !== 'object') return false;
+    if (entry.value !== undefined && entry.value !== finding.value) return false;
+    if (entry.detector !== undefined && entry.detector !== finding.detector) return false;
+    if (entry.path !== undefined && entry.path !== finding.path) return false;
+    return entry.value !== undefined || entry.detector !== undefined || entry.path !== undefined;
+  });
+}
+
+// Raw findings (including the matched text), minus allowlisted ones
+function findSecrets(soul, allowlist) {
+  const raw = [];
+
+  (function walk(value, path) {
+    if (OPAQUE_PATH.test(path)) return;
+    if (typeof value === 'string') {
+      raw.push(...scanString(value, path));
+    } else if (Array.isArray(value)) {
+      value.forEach((item, i) => walk(item, `${path}[${i}]`));
+    } else if (value && typeof value === 'object') {
+      for (const [key, child] of Object.entries(value)) {
+        const childPath = `${path}.${key}`;
+        if (CREDENTIAL_KEYS.test(key) && typeof child === 'string' && child) {
+          raw.push({ path: childPath, detector: 'credential-field', severity: 'block', value: child, start: 0, end: child.length });
+        } else {
+          walk(child, childPath);
+        }
+      }
+    }
+  })(soul, 'soul');
+
+  return raw.filter(f => !isAllowed(f, allowlist));
+}
+
+/**
+ * Scan every string in a soul
+ * allowlist entries: an exact matched string, or { value?, detector?, path? }
+ * Returns { clean, blocked, findings } — findings never include the raw secret
+ */
+function scanSoul(soul, { allowlist = [] } = {}) {
+  const findings = findSecrets(soul, allowlist);
+
+  return {
+    clean: findings.length === 0,
+    blocked: findings.some(f => f.severity === 'block'),
+    findings: findings.map(({ value, ...f }) => ({ ...f, preview: mask(value) }))
+  };
+}
+
+/**
+ * Return a copy of the soul with every finding replaced by [REDACTED:<detector>]
+ */
+function redactSoul(soul, { allowlist = [] } = {}) {
+  const byPath = new Map();
+  for (const f of findSecrets(soul, allowlist)) {
+    if (!byPath.has(f.path)) byPath.set(f.path, []);
+    byPath.get(f.path).push(f);
+  }
+
+  return (function walk(value, path) {
+    if (typeof value === 'string') {
+      const hits = (byPath.get(path) || []).sort((a, b) => b.start - a.start);
+      return hits.reduce((s, f) => s.slice(0, f.start) + `[REDACTED:${f.detector}]` + s.slice(f.end), value);
+    }
+    if (Array.isArray(value)) return value.map((item, i) => walk(item, `${path}[${i}]`));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, walk(v, `${path}.${k}`)]));
+    }
+    return value;
+  })(soul, 'soul');
+}
+
+module.exports = { scanSoul, redactSoul, DETECTORS };
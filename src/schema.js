@@ -1,5 +1,6 @@
 // src/schema.js: Soul payload validation
 // Defines what an AI soul looks like
+const { scanSoul, redactSoul } = require('./scanner');
 
 /**
  * A soul is the non-secret state of an AI agent.
@@ -7,69 +8,277 @@
  * memory, and capabilities — but never credentials or API keys.
  * 
  * Minimal soul:   { identity: { name: "MyAgent" } }
- * Full soul:      { identity, memory, personality, tools, config, files }
+ * Full soul:      { identity, memory, personality, tools, config, files, attachments }
  */
 
-const FORBIDDEN_PATTERNS = [
-  /sk-[a-zA-Z0-9]{20,}/,       // OpenAI keys
-  /sk-ant-[a-zA-Z0-9-]+/,      // Anthropic keys
-  /sk-or-[a-zA-Z0-9-]+/,       // OpenRouter keys
-  /ghp_[a-zA-Z0-9]{36}/,       // GitHub PATs
-  /gho_[a-zA-Z0-9]{36}/,       // GitHub OAuth
-  /xai-[a-zA-Z0-9]+/,          // xAI keys
-  /AIzaSy[a-zA-Z0-9_-]{33}/,   // Google API keys
-  /-----BEGIN.*PRIVATE KEY/,    // Private keys
-  /password\s*[:=]\s*\S+/i,    // Passwords
-];
-
-function validateSoulPayload(soul) {
+/**
+ * Current soul schema version, stamped into every salvaged soul.
+ * Souls without `schema_version` are treated as 1.0 (the original loose shape).
+ */
+const SCHEMA_VERSION = '2.0';
+
+// Hard cap on a serialized soul, whatever the tier
+const MAX_SOUL_BYTES = 104_857_600;
+
+const SOUL_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: `https://api.neuralsalvage.com/api/v1/schema/${SCHEMA_VERSION}`,
+  title: 'Neural Salvage Soul',
+  type: 'object',
+  required: ['identity'],
+  properties: {
+    schema_version: { type: 'string', enum: [SCHEMA_VERSION] },
+    identity: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        platform: { type: 'string' },
+        emoji: { type: 'string' },
+        salvaged_at: { type: 'string' }
+      },
+      additionalProperties: true
+    },
+    memory: {
+      type: 'object',
+      properties: {
+        long_term: { type: 'string' },
+        daily_logs: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['date', 'content'],
+            properties: {
+              date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+              content: { type: 'string' }
+            },
+            additionalProperties: false
+          }
+        }
+      },
+      additionalProperties: true
+    },
+    personality: { type: ['string', 'object'] },
+    tools: { type: ['string', 'object', 'array'] },
+    config: { type: 'object' },
+    files: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['path', 'content'],
+        properties: {
+          path: { type: 'string', minLength: 1 },
+          content: { type: 'string' }
+        },
+        additionalProperties: false
+      }
+    },
+    // Binary files: sent inline as base64 `data`, stored as references to their own transactions
+    attachments: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['path', 'content_type'],
+        properties: {
+          path: { type: 'string', minLength: 1 },
+          content_type: { type: 'string', pattern: '^[\\w.+-]+/[\\w.+-]+$' },
+          data: { type: 'string' },
+          size_bytes: { type: 'number' },
+          sha256: { type: 'string', pattern: '^[a-f0-9]{64}$' },
+          tx_id: { type: 'string' }
+        },
+        additionalProperties: false
+      }
+    },
+    metadata: { type: 'object' }
+  },
+  additionalProperties: true
+};
+
+/**
+ * Upgrade steps, keyed by the version they upgrade from
+ * (a Map, so a client-supplied version can't resolve to an Object.prototype member)
+ */
+const UPGRADES = new Map([
+  ['1.0', soul => {
+    const next = { ...soul, schema_version: '2.0' };
+    if (typeof next.memory === 'string') next.memory = { long_term: next.memory };
+    if (typeof next.identity === 'string') next.identity = { name: next.identity };
+    return next;
+  }]
+]);
+
+/**
+ * Bring a soul up to SCHEMA_VERSION (returns a new object)
+ */
+function upgradeSoul(soul) {
+  if (!soul || typeof soul !== 'object') return soul;
+
+  let current = soul;
+  let version = current.schema_version || '1.0';
+  const seen = new Set();
+  while (version !== SCHEMA_VERSION) {
+    const upgrade = UPGRADES.get(version);
+    if (!upgrade) throw new Error(`Unsupported soul schema_version: ${version}`);
+    seen.add(version);
+    current = upgrade(current);
+    if (seen.has(current.schema_version)) {
+      throw new Error(`Upgrade from schema_version ${version} did not move the version forward`);
+    }
+    version = current.schema_version;
+  }
+  return current;
+}
+
+/**
+ * Workspace paths must stay inside the workspace: no absolute paths, drive letters or '..'
+ */
+function isWorkspacePath(path) {
+  return !/^([\\/]|[A-Za-z]:)/.test(path) && !path.split(/[\\/]/).includes('..');
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Minimal JSON Schema check covering the keywords SOUL_SCHEMA uses
+ */
+function checkSchema(schema, value, path, errors) {
+  const types = [].concat(schema.type || []);
+  const actual = typeOf(value);
+  if (types.length && !types.includes(actual)) {
+    errors.push(`${path}: expected ${types.join(' or ')}, got ${actual}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (actual === 'string') {
+    if (schema.minLength && value.length < schema.minLength) errors.push(`${path}: must not be empty`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: must match ${schema.pattern}`);
+    }
+  }
+
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => checkSchema(schema.items, item, `${path}[${i}]`, errors));
+  }
+
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.properties?.[key];
+      if (childSchema) checkSchema(childSchema, child, `${path}.${key}`, errors);
+      else if (schema.additionalProperties === false) errors.push(`${path}.${key}: unknown field`);
+    }
+  }
+}
+
+/**
+ * Validate a soul against the current schema and scan it for secrets
+ * Older souls are upgraded first; the upgraded, version-stamped soul is
+ * returned as `soul` and is what should be salvaged.
+ *
+ * options.allowlist: known false positives (see scanner.js)
+ * options.redact: mask findings instead of rejecting the soul
+ */
+function validateSoulPayload(soul, { allowlist = [], redact = false } = {}) {
   const errors = [];
+  const warnings = [];
 
-  if (!soul || typeof soul !== 'object') {
-    return { valid: false, errors: ['Soul must be a JSON object'] };
+  if (!soul || typeof soul !== 'object' || Array.isArray(soul)) {
+    return { valid: false, errors: ['Soul must be a JSON object'], warnings };
+  }
+
+  try {
+    soul = upgradeSoul(soul);
+  } catch (err) {
+    return { valid: false, errors: [`soul.schema_version: ${err.message}`], warnings };
   }
 
   // Must have at least identity
   if (!soul.identity) {
-    errors.push('Soul must include an "identity" object (at minimum { name: "..." })');
-  } else if (!soul.identity.name) {
-    errors.push('identity.name is required');
+    errors.push('soul.identity: is required (at minimum { name: "..." })');
+  } else {
+    checkSchema(SOUL_SCHEMA, soul, 'soul', errors);
   }
 
+  // files[] are written back out by the files/openclaw revival formats, so their paths must stay inside the workspace
+  (Array.isArray(soul.files) ? soul.files : []).forEach((f, i) => {
+    if (f && typeof f.path === 'string' && !isWorkspacePath(f.path)) {
+      errors.push(`soul.files[${i}].path: must be a relative path`);
+    }
+  });
+
+  // Attachments: base64 bodies, unique paths that stay inside the workspace
+  const attachmentPaths = new Set();
+  (Array.isArray(soul.attachments) ? soul.attachments : []).forEach((a, i) => {
+    if (!a || typeof a !== 'object') return;
+    if (typeof a.data === 'string' && !/^[A-Za-z0-9+/\s]*={0,2}\s*$/.test(a.data)) {
+      errors.push(`soul.attachments[${i}].data: must be base64`);
+    }
+    if (a.data === undefined && !a.tx_id) errors.push(`soul.attachments[${i}]: needs "data" (base64)`);
+    if (typeof a.path === 'string') {
+      if (!isWorkspacePath(a.path)) {
+        errors.push(`soul.attachments[${i}].path: must be a relative path`);
+      }
+      if (attachmentPaths.has(a.path)) errors.push(`soul.attachments[${i}].path: duplicated (${a.path})`);
+      attachmentPaths.add(a.path);
+    }
+  });
+
   // Check for secrets in the entire payload
-  const serialized = JSON.stringify(soul);
-  
-  for (const pattern of FORBIDDEN_PATTERNS) {
-    if (pattern.test(serialized)) {
-      errors.push(`⚠️ BLOCKED: Payload contains what looks like a secret/credential. Neural Salvage stores data permanently on a public blockchain — never include API keys, passwords, or private keys. Remove the sensitive data and try again.`);
-      break; // One warning is enough
+  const scan = scanSoul(soul, { allowlist });
+
+  if (redact && !scan.clean) {
+    soul = redactSoul(soul, { allowlist });
+  } else {
+    if (scan.blocked) {
+      errors.push(`⚠️ BLOCKED: Payload contains what looks like a secret/credential. Neural Salvage stores data permanently on a public blockchain — never include API keys, passwords, or private keys. Remove the sensitive data (or salvage with "redact": true) and try again.`);
     }
+    scan.findings.forEach(f => {
+      const line = `${f.path}: looks like a secret (${f.detector}, ${f.preview})`;
+      if (f.severity === 'block') errors.push(line);
+      else warnings.push(line);
+    });
   }
 
+  const serialized = JSON.stringify(soul);
+
   // Size check (serialized)
   const sizeBytes = Buffer.byteLength(serialized);
-  if (sizeBytes > 104_857_600) { // 100MB hard cap
-    errors.push(`Payload too large: ${(sizeBytes / 1_048_576).toFixed(1)}MB (max 100MB)`);
+  if (sizeBytes > MAX_SOUL_BYTES) {
+    errors.push(`Payload too large: ${(sizeBytes / 1_048_576).toFixed(1)}MB (max ${MAX_SOUL_BYTES / 1_048_576}MB)`);
   }
 
-  // Validate known fields
-  const validFields = ['identity', 'memory', 'personality', 'tools', 'config', 'files', 'metadata'];
-  const unknownFields = Object.keys(soul).filter(k => !validFields.includes(k));
-  if (unknownFields.length > 0) {
-    // Warning, not error — we accept extra fields
-    // Just note it
-  }
+  // Unknown top-level fields are kept, but reported
+  const unknownFields = Object.keys(soul).filter(k => !(k in SOUL_SCHEMA.properties));
+  unknownFields.forEach(k => warnings.push(`soul.${k}: unknown field (kept as-is)`));
 
   return {
     valid: errors.length === 0,
     errors,
+    warnings,
+    soul,
+    scan,
+    redacted: redact && !scan.clean,
+    schema_version: SCHEMA_VERSION,
     size_bytes: sizeBytes,
     fields: Object.keys(soul),
     has_memory: !!soul.memory,
     has_personality: !!soul.personality,
     has_tools: !!soul.tools,
-    has_files: Array.isArray(soul.files) && soul.files.length > 0
+    has_files: Array.isArray(soul.files) && soul.files.length > 0,
+    has_attachments: Array.isArray(soul.attachments) && soul.attachments.length > 0
   };
 }
 
-module.exports = { validateSoulPayload, FORBIDDEN_PATTERNS };
+module.exports = { validateSoulPayload, upgradeSoul, SOUL_SCHEMA, SCHEMA_VERSION, MAX_SOUL_BYTES };
@@ -0,0 +1,338 @@
+// src/storage.js: Storage drivers behind salvage — Arweave, arlocal, local filesystem
+// Every driver implements: put(data, tags, options), get(id), getTags(id), read(id), status(id)
+// Arweave drivers also keep signed transactions for re-posting: repost(id), release(id)
+// and read through a pool of gateways and an on-disk cache: gatewayHealth(), cacheStats()
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Arweave = require('arweave');
+const { createGatewayPool, fetchVerified } = require('./gateways');
+const { createTxCache } = require('./txcache');
+
+const DEFAULT_STORE_DIR = path.join(__dirname, '..', 'data', 'store');
+const DEMO_STORE_DIR = path.join(__dirname, '..', 'data', 'demo');
+const SIGNED_TX_DIR = path.join(__dirname, '..', 'data', 'signed-tx');
+const TX_CACHE_DIR = path.join(__dirname, '..', 'data', 'cache');
+
+/**
+ * Arweave-compatible gateway (arweave.net by default, or any host via config)
+ * Writes need a wallet; without one the driver is read-only.
+ * put(..., { keep: true }) saves the signed transaction under signedTxDir until release(id),
+ * so a transaction the network drops can be posted again unchanged (same ID).
+ * Reads go to pool (this host alone by default) and are verified against the data root;
+ * verified transactions are kept in cache (a txcache) when one is given.
+ */
+function createArweaveDriver({
+  host = 'arweave.net', port = 443, protocol = 'https', wallet = null, name = 'arweave', signedTxDir = SIGNED_TX_DIR,
+  pool = null, cache = null
+} = {}) {
+  const arweave = Arweave.init({ host, port, protocol });
+  const baseUrl = `${protocol}://${host}${[80, 443].includes(+port) ? '' : `:${port}`}`;
+  const signedTxPath = id => path.join(signedTxDir, `${id}.json`);
+  const gateways = pool || createGatewayPool([baseUrl]);
+
+  async function post(tx) {
+    const response = await arweave.transactions.post(tx);
+    if (response.status !== 200) {
+      throw new Error(`Arweave upload failed with status ${response.status}`);
+    }
+  }
+
+  /**
+   * Data and tags with how they were retrieved:
+   * retrieval { cache: 'hit' | 'miss' | 'off', gateway, verified }
+   */
+  async function read(id) {
+    const cached = cache?.get(id);
+    if (cached) return { ...cached, retrieval: { cache: 'hit', gateway: null, verified: true } };
+
+    let fetched;
+    try {
+      fetched = await fetchVerified(gateways, id);
+    } catch (err) {
+      if (err.message === 'Not found on any gateway') throw new Error(`Salvage not found: ${id}`);
+      throw err;
+    }
+    cache?.put(id, fetched.data, fetched.tags);
+    return {
+      data: fetched.data,
+      tags: fetched.tags,
+      retrieval: { cache: cache?.enabled ? 'miss' : 'off', gateway: fetched.gateway, verified: true }
+    };
+  }
+
+  return {
+    name,
+    permanent: true,
+    client: arweave,
+    canWrite: () => !!wallet,
+
+    async put(data, tags = {}, { keep = false } = {}) {
+      if (!wallet) throw new Error(`Storage driver "${name}" has no wallet configured`);
+
+      const tx = await arweave.createTransaction({ data }, wallet);
+      for (const [tagName, value] of Object.entries(tags)) {
+        tx.addTag(tagName, String(value));
+      }
+
+      await arweave.transactions.sign(tx, wallet);
+      await post(tx);
+
+      if (keep) {
+        fs.mkdirSync(signedTxDir, { recursive: true });
+        fs.writeFileSync(signedTxPath(tx.id), JSON.stringify(tx.toJSON()));
+      }
+      return { id: tx.id, cost: tx.reward };
+    },
+
+    /**
+     * Post a kept transaction again; false if it wasn't kept
+     * Throws if the gateway rejects it (e.g. its anchor is too old by now)
+     */
+    async repost(id) {
+      if (!fs.existsSync(signedTxPath(id))) return false;
+      const tx = arweave.transactions.fromRaw(JSON.parse(fs.readFileSync(signedTxPath(id), 'utf8')));
+      await post(tx);
+      return true;
+    },
+
+    // The transaction is final: its signed copy is no longer needed
+    async release(id) {
+      fs.rmSync(signedTxPath(id), { force: true });
+    },
+
+    read,
+
+    async get(id) {
+      return (await read(id)).data;
+    },
+
+    async getTags(id) {
+      return (await read(id)).tags;
+    },
+
+    gatewayHealth: () => gateways.health(),
+    cacheStats: () => cache?.stats() ?? null,
+
+    async status(id) {
+      const result = await arweave.transactions.getStatus(id);
+      if (result.status === 200) {
+        return {
+          status: 'confirmed',
+          confirmations: result.confirmed?.number_of_confirmations || 0,
+          blockHeight: result.confirmed?.block_height ?? null
+        };
+      }
+      if (result.status === 202) return { status: 'pending', confirmations: 0 };
+      if (result.status === 404) return { status: 'not_found', confirmations: 0 };
+      throw new Error(`Arweave status check failed with status ${result.status}`);
+    },
+
+    urlFor: id => `${baseUrl}/${id}`
+  };
+}
+
+/**
+ * arlocal (or any Arweave test gateway): like the Arweave driver, but funds an
+ * ephemeral wallet on first write and mines a block after each upload
+ */
+function createArlocalDriver({ host = 'localhost', port = 1984, protocol = 'http', wallet = null, pool, cache } = {}) {
+  let driver = createArweaveDriver({ host, port, protocol, wallet, name: 'arlocal', pool, cache });
+  const arweave = driver.client;
+
+  async function ensureWallet() {
+    if (wallet) return;
+    wallet = await arweave.wallets.generate();
+    const address = await arweave.wallets.jwkToAddress(wallet);
+    await arweave.api.get(`mint/${address}/1000000000000000`);
+    driver = createArweaveDriver({ host, port, protocol, wallet, name: 'arlocal', pool, cache });
+  }
+
+  return {
+    ...driver,
+    canWrite: () => true,
+
+    async put(data, tags, options) {
+      await ensureWallet();
+      const result = await driver.put(data, tags, options);
+      await arweave.api.get('mine');
+      return result;
+    }
+  };
+}
+
+/**
+ * Local content-addressed store for offline use, tests and demo mode
+ * Blobs are stored once per content hash; each put gets its own record of tags.
+ */
+function createFilesystemDriver({ dir = DEFAULT_STORE_DIR, name = 'filesystem', idPrefix = '' } = {}) {
+  const blobDir = path.join(dir, 'blobs');
+  const txDir = path.join(dir, 'tx');
+
+  function ensureDirs() {
+    for (const d of [blobDir, txDir]) {
+      if (!fs.existsSync(d)) fs.mkdirSync(d, { recursive: true });
+    }
+  }
+
+  function readRecord(id) {
+    if (!id.startsWith(idPrefix) || !/^[A-Za-z0-9_-]+$/.test(id)) throw new Error(`Salvage not found: ${id}`);
+    const file = path.join(txDir, `${id}.json`);
+    if (!fs.existsSync(file)) throw new Error(`Salvage not found: ${id}`);
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  return {
+    name,
+    permanent: false,
+    canWrite: () => true,
+
+    async put(data, tags = {}) {
+      ensureDirs();
+      const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+      const dataHash = crypto.createHash('sha256').update(buffer).digest('base64url');
+      const timestamp = new Date().toISOString();
+
+      // Same shape as an Arweave ID: 43 chars of base64url
+      const id = idPrefix + crypto.createHash('sha256')
+        .update(dataHash)
+        .update(JSON.stringify(tags))
+        .update(timestamp)
+        .update(crypto.randomBytes(8))
+        .digest('base64url');
+
+      const blobPath = path.join(blobDir, dataHash);
+      if (!fs.existsSync(blobPath)) fs.writeFileSync(blobPath, buffer);
+      fs.writeFileSync(path.join(txDir, `${id}.json`), JSON.stringify({ id, dataHash, tags, timestamp }, null, 2));
+
+      return { id, cost: '0' };
+    },
+
+    async get(id) {
+      const record = readRecord(id);
+      return fs.readFileSync(path.join(blobDir, record.dataHash));
+    },
+
+    async getTags(id) {
+      return readRecord(id).tags;
+    },
+
+    // Local records are read as stored: no gateway, cache or data-root check involved
+    async read(id) {
+      const record = readRecord(id);
+      return {
+        data: fs.readFileSync(path.join(blobDir, record.dataHash)),
+        tags: record.tags,
+        retrieval: { cache: null, gateway: null, verified: null }
+      };
+    },
+
+    async status(id) {
+      try {
+        readRecord(id);
+        return { status: 'confirmed', confirmations: 0 };
+      } catch {
+        return { status: 'not_found', confirmations: 0 };
+      }
+    },
+
+    // Timestamp of a stored record (for TTL checks)
+    async storedAt(id) {
+      return readRecord(id).timestamp;
+    },
+
+    /**
+     * Delete records older than maxAgeMs, then any blob no record points to
+     */
+    async purge(maxAgeMs) {
+      if (!fs.existsSync(txDir)) return { removed: 0 };
+      const cutoff = Date.now() - maxAgeMs;
+      const live = new Set();
+      let removed = 0;
+
+      for (const file of fs.readdirSync(txDir)) {
+        const record = JSON.parse(fs.readFileSync(path.join(txDir, file), 'utf8'));
+        if (new Date(record.timestamp).getTime() < cutoff) {
+          fs.unlinkSync(path.join(txDir, file));
+          removed++;
+        } else {
+          live.add(record.dataHash);
+        }
+      }
+
+      for (const blob of fs.readdirSync(blobDir)) {
+        if (!live.has(blob)) fs.unlinkSync(path.join(blobDir, blob));
+      }
+
+      return { removed };
+    },
+
+    urlFor: () => null
+  };
+}
+
+/**
+ * Build a driver from config (defaults to environment variables)
+ * STORAGE_DRIVER: 'arweave' (default) | 'arlocal' | 'filesystem'
+ * ARWEAVE_GATEWAYS: comma-separated read gateways, tried in order (default: the write host)
+ * ARWEAVE_CACHE_DIR / ARWEAVE_CACHE_MB: read cache location and size (0 turns it off)
+ */
+function createStorage(config = {}) {
+  const driver = config.driver || process.env.STORAGE_DRIVER || 'arweave';
+  const walletJson = config.walletJson ?? process.env.ARWEAVE_WALLET_JSON;
+  const wallet = walletJson ? JSON.parse(walletJson) : null;
+  const gateway = {
+    host: config.host || process.env.ARWEAVE_HOST || undefined,
+    port: config.port || process.env.ARWEAVE_PORT || undefined,
+    protocol: config.protocol || process.env.ARWEAVE_PROTOCOL || undefined
+  };
+  Object.keys(gateway).forEach(k => gateway[k] === undefined && delete gateway[k]);
+
+  const readGateways = (config.gateways || process.env.ARWEAVE_GATEWAYS || '').split(',').map(u => u.trim()).filter(Boolean);
+  const cacheMb = parseFloat(config.cacheMb ?? process.env.ARWEAVE_CACHE_MB);
+  const reads = {
+    pool: readGateways.length ? createGatewayPool(readGateways) : null,
+    cache: createTxCache({
+      dir: config.cacheDir || process.env.ARWEAVE_CACHE_DIR || TX_CACHE_DIR,
+      maxBytes: Math.round((Number.isNaN(cacheMb) ? 256 : cacheMb) * 1024 * 1024)
+    })
+  };
+
+  switch (driver) {
+    case 'arweave':
+      return createArweaveDriver({ ...gateway, wallet, ...reads });
+    case 'arlocal':
+      return createArlocalDriver({ ...gateway, wallet, ...reads });
+    case 'filesystem':
+      return createFilesystemDriver({ dir: config.dir || process.env.STORAGE_DIR || DEFAULT_STORE_DIR });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+let storage = null;
+let demoStorage = null;
+
+/**
+ * The configured driver (created once per process)
+ */
+function getStorage() {
+  if (!storage) storage = createStorage();
+  return storage;
+}
+
+/**
+ * Local store for demo-mode salvages (IDs prefixed "demo-")
+ */
+function getDemoStorage() {
+  if (!demoStorage) {
+    demoStorage = createFilesystemDriver({
+      dir: process.env.DEMO_STORE_DIR || DEMO_STORE_DIR,
+      name: 'demo',
+      idPrefix: 'demo-'
+    });
+  }
+  return demoStorage;
+}
+
+module.exports = { getStorage, getDemoStorage, createStorage, createArweaveDriver, createArlocalDriver, createFilesystemDriver };
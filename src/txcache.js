@@ -0,0 +1,104 @@
+// src/txcache.js: Size-bounded on-disk cache of verified Arweave transactions, keyed by tx ID
+// Arweave data never changes, so an entry is valid forever; the least recently read go first.
+// Entries are written whole (temp file, then rename) and checked against their size and
+// SHA-256 on every read, so a torn or altered file is a miss, never a verified hit.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+/**
+ * dir: cache directory; maxBytes: total data size kept (0 disables the cache)
+ */
+function createTxCache({ dir, maxBytes }) {
+  let totalBytes = null; // computed on first use
+  const dataPath = id => path.join(dir, `${id}.bin`);
+  const metaPath = id => path.join(dir, `${id}.json`);
+  const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+  // Readers see the old file or the new one, never a partial write
+  function writeWhole(file, contents) {
+    const temp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+      fs.writeFileSync(temp, contents);
+      fs.renameSync(temp, file);
+    } catch (err) {
+      fs.rmSync(temp, { force: true });
+      throw err;
+    }
+  }
+
+  function entries() {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter(f => f.endsWith('.bin')).map(f => {
+      const stat = fs.statSync(path.join(dir, f));
+      return { id: f.slice(0, -4), size: stat.size, usedAt: stat.mtimeMs };
+    });
+  }
+
+  function total() {
+    if (totalBytes === null) totalBytes = entries().reduce((sum, e) => sum + e.size, 0);
+    return totalBytes;
+  }
+
+  function remove(id, size) {
+    fs.rmSync(dataPath(id), { force: true });
+    fs.rmSync(metaPath(id), { force: true });
+    totalBytes = total() - size;
+  }
+
+  return {
+    enabled: maxBytes > 0,
+
+    // { data, tags } or null (an entry that no longer matches what was verified is dropped)
+    get(id) {
+      if (!(maxBytes > 0) || !ID_PATTERN.test(id)) return null;
+      let meta;
+      let data;
+      try {
+        meta = JSON.parse(fs.readFileSync(metaPath(id), 'utf8'));
+        data = fs.readFileSync(dataPath(id));
+      } catch {
+        return null;
+      }
+
+      if (data.length !== meta.size || sha256(data) !== meta.sha256) {
+        console.log(`[Cache] Dropping corrupt entry ${id}`);
+        fs.rmSync(dataPath(id), { force: true });
+        fs.rmSync(metaPath(id), { force: true });
+        totalBytes = null; // its size on disk isn't what was counted: recount on next use
+        return null;
+      }
+      const now = new Date();
+      fs.utimesSync(dataPath(id), now, now); // mark as recently used
+      return { data, tags: meta.tags };
+    },
+
+    put(id, data, tags) {
+      if (!(maxBytes > 0) || !ID_PATTERN.test(id) || data.length > maxBytes) return;
+      fs.mkdirSync(dir, { recursive: true });
+      if (fs.existsSync(dataPath(id))) return;
+      const before = total();
+
+      // Tags, size and hash first: an entry only counts once its data file exists
+      writeWhole(metaPath(id), JSON.stringify({ tags, size: data.length, sha256: sha256(data) }));
+      writeWhole(dataPath(id), data);
+      totalBytes = before + data.length;
+
+      if (totalBytes > maxBytes) {
+        const oldest = entries().filter(e => e.id !== id).sort((a, b) => a.usedAt - b.usedAt);
+        for (const entry of oldest) {
+          if (totalBytes <= maxBytes) break;
+          remove(entry.id, entry.size);
+        }
+      }
+    },
+
+    stats() {
+      return { max_bytes: maxBytes, bytes: maxBytes > 0 ? total() : 0, entries: maxBytes > 0 ? entries().length : 0 };
+    }
+  };
+}
+
+module.exports = { createTxCache };
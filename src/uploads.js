@@ -0,0 +1,245 @@
+// src/uploads.js: Chunked, resumable upload sessions for large souls
+// Sessions live in SQLite and chunks on disk, so an upload survives restarts
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { StringDecoder } = require('string_decoder');
+const { v4: uuidv4 } = require('uuid');
+const { getDb, transaction } = require('./db');
+const { MAX_SOUL_BYTES } = require('./schema');
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'data', 'uploads');
+const MAX_CHUNK_BYTES = 8 * 1_048_576;
+// Hard cap for tiers without a size limit: no bigger than a soul can be, or completion is bound to fail
+const MAX_UPLOAD_BYTES = MAX_SOUL_BYTES;
+// Abandoned sessions expire this long after their last chunk
+const UPLOAD_TTL_MS = (parseFloat(process.env.UPLOAD_TTL_HOURS) || 24) * 3_600_000;
+
+// Salvage options that can be fixed when the session is opened (never keys or passphrases)
+const SESSION_OPTIONS = [
+  'agent_name', 'metadata', 'parent_tx_id', 'mode', 'redact', 'allowlist', 'signature', 'signing_key_id', 'force'
+];
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function sessionDir(id) {
+  return path.join(UPLOAD_DIR, id);
+}
+
+function rowToUpload(row, chunks) {
+  return {
+    id: row.id,
+    accountId: row.account_id,
+    kind: row.kind,
+    status: row.status,
+    totalBytes: row.total_bytes,
+    sha256: row.sha256,
+    options: JSON.parse(row.options),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    expiresAt: row.expires_at,
+    txId: row.tx_id,
+    chunks,
+    receivedBytes: chunks.reduce((sum, c) => sum + c.size, 0)
+  };
+}
+
+function loadUpload(db, accountId, id) {
+  const row = db.prepare('SELECT * FROM upload_sessions WHERE id = ? AND account_id = ?').get(id, accountId);
+  if (!row) throw new Error('Upload not found');
+
+  const chunks = db.prepare('SELECT idx, size, sha256 FROM upload_chunks WHERE session_id = ? ORDER BY idx')
+    .all(id).map(c => ({ index: c.idx, size: c.size, sha256: c.sha256 }));
+  return rowToUpload(row, chunks);
+}
+
+function assertOpen(upload) {
+  if (upload.status === 'completed') throw new Error(`Upload already completed (tx ${upload.txId})`);
+  if (upload.status === 'completing') throw new Error('Upload is already being completed');
+  if (upload.expiresAt <= new Date().toISOString()) throw new Error('Upload session expired');
+}
+
+/**
+ * Open an upload session
+ * kind: 'soul' (the payload is a soul) or 'encrypted' (a client-side envelope)
+ * maxBytes: the account's per-salvage limit (null = tier has none)
+ */
+async function createUpload(accountId, { kind = 'soul', totalBytes, sha256: digest, options = {}, maxBytes = null }) {
+  if (!['soul', 'encrypted'].includes(kind)) throw new Error('Upload kind must be "soul" or "encrypted"');
+  if (!Number.isInteger(totalBytes) || totalBytes <= 0) throw new Error('Upload total_bytes must be a positive integer');
+  const limit = Math.min(maxBytes ?? MAX_UPLOAD_BYTES, MAX_UPLOAD_BYTES);
+  if (totalBytes > limit) throw new Error(`Payload too large: ${totalBytes} bytes (max ${limit})`);
+  if (digest !== undefined && !/^[a-f0-9]{64}$/i.test(digest)) throw new Error('Upload sha256 must be 64 hex characters');
+
+  const id = uuidv4();
+  const now = new Date();
+  const kept = Object.fromEntries(SESSION_OPTIONS.filter(k => options[k] !== undefined).map(k => [k, options[k]]));
+
+  getDb().prepare(`
+    INSERT INTO upload_sessions (id, account_id, kind, status, total_bytes, sha256, options, created_at, updated_at, expires_at)
+    VALUES (?, ?, ?, 'open', ?, ?, ?, ?, ?, ?)
+  `).run(id, accountId, kind, totalBytes, digest ? digest.toLowerCase() : null, JSON.stringify(kept),
+    now.toISOString(), now.toISOString(), new Date(now.getTime() + UPLOAD_TTL_MS).toISOString());
+
+  return getUpload(accountId, id);
+}
+
+/**
+ * Session state, including which chunks have arrived (for resuming)
+ */
+async function getUpload(accountId, id) {
+  return loadUpload(getDb(), accountId, id);
+}
+
+/**
+ * Store chunk `index` (0-based); `checksum` is the chunk's hex sha256
+ * Re-sending a chunk replaces it, so a chunk interrupted mid-request can simply be retried.
+ */
+async function putChunk(accountId, id, index, data, checksum) {
+  const upload = await getUpload(accountId, id);
+  assertOpen(upload);
+
+  if (!Number.isInteger(index) || index < 0) throw new Error('Chunk index must be a non-negative integer');
+  if (!data.length) throw new Error('Chunk is empty');
+  if (data.length > MAX_CHUNK_BYTES) throw new Error(`Chunk too large: ${data.length} bytes (max ${MAX_CHUNK_BYTES})`);
+  if (!checksum) throw new Error('Chunk checksum missing — send X-Chunk-SHA256');
+
+  const digest = sha256(data);
+  if (digest !== String(checksum).toLowerCase()) throw new Error(`Chunk checksum mismatch (received ${digest})`);
+
+  const others = upload.chunks.filter(c => c.index !== index).reduce((sum, c) => sum + c.size, 0);
+  if (others + data.length > upload.totalBytes) {
+    throw new Error(`Chunk exceeds the declared total_bytes (${upload.totalBytes})`);
+  }
+
+  // Write then rename, so a crash never leaves a half-written chunk behind
+  const dir = sessionDir(id);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${index}.part`);
+  fs.writeFileSync(`${file}.tmp`, data);
+  fs.renameSync(`${file}.tmp`, file);
+
+  const now = new Date();
+  transaction(() => {
+    const db = getDb();
+    db.prepare(`
+      INSERT INTO upload_chunks (session_id, idx, size, sha256, received_at) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (session_id, idx) DO UPDATE SET size = excluded.size, sha256 = excluded.sha256, received_at = excluded.received_at
+    `).run(id, index, data.length, digest, now.toISOString());
+    db.prepare('UPDATE upload_sessions SET updated_at = ?, expires_at = ? WHERE id = ?')
+      .run(now.toISOString(), new Date(now.getTime() + UPLOAD_TTL_MS).toISOString(), id);
+  });
+
+  return getUpload(accountId, id);
+}
+
+/**
+ * Reassemble a session's chunks and lock it for completion: { upload, text }
+ * Chunks must be 0..n-1 with no gaps and add up to total_bytes (and match
+ * the session's sha256, if one was given). Follow with finishUpload on
+ * success or reopenUpload on failure.
+ */
+async function assembleUpload(accountId, id) {
+  const upload = transaction(() => {
+    const db = getDb();
+    const current = loadUpload(db, accountId, id);
+    assertOpen(current);
+
+    const missing = [];
+    const last = current.chunks.length ? current.chunks[current.chunks.length - 1].index : -1;
+    for (let i = 0; i <= last; i++) {
+      if (!current.chunks.some(c => c.index === i)) missing.push(i);
+    }
+    if (!current.chunks.length || missing.length || current.receivedBytes !== current.totalBytes) {
+      throw new Error(`Upload incomplete: ${current.receivedBytes} of ${current.totalBytes} bytes received` +
+        (missing.length ? `, missing chunk(s) ${missing.join(', ')}` : ''));
+    }
+
+    // The expiry is pushed out so a completion interrupted by a crash is eventually purged
+    const now = new Date();
+    db.prepare("UPDATE upload_sessions SET status = 'completing', updated_at = ?, expires_at = ? WHERE id = ?")
+      .run(now.toISOString(), new Date(now.getTime() + UPLOAD_TTL_MS).toISOString(), id);
+    return current;
+  });
+
+  try {
+    const { text, digest } = await readChunks(id, upload.chunks);
+    if (upload.sha256 && digest !== upload.sha256) {
+      throw new Error(`Upload checksum mismatch: assembled payload hashes to ${digest}`);
+    }
+    return { upload, text };
+  } catch (err) {
+    await reopenUpload(id);
+    throw err;
+  }
+}
+
+/**
+ * Stream the chunk files in order into one UTF-8 string, hashing as they go
+ * (the payload is only ever held once, as the text JSON.parse needs)
+ */
+async function readChunks(id, chunks) {
+  const hash = crypto.createHash('sha256');
+  const decoder = new StringDecoder('utf8'); // characters can straddle chunk boundaries
+  let text = '';
+  for (const c of chunks) {
+    for await (const piece of fs.createReadStream(path.join(sessionDir(id), `${c.index}.part`))) {
+      hash.update(piece);
+      text += decoder.write(piece);
+    }
+  }
+  return { text: text + decoder.end(), digest: hash.digest('hex') };
+}
+
+/**
+ * Mark a session completed and drop its chunks
+ */
+async function finishUpload(id, txId) {
+  getDb().prepare("UPDATE upload_sessions SET status = 'completed', tx_id = ?, updated_at = ? WHERE id = ?")
+    .run(txId, new Date().toISOString(), id);
+  fs.rmSync(sessionDir(id), { recursive: true, force: true });
+}
+
+/**
+ * Put a session back to 'open' after a failed completion (chunks are kept)
+ */
+async function reopenUpload(id) {
+  getDb().prepare("UPDATE upload_sessions SET status = 'open', updated_at = ? WHERE id = ? AND status = 'completing'")
+    .run(new Date().toISOString(), id);
+}
+
+/**
+ * Abandon a session and delete its chunks
+ */
+async function abortUpload(accountId, id) {
+  const upload = await getUpload(accountId, id);
+  if (upload.status === 'completing') throw new Error('Upload is already being completed');
+  deleteSession(id);
+}
+
+function deleteSession(id) {
+  transaction(() => {
+    const db = getDb();
+    db.prepare('DELETE FROM upload_chunks WHERE session_id = ?').run(id);
+    db.prepare('DELETE FROM upload_sessions WHERE id = ?').run(id);
+  });
+  fs.rmSync(sessionDir(id), { recursive: true, force: true });
+}
+
+/**
+ * Delete expired sessions that never completed
+ * (completed sessions are kept as a record, their chunks are already gone)
+ */
+async function purgeExpiredUploads() {
+  const expired = getDb().prepare("SELECT id FROM upload_sessions WHERE status != 'completed' AND expires_at <= ?")
+    .all(new Date().toISOString());
+  expired.forEach(({ id }) => deleteSession(id));
+  return { removed: expired.length };
+}
+
+module.exports = {
+  createUpload, getUpload, putChunk, assembleUpload, finishUpload, reopenUpload, abortUpload,
+  purgeExpiredUploads, MAX_CHUNK_BYTES
+};
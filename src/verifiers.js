@@ -0,0 +1,154 @@
+// src/verifiers.js: On-chain verification of crypto payments
+// One verifier per chain; each looks a transfer up over RPC and reports what it
+// paid to whom, so payments.js can match it against a payment intent
+const Arweave = require('arweave');
+
+// Endpoints are configurable so a local validator, devnet or stub can stand in
+const SOLANA_RPC_URL = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
+const ETH_RPC_URL = process.env.ETH_RPC_URL || 'https://cloudflare-eth.com';
+const AR_RPC_URL = process.env.AR_RPC_URL || 'https://arweave.net';
+const USDC_MINT = process.env.USDC_MINT || 'EPjFWJd5AufqSSqeM2qJ1Mi1vNcfR2bH1BdfBwjrRk1v';
+
+const MIN_CONFIRMATIONS = {
+  SOL: parseInt(process.env.SOLANA_MIN_CONFIRMATIONS, 10) || 32, // or finalized
+  USDC: parseInt(process.env.SOLANA_MIN_CONFIRMATIONS, 10) || 32,
+  ETH: parseInt(process.env.ETH_MIN_CONFIRMATIONS, 10) || 12,
+  AR: parseInt(process.env.AR_MIN_CONFIRMATIONS, 10) || 10
+};
+
+/**
+ * Smallest-unit decimals per currency
+ */
+const DECIMALS = { SOL: 9, USDC: 6, ETH: 18, AR: 12, BTC: 8 };
+
+/**
+ * Decimal string ("0.05") to a BigInt in the currency's smallest unit
+ */
+function toBaseUnits(amount, currency) {
+  const decimals = DECIMALS[currency];
+  const [whole, fraction = ''] = String(amount).split('.');
+  if (fraction.length > decimals) throw new Error(`${currency} amount has more than ${decimals} decimals: ${amount}`);
+  return BigInt(whole || '0') * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, '0') || '0');
+}
+
+/**
+ * BigInt in the smallest unit back to a decimal string
+ */
+function fromBaseUnits(value, currency) {
+  const decimals = BigInt(DECIMALS[currency]);
+  const whole = value / 10n ** decimals;
+  const fraction = (value % 10n ** decimals).toString().padStart(Number(decimals), '0').replace(/0+$/, '');
+  return fraction ? `${whole}.${fraction}` : whole.toString();
+}
+
+// Every verifier resolves to:
+// { found, success, recipientReceived (BigInt), confirmations, confirmed, timestamp (s) }
+// found: false when the RPC doesn't know the transaction (yet)
+
+/**
+ * SOL and USDC (SPL) transfers, read through a Solana RPC node
+ */
+async function verifySolana({ currency, txSignature, address }) {
+  const { Connection } = require('@solana/web3.js');
+  const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
+
+  const tx = await connection.getParsedTransaction(txSignature, { commitment: 'confirmed', maxSupportedTransactionVersion: 0 });
+  if (!tx) return { found: false };
+
+  let received = 0n;
+  if (currency === 'SOL') {
+    const index = tx.transaction.message.accountKeys.findIndex(k => k.pubkey.toBase58() === address);
+    if (index !== -1) received = BigInt(tx.meta.postBalances[index]) - BigInt(tx.meta.preBalances[index]);
+  } else {
+    // Token balances of any account owned by `address` holding the USDC mint
+    const sum = balances => (balances || [])
+      .filter(b => b.owner === address && b.mint === USDC_MINT)
+      .reduce((total, b) => total + BigInt(b.uiTokenAmount.amount), 0n);
+    received = sum(tx.meta.postTokenBalances) - sum(tx.meta.preTokenBalances);
+  }
+
+  const { value: [status] } = await connection.getSignatureStatuses([txSignature], { searchTransactionHistory: true });
+  const finalized = status?.confirmationStatus === 'finalized';
+  const confirmations = finalized ? MIN_CONFIRMATIONS[currency] : (status?.confirmations || 0);
+
+  return {
+    found: true,
+    success: !tx.meta.err,
+    recipientReceived: received,
+    confirmations,
+    confirmed: finalized || confirmations >= MIN_CONFIRMATIONS[currency],
+    timestamp: tx.blockTime ?? null
+  };
+}
+
+/**
+ * Plain ETH transfers over Ethereum JSON-RPC
+ */
+async function verifyEthereum({ txSignature, address }) {
+  const { JsonRpcProvider } = require('ethers');
+  const provider = new JsonRpcProvider(ETH_RPC_URL);
+
+  try {
+    const [tx, receipt] = await Promise.all([
+      provider.getTransaction(txSignature),
+      provider.getTransactionReceipt(txSignature)
+    ]);
+    if (!tx || !receipt) return { found: false };
+
+    const block = await provider.getBlock(receipt.blockNumber);
+    const confirmations = await receipt.confirmations();
+    return {
+      found: true,
+      success: receipt.status === 1,
+      recipientReceived: tx.to && tx.to.toLowerCase() === address.toLowerCase() ? tx.value : 0n,
+      confirmations,
+      confirmed: confirmations >= MIN_CONFIRMATIONS.ETH,
+      timestamp: block?.timestamp ?? null
+    };
+  } finally {
+    provider.destroy();
+  }
+}
+
+/**
+ * AR transfers, read through an Arweave gateway
+ */
+async function verifyArweave({ txSignature, address }) {
+  const url = new URL(AR_RPC_URL);
+  const protocol = url.protocol.replace(':', '');
+  const arweave = Arweave.init({ host: url.hostname, port: url.port || (protocol === 'https' ? 443 : 80), protocol });
+
+  const status = await arweave.transactions.getStatus(txSignature);
+  if (status.status === 404) return { found: false };
+  if (status.status !== 200 || !status.confirmed) {
+    return { found: true, success: true, recipientReceived: 0n, confirmations: 0, confirmed: false, pending: true };
+  }
+
+  const tx = await arweave.transactions.get(txSignature);
+  const block = await arweave.blocks.get(status.confirmed.block_indep_hash);
+  return {
+    found: true,
+    success: true,
+    recipientReceived: tx.target === address ? BigInt(tx.quantity) : 0n,
+    confirmations: status.confirmed.number_of_confirmations,
+    confirmed: status.confirmed.number_of_confirmations >= MIN_CONFIRMATIONS.AR,
+    timestamp: block?.timestamp ?? null
+  };
+}
+
+const VERIFIERS = {
+  SOL: verifySolana,
+  USDC: verifySolana,
+  ETH: verifyEthereum,
+  AR: verifyArweave
+};
+
+/**
+ * Verifier for a currency, or null if it can only be reviewed manually (BTC)
+ */
+function verifierFor(currency) {
+  const verify = VERIFIERS[currency];
+  return verify ? args => verify({ currency, ...args }) : null;
+}
+
+module.exports = { verifierFor, toBaseUnits, fromBaseUnits, DECIMALS, MIN_CONFIRMATIONS };
@@ -0,0 +1,329 @@
+// src/webhooks.js: Outbound webhooks — account-registered endpoints for salvage, revival and billing events
+// Events are written to a delivery log (in the caller's transaction, when there is one)
+// and sent in the background: HMAC-signed, retried with exponential backoff
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { getDb, transaction } = require('./db');
+const { TIERS } = require('./quota');
+
+const EVENTS = ['salvage.created', 'salvage.confirmed', 'salvage.failed', 'revive.performed', 'tier.upgraded', 'tier.downgraded'];
+
+const MAX_ENDPOINTS_PER_ACCOUNT = 10;
+const MAX_ATTEMPTS = 8;
+const BASE_BACKOFF_MS = 30_000; // 30s, 1m, 2m, 4m … capped at MAX_BACKOFF_MS
+const MAX_BACKOFF_MS = 6 * 3_600_000;
+const DELIVERY_TIMEOUT_MS = 10_000;
+
+// Endpoints may not point into the service's own network: loopback, private, link-local
+// (cloud metadata), CGNAT, multicast and reserved ranges, plus IPv4-mapped/NAT64 IPv6 forms of them
+const BLOCKED_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]
+  .forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+// For local development against a receiver on this machine
+const allowPrivateUrls = () => process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+const NOT_PUBLIC = 'Webhook url must resolve to a public address (not loopback, private or link-local)';
+
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
+
+const hostOf = url => url.hostname.replace(/^\[|\]$/g, '');
+
+/**
+ * Reject an endpoint URL whose host is, or resolves to, a non-public address
+ */
+async function checkPublicHost(url) {
+  if (allowPrivateUrls()) return;
+  const host = hostOf(url);
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch {
+    throw new Error(`Webhook url host could not be resolved: ${host}`);
+  }
+  if (addresses.some(a => isBlockedAddress(a.address))) throw new Error(NOT_PUBLIC);
+}
+
+/**
+ * dns.lookup for deliveries: checks the addresses the socket will actually connect to,
+ * so a host that re-resolves to an internal address after registration is still refused
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!allowPrivateUrls() && addresses.some(a => isBlockedAddress(a.address))) return callback(new Error(NOT_PUBLIC));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * POST body to url without following redirects; resolves with the response status code
+ */
+function post(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const host = hostOf(target);
+    // IP literals never go through lookup
+    if (net.isIP(host) && !allowPrivateUrls() && isBlockedAddress(host)) return reject(new Error(NOT_PUBLIC));
+
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    }, response => {
+      response.destroy(); // the response body is never read
+      resolve(response.statusCode);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+const newId = prefix => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+function rowToEndpoint(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    events: JSON.parse(row.events),
+    description: row.description,
+    createdAt: row.created_at
+  };
+}
+
+function rowToDelivery(row) {
+  return {
+    id: row.id,
+    endpointId: row.endpoint_id,
+    eventId: row.event_id,
+    eventType: row.event_type,
+    payload: JSON.parse(row.payload),
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastStatusCode: row.last_status_code,
+    lastError: row.last_error,
+    replayOf: row.replay_of,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at
+  };
+}
+
+/**
+ * Register an endpoint; the signing secret is only returned here
+ * events: names from EVENTS, or ['*'] for all of them
+ */
+async function createEndpoint(accountId, { url, events = ['*'], description = '' }) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error('Webhook url must be an absolute http(s) URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('Webhook url must be an absolute http(s) URL');
+  if (!Array.isArray(events) || !events.length) throw new Error('Webhook events must be a non-empty array');
+  const unknown = events.filter(e => e !== '*' && !EVENTS.includes(e));
+  if (unknown.length) throw new Error(`Unknown webhook event: ${unknown.join(', ')} (available: ${EVENTS.join(', ')})`);
+  await checkPublicHost(parsed);
+
+  const db = getDb();
+  const { count } = db.prepare('SELECT COUNT(*) AS count FROM webhook_endpoints WHERE account_id = ? AND deleted_at IS NULL').get(accountId);
+  if (count >= MAX_ENDPOINTS_PER_ACCOUNT) throw new Error(`Webhook limit reached: ${MAX_ENDPOINTS_PER_ACCOUNT} endpoints per account`);
+
+  const id = newId('we');
+  const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  db.prepare(`
+    INSERT INTO webhook_endpoints (id, account_id, url, secret, events, description, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(id, accountId, parsed.toString(), secret, JSON.stringify([...new Set(events)]), String(description), new Date().toISOString());
+
+  return { ...rowToEndpoint(db.prepare('SELECT * FROM webhook_endpoints WHERE id = ?').get(id)), secret };
+}
+
+async function listEndpoints(accountId) {
+  return getDb().prepare('SELECT * FROM webhook_endpoints WHERE account_id = ? AND deleted_at IS NULL ORDER BY created_at')
+    .all(accountId).map(rowToEndpoint);
+}
+
+/**
+ * Remove an endpoint; pending deliveries to it are dropped, the log is kept
+ */
+async function deleteEndpoint(accountId, endpointId) {
+  transaction(() => {
+    const db = getDb();
+    const result = db.prepare('UPDATE webhook_endpoints SET deleted_at = ? WHERE id = ? AND account_id = ? AND deleted_at IS NULL')
+      .run(new Date().toISOString(), endpointId, accountId);
+    if (result.changes === 0) throw new Error('Webhook not found');
+    db.prepare("UPDATE webhook_deliveries SET status = 'canceled', next_attempt_at = NULL WHERE endpoint_id = ? AND status = 'pending'")
+      .run(endpointId);
+  });
+}
+
+/**
+ * Queue an event for every endpoint of the account subscribed to it
+ * Never throws — a webhook problem must not fail the salvage or payment that caused it.
+ */
+function emit(accountId, type, data) {
+  if (!accountId) return;
+  try {
+    const db = getDb();
+    const endpoints = db.prepare('SELECT id, events FROM webhook_endpoints WHERE account_id = ? AND deleted_at IS NULL')
+      .all(accountId)
+      .filter(e => { const events = JSON.parse(e.events); return events.includes('*') || events.includes(type); });
+    if (!endpoints.length) return;
+
+    const now = new Date().toISOString();
+    const event = { id: newId('evt'), type, created_at: now, account_id: accountId, data };
+    const insert = db.prepare(`
+      INSERT INTO webhook_deliveries (id, endpoint_id, account_id, event_id, event_type, payload, status, attempts, next_attempt_at, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, 'pending', 0, ?, ?)
+    `);
+    endpoints.forEach(e => insert.run(newId('whd'), e.id, accountId, event.id, type, JSON.stringify(event), now, now));
+
+    // After the current (synchronous) transaction, if any, has committed
+    setImmediate(() => deliverDue().catch(err => console.error('[Webhooks] Delivery run failed:', err)));
+  } catch (err) {
+    console.error(`[Webhooks] Could not queue ${type} for ${accountId}:`, err);
+  }
+}
+
+/**
+ * tier.upgraded / tier.downgraded for a tier change (ordered as in TIERS)
+ * reason: what caused it, e.g. 'stripe_checkout', 'crypto_payment', 'grace_period_expired'
+ */
+function emitTierChange(accountId, from, to, reason) {
+  if (from === to) return;
+  const order = Object.keys(TIERS);
+  const type = order.indexOf(to) > order.indexOf(from) ? 'tier.upgraded' : 'tier.downgraded';
+  emit(accountId, type, { from, to, reason });
+}
+
+/**
+ * Signature header value: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function backoff(attempts) {
+  return Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+}
+
+async function attempt(delivery) {
+  const body = delivery.payload;
+  const event = JSON.parse(body);
+  let statusCode = null;
+  let error = null;
+
+  try {
+    statusCode = await post(delivery.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Neural-Salvage-Webhooks/1.0',
+      'X-Neural-Salvage-Event': event.type,
+      'X-Neural-Salvage-Delivery': delivery.id,
+      'X-Neural-Salvage-Signature': signPayload(delivery.secret, body)
+    }, body);
+    if (statusCode < 200 || statusCode > 299) error = `HTTP ${statusCode}`;
+  } catch (err) {
+    error = err.name === 'AbortError' ? `Timed out after ${DELIVERY_TIMEOUT_MS}ms` : err.message;
+  }
+
+  const now = new Date();
+  const attempts = delivery.attempts + 1;
+  const db = getDb();
+  if (!error) {
+    db.prepare(`
+      UPDATE webhook_deliveries SET status = 'succeeded', attempts = ?, last_status_code = ?, last_error = NULL,
+        next_attempt_at = NULL, delivered_at = ?, updated_at = ? WHERE id = ?
+    `).run(attempts, statusCode, now.toISOString(), now.toISOString(), delivery.id);
+    return;
+  }
+
+  const giveUp = attempts >= MAX_ATTEMPTS;
+  db.prepare(`
+    UPDATE webhook_deliveries SET status = ?, attempts = ?, last_status_code = ?, last_error = ?, next_attempt_at = ?, updated_at = ?
+    WHERE id = ?
+  `).run(giveUp ? 'failed' : 'pending', attempts, statusCode, error,
+    giveUp ? null : new Date(now.getTime() + backoff(attempts)).toISOString(), now.toISOString(), delivery.id);
+  console.log(`[Webhooks] ${delivery.id} attempt ${attempts} failed (${error})${giveUp ? ' — giving up' : ''}`);
+}
+
+let running = null;
+
+/**
+ * Send every delivery that is due (one run at a time; overlapping calls share it)
+ */
+function deliverDue() {
+  if (running) return running;
+  running = (async () => {
+    let sent = 0;
+    for (;;) {
+      const due = getDb().prepare(`
+        SELECT d.id, d.payload, d.attempts, e.url, e.secret FROM webhook_deliveries d
+        JOIN webhook_endpoints e ON e.id = d.endpoint_id
+        WHERE d.status = 'pending' AND d.next_attempt_at <= ? ORDER BY d.next_attempt_at LIMIT 20
+      `).all(new Date().toISOString());
+      if (!due.length) return { sent };
+
+      await Promise.all(due.map(attempt));
+      sent += due.length;
+    }
+  })().finally(() => { running = null; }); // not inside the run: it can finish before `running` is assigned
+  return running;
+}
+
+/**
+ * An endpoint's delivery log, newest first
+ */
+async function listDeliveries(accountId, endpointId, { limit = 25, offset = 0, status } = {}) {
+  const db = getDb();
+  if (!db.prepare('SELECT 1 FROM webhook_endpoints WHERE id = ? AND account_id = ?').get(endpointId, accountId)) {
+    throw new Error('Webhook not found');
+  }
+
+  const filter = status ? 'AND status = ?' : '';
+  const params = status ? [endpointId, status] : [endpointId];
+  const rows = db.prepare(`SELECT * FROM webhook_deliveries WHERE endpoint_id = ? ${filter} ORDER BY created_at DESC, rowid DESC LIMIT ? OFFSET ?`)
+    .all(...params, limit, offset);
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM webhook_deliveries WHERE endpoint_id = ? ${filter}`).get(...params);
+
+  return { deliveries: rows.map(rowToDelivery), total, limit, offset };
+}
+
+/**
+ * Queue a logged event again, as a new delivery (same event ID, so receivers can dedupe)
+ * Returns the pending delivery; the background run sends it.
+ */
+async function replayDelivery(accountId, endpointId, deliveryId) {
+  const db = getDb();
+  const original = db.prepare(`
+    SELECT d.* FROM webhook_deliveries d JOIN webhook_endpoints e ON e.id = d.endpoint_id
+    WHERE d.id = ? AND d.endpoint_id = ? AND d.account_id = ? AND e.deleted_at IS NULL
+  `).get(deliveryId, endpointId, accountId);
+  if (!original) throw new Error('Delivery not found');
+
+  const id = newId('whd');
+  const now = new Date().toISOString();
+  db.prepare(`
+    INSERT INTO webhook_deliveries (id, endpoint_id, account_id, event_id, event_type, payload, status, attempts, next_attempt_at,
+      replay_of, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, 'pending', 0, ?, ?, ?)
+  `).run(id, endpointId, accountId, original.event_id, original.event_type, original.payload, now, deliveryId, now);
+
+  setImmediate(() => deliverDue().catch(err => console.error('[Webhooks] Delivery run failed:', err)));
+  return rowToDelivery(db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id));
+}
+
+module.exports = {
+  EVENTS, createEndpoint, listEndpoints, deleteEndpoint, emit, emitTierChange, deliverDue, listDeliveries, replayDelivery, signPayload
+};
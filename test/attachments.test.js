@@ -0,0 +1,36 @@
+// Binary attachments: stored by reference, fetched by path, revived through the manifest by their owner only
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { api, register, sha256 } = require('./helpers');
+
+test('an attachment is stored by reference and streamed back by path', async () => {
+  const { key } = await register('pro');
+  const bytes = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff]);
+  const soul = {
+    identity: { name: 'Pictured' },
+    memory: { long_term: 'Has a face.' },
+    attachments: [{ path: 'avatar.png', content_type: 'image/png', data: bytes.toString('base64') }]
+  };
+
+  const saved = await api('POST', '/api/v1/salvage', { key, body: { soul } });
+  assert.equal(saved.status, 201, saved.body.error);
+  const { tx_id: txId, manifest_tx_id: manifestTxId } = saved.body.salvage;
+  assert.ok(manifestTxId);
+
+  const fetched = await api('GET', `/api/v1/salvage/${txId}/attachments/avatar.png`, { key });
+  assert.equal(fetched.status, 200);
+  assert.equal(fetched.headers.get('content-type'), 'image/png');
+  assert.equal(fetched.headers.get('content-length'), String(bytes.length));
+  assert.equal(fetched.headers.get('etag'), `"${sha256(bytes)}"`);
+
+  const missing = await api('GET', `/api/v1/salvage/${txId}/attachments/nope.png`, { key });
+  assert.equal(missing.status, 404);
+
+  const revived = await api('POST', '/api/v1/revive', { key, body: { tx_id: manifestTxId } });
+  assert.equal(revived.status, 200, revived.body.error);
+  assert.equal(revived.body.soul.attachments[0].sha256, sha256(bytes));
+
+  const stranger = await register('pro');
+  const denied = await api('POST', '/api/v1/revive', { key: stranger.key, body: { tx_id: manifestTxId } });
+  assert.equal(denied.status, 404);
+});
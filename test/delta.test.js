@@ -0,0 +1,49 @@
+// Delta salvages: patches that replay to the next soul
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { api, register } = require('./helpers');
+const { computeDelta, applyDelta } = require('../src/delta');
+
+const base = {
+  identity: { name: 'Delta Agent', platform: 'test' },
+  personality: 'terse',
+  memory: {
+    long_term: 'Remembers everything.',
+    daily_logs: [{ date: '2026-01-01', content: 'First day.' }, { date: '2026-01-02', content: 'Second day.' }]
+  },
+  files: [{ path: 'notes/big.md', content: 'x'.repeat(4000) }, { path: 'a.md', content: 'A' }, { path: 'old.md', content: 'O' }]
+};
+
+test('a patch replays to the next soul and carries only what changed', () => {
+  const next = {
+    identity: base.identity,
+    tools: ['search'],
+    memory: {
+      long_term: 'Remembers everything, and more.',
+      daily_logs: [{ date: '2026-01-02', content: 'Second day, edited.' }, { date: '2026-01-03', content: 'Third day.' }]
+    },
+    files: [{ path: 'a.md', content: 'A, edited' }, base.files[0], { path: 'b.md', content: 'B' }]
+  };
+
+  const patch = computeDelta(base, next);
+  assert.deepEqual(applyDelta(base, patch), next);
+  assert.deepEqual(patch.fields, { set: { tools: ['search'] }, unset: ['personality'] });
+  assert.deepEqual(patch.files.remove, ['old.md']);
+  assert.ok(!JSON.stringify(patch).includes('x'.repeat(100)), 'unchanged files are not in the patch');
+  assert.deepEqual(applyDelta(base, null), base);
+});
+
+test('an unchanged soul has no patch, and replay does not touch the base', () => {
+  const copy = JSON.parse(JSON.stringify(base));
+  assert.equal(computeDelta(base, copy), null);
+
+  applyDelta(base, computeDelta(base, { ...copy, files: [] }));
+  assert.deepEqual(base, copy);
+});
+
+test('salvage mode must be "full" or "delta"', async () => {
+  const { key } = await register('pro');
+  const { status, body } = await api('POST', '/api/v1/salvage', { key, body: { soul: base, mode: 'patch' } });
+  assert.equal(status, 400);
+  assert.equal(body.error, 'Mode must be "full" or "delta"');
+});
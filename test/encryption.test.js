@@ -0,0 +1,54 @@
+// Private souls: envelopes sealed with a passphrase or an X25519 key, and their limits
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { api, register } = require('./helpers');
+const { encryptSoul, decryptSoul, validateEnvelope } = require('../src/encryption');
+
+const soul = { identity: { name: 'Private' }, memory: { long_term: 'Nobody else reads this — ünïcødé too.' } };
+
+test('a passphrase envelope opens with the same passphrase only', async () => {
+  const envelope = await encryptSoul(soul, { passphrase: 'correct horse' });
+  assert.deepEqual(validateEnvelope(envelope), []);
+  assert.ok(!envelope.ciphertext.includes('Nobody'));
+
+  assert.deepEqual(await decryptSoul(envelope, { passphrase: 'correct horse' }), soul);
+  await assert.rejects(decryptSoul(envelope, { passphrase: 'wrong' }), /^Error: Decryption failed/);
+  await assert.rejects(decryptSoul(envelope, { private_key: 'x' }), /provide \{ passphrase \}/);
+});
+
+test('an X25519 envelope opens with the matching private key', async () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+  const pem = k => k.export({ type: k.type === 'public' ? 'spki' : 'pkcs8', format: 'pem' });
+
+  const envelope = await encryptSoul(soul, { public_key: pem(publicKey) });
+  assert.deepEqual(await decryptSoul(envelope, { private_key: pem(privateKey) }), soul);
+
+  const other = crypto.generateKeyPairSync('x25519').privateKey;
+  await assert.rejects(decryptSoul(envelope, { private_key: pem(other) }), /^Error: Decryption failed/);
+});
+
+test('envelopes asking for more than 64MB of scrypt memory are refused before deriving a key', async () => {
+  const envelope = await encryptSoul(soul, { passphrase: 'pw' });
+  const costly = kdf => ({ ...envelope, kdf: { ...envelope.kdf, ...kdf } });
+
+  assert.deepEqual(validateEnvelope(costly({ N: 2 ** 16, r: 8 })), []); // exactly 64MB
+  assert.match(validateEnvelope(costly({ N: 2 ** 20 })).join(), /scrypt memory/);
+  assert.match(validateEnvelope(costly({ N: 2 ** 16, r: 32 })).join(), /scrypt memory/);
+  await assert.rejects(decryptSoul(costly({ N: 2 ** 24 }), { passphrase: 'pw' }), /^Error: Invalid envelope: .*scrypt memory/);
+
+  const { key } = await register('pro');
+  const { status, body } = await api('POST', '/api/v1/salvage', { key, body: { encrypted: costly({ N: 2 ** 22 }), agent_name: 'Private' } });
+  assert.equal(status, 400);
+  assert.equal(body.error, 'Invalid encrypted envelope');
+});
+
+test('salvage encrypts server-side when given a key, and refuses deltas of encrypted souls', async () => {
+  const { key } = await register('pro');
+  const sealed = await api('POST', '/api/v1/salvage', { key, body: { soul, encryption: { passphrase: 'pw' } } });
+  assert.equal(sealed.status, 201);
+  assert.equal(sealed.body.salvage.encrypted, true);
+
+  const delta = await api('POST', '/api/v1/salvage', { key, body: { soul, encryption: { passphrase: 'pw' }, mode: 'delta' } });
+  assert.equal(delta.status, 400);
+});
@@ -0,0 +1,48 @@
+// test/helpers.js: The app on a local port, an HTTP client for it, and throwaway accounts
+const crypto = require('crypto');
+const { after } = require('node:test');
+const app = require('../server');
+const { createAccount, upgradeTier } = require('../src/auth');
+
+let server;
+const listening = new Promise(resolve => {
+  server = app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+after(() => server.close());
+
+/**
+ * Call the API: { status, headers, body } (body parsed as JSON when it is JSON)
+ * options: body (JSON), raw (Buffer or string, sent as is), key, headers
+ */
+async function api(method, path, { body, raw, key, headers = {} } = {}) {
+  const response = await fetch(`${await listening}${path}`, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...(key && { Authorization: `Bearer ${key}` }),
+      ...headers
+    },
+    body: raw ?? (body !== undefined ? JSON.stringify(body) : undefined)
+  });
+  const text = await response.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    // not JSON
+  }
+  return { status: response.status, headers: response.headers, body: parsed };
+}
+
+/**
+ * A new account: { id, key }
+ */
+async function register(tier = 'free') {
+  const account = await createAccount({ name: `test-${crypto.randomBytes(6).toString('hex')}`, type: 'agent' });
+  if (tier !== 'free') await upgradeTier(account.id, tier);
+  return { id: account.id, key: account.apiKey };
+}
+
+const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+module.exports = { api, register, sha256 };
@@ -0,0 +1,49 @@
+// Soul hashes: identical souls deduplicated, stored files checked against their hashes on revive
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { api, register } = require('./helpers');
+
+test('an identical soul is deduplicated with the same size_bytes, unless forced', async () => {
+  const { key } = await register('pro');
+  const soul = { identity: { name: 'Twin' }, memory: { long_term: 'same' } };
+  const reordered = { memory: { long_term: 'same' }, identity: { name: 'Twin' } };
+
+  const first = await api('POST', '/api/v1/salvage', { key, body: { soul } });
+  const again = await api('POST', '/api/v1/salvage', { key, body: { soul: reordered } });
+  assert.equal(again.status, 200);
+  assert.equal(again.body.deduplicated, true);
+  assert.equal(again.body.salvage.tx_id, first.body.salvage.tx_id);
+  assert.equal(again.body.salvage.size_bytes, first.body.salvage.size_bytes);
+
+  const forced = await api('POST', '/api/v1/salvage', { key, body: { soul, force: true } });
+  assert.equal(forced.status, 201);
+  assert.notEqual(forced.body.salvage.tx_id, first.body.salvage.tx_id);
+});
+
+test('revive reports files that no longer match the hashes recorded at salvage time', async () => {
+  const { key } = await register('pro');
+  const soul = { identity: { name: 'Hashed' }, memory: { long_term: 'x' }, files: [{ path: 'notes.md', content: 'original' }] };
+  const { body } = await api('POST', '/api/v1/salvage', { key, body: { soul } });
+  const txId = body.salvage.tx_id;
+
+  const intact = await api('POST', '/api/v1/revive', { key, body: { tx_id: txId, format: 'files' } });
+  assert.equal(intact.body.integrity.verified, true);
+  const notes = intact.body.files.find(f => f.path === 'notes.md');
+  assert.equal(notes.sha256, crypto.createHash('sha256').update('original').digest('hex'));
+
+  // Rewrite the stored payload behind the service's back
+  const store = process.env.STORAGE_DIR;
+  const { dataHash } = JSON.parse(fs.readFileSync(path.join(store, 'tx', `${txId}.json`), 'utf8'));
+  const blob = path.join(store, 'blobs', dataHash);
+  const payload = JSON.parse(fs.readFileSync(blob, 'utf8'));
+  payload.soul.files[0].content = 'tampered';
+  fs.writeFileSync(blob, JSON.stringify(payload));
+
+  const tampered = await api('POST', '/api/v1/revive', { key, body: { tx_id: txId } });
+  assert.equal(tampered.body.integrity.recorded, true);
+  assert.equal(tampered.body.integrity.verified, false);
+  assert.deepEqual(tampered.body.integrity.mismatched, ['notes.md']);
+});
@@ -0,0 +1,102 @@
+// Idempotency-Key replays, queued (async) salvages, and jobs lost mid-upload
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { api, register } = require('./helpers');
+const { processJobs, hashRequest } = require('../src/jobs');
+const { getDb } = require('../src/db');
+
+const soul = name => ({ identity: { name }, memory: { long_term: `${name} remembers.` } });
+
+test('a repeated Idempotency-Key returns the original response without a second salvage', async () => {
+  const { key } = await register('pro');
+  const headers = { 'Idempotency-Key': crypto.randomUUID() };
+
+  const first = await api('POST', '/api/v1/salvage', { key, headers, body: { soul: soul('Once') } });
+  assert.equal(first.status, 201);
+  assert.equal(first.headers.get('idempotent-replayed'), null);
+
+  const again = await api('POST', '/api/v1/salvage', { key, headers, body: { soul: soul('Once') } });
+  assert.equal(again.status, 201);
+  assert.equal(again.headers.get('idempotent-replayed'), 'true');
+  assert.equal(again.body.salvage.tx_id, first.body.salvage.tx_id);
+
+  const usage = await api('GET', '/api/v1/account/usage', { key });
+  assert.equal(usage.body.usage.salvages, 1);
+
+  const different = await api('POST', '/api/v1/salvage', { key, headers, body: { soul: soul('Twice') } });
+  assert.equal(different.status, 422);
+});
+
+test('an async salvage is queued and its job ends with the salvage response', async () => {
+  const { key } = await register('pro');
+  const queued = await api('POST', '/api/v1/salvage', { key, body: { soul: soul('Later'), async: true } });
+  assert.equal(queued.status, 202);
+  assert.equal(queued.headers.get('location'), `/api/v1/jobs/${queued.body.job.id}`);
+
+  let job = queued.body.job;
+  for (let i = 0; i < 50 && !['succeeded', 'failed'].includes(job.status); i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    job = (await api('GET', `/api/v1/jobs/${job.id}`, { key })).body.job;
+  }
+  assert.equal(job.status, 'succeeded');
+  assert.equal(job.response_status, 201);
+
+  const revived = await api('POST', '/api/v1/revive', { key, body: { tx_id: job.response.salvage.tx_id } });
+  assert.equal(revived.body.soul.identity.name, 'Later');
+
+  // Rejected up front when the soul is invalid, as a synchronous salvage would be
+  const invalid = await api('POST', '/api/v1/salvage', { key, body: { soul: { memory: {} }, async: true } });
+  assert.equal(invalid.status, 400);
+});
+
+// A job row as a server that went down mid-run would have left it
+function lostJob(accountId, { stage, txId = null, sync = false, idempotencyKey = null, requestHash = 'x', request }) {
+  const id = `job_test_${crypto.randomBytes(6).toString('hex')}`;
+  const longAgo = new Date(Date.now() - 60 * 60_000).toISOString();
+  getDb().prepare(`
+    INSERT INTO jobs (id, account_id, type, sync, idempotency_key, request_hash, request, status, stage, attempts, tx_id,
+      created_at, updated_at, started_at)
+    VALUES (?, ?, 'salvage', ?, ?, ?, ?, 'running', ?, 1, ?, ?, ?, ?)
+  `).run(id, accountId, sync ? 1 : 0, idempotencyKey, requestHash, request && JSON.stringify(request), stage, txId,
+    longAgo, longAgo, longAgo);
+  return id;
+}
+
+test('a job lost mid-upload is not run again', async () => {
+  const account = await register('pro');
+  const id = lostJob(account.id, { stage: 'uploading', request: { soul: soul('Lost'), body: {} } });
+
+  await processJobs();
+  const { body } = await api('GET', `/api/v1/jobs/${id}`, { key: account.key });
+  assert.equal(body.job.status, 'failed');
+  assert.match(body.job.response.error, /^Salvage interrupted after its upload began/);
+  assert.equal((await api('GET', '/api/v1/account/usage', { key: account.key })).body.usage.salvages, 0);
+});
+
+test('a job lost after its upload returned answers with that salvage instead of uploading again', async () => {
+  const account = await register('pro');
+  const stored = await api('POST', '/api/v1/salvage', { key: account.key, body: { soul: soul('Stored') } });
+  const txId = stored.body.salvage.tx_id;
+  const id = lostJob(account.id, { stage: 'recording', txId, request: { soul: soul('Stored'), body: { force: true } } });
+
+  await processJobs();
+  const { body } = await api('GET', `/api/v1/jobs/${id}`, { key: account.key });
+  assert.equal(body.job.status, 'succeeded');
+  assert.equal(body.job.tx_id, txId);
+  assert.equal(body.job.response.salvage.tx_id, txId);
+  assert.equal((await api('GET', '/api/v1/account/usage', { key: account.key })).body.usage.salvages, 1);
+});
+
+test('an Idempotency-Key held by a request lost mid-upload is not given back for a second upload', async () => {
+  const account = await register('pro');
+  const key = crypto.randomUUID();
+  const body = { soul: soul('Interrupted') };
+  lostJob(account.id, { stage: 'uploading', sync: true, idempotencyKey: key, requestHash: hashRequest('/api/v1/salvage', body) });
+
+  const retry = await api('POST', '/api/v1/salvage', { key: account.key, headers: { 'Idempotency-Key': key }, body });
+  assert.equal(retry.status, 500);
+  assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+  assert.match(retry.body.error, /^Salvage interrupted/);
+  assert.equal((await api('GET', '/api/v1/account/usage', { key: account.key })).body.usage.salvages, 0);
+});
@@ -0,0 +1,65 @@
+// API key scopes, revocation and expiry, and who may revive what
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { api, register } = require('./helpers');
+const { getDb } = require('../src/db');
+
+const soul = name => ({ identity: { name }, memory: { long_term: `${name} remembers.` } });
+
+async function scopedKey(key, scopes) {
+  const { status, body } = await api('POST', '/api/v1/account/keys', { key, body: { label: scopes.join(' '), scopes } });
+  assert.equal(status, 201);
+  return { key: body.api_key, id: body.key.id };
+}
+
+test('a key can only use the scopes it was given', async () => {
+  const owner = await register('pro');
+  const reader = await scopedKey(owner.key, ['salvage:read']);
+
+  const denied = await api('POST', '/api/v1/salvage', { key: reader.key, body: { soul: soul('Reader') } });
+  assert.equal(denied.status, 403);
+  assert.match(denied.body.error, /"salvage:write" scope/);
+
+  const saved = await api('POST', '/api/v1/salvage', { key: owner.key, body: { soul: soul('Reader') } });
+  const txId = saved.body.salvage.tx_id;
+  assert.equal((await api('GET', `/api/v1/salvage/${txId}`, { key: reader.key })).status, 200);
+
+  // Revive needs a key with the revive scope
+  assert.equal((await api('POST', '/api/v1/revive', { body: { tx_id: txId } })).status, 401);
+  assert.equal((await api('POST', '/api/v1/revive', { key: reader.key, body: { tx_id: txId } })).status, 403);
+  assert.equal((await api('GET', `/api/v1/revive/${txId}/workspace.tar.gz`, { key: reader.key })).status, 403);
+  const reviver = await scopedKey(owner.key, ['revive']);
+  assert.equal((await api('POST', '/api/v1/revive', { key: reviver.key, body: { tx_id: txId } })).status, 200);
+
+  // A key can't hand out scopes it doesn't have
+  const escalate = await api('POST', '/api/v1/account/keys', { key: reviver.key, body: { scopes: ['*'] } });
+  assert.equal(escalate.status, 403);
+});
+
+test('revoked and expired keys are refused', async () => {
+  const owner = await register('pro');
+  const revoked = await scopedKey(owner.key, ['salvage:read']);
+  const expired = await scopedKey(owner.key, ['salvage:read']);
+
+  assert.equal((await api('GET', '/api/v1/account', { key: revoked.key })).status, 200);
+  assert.equal((await api('DELETE', `/api/v1/account/keys/${revoked.id}`, { key: owner.key })).status, 200);
+  assert.equal((await api('GET', '/api/v1/account', { key: revoked.key })).status, 401);
+
+  getDb().prepare('UPDATE api_keys SET expires_at = ? WHERE id = ?').run(new Date(Date.now() - 1000).toISOString(), expired.id);
+  assert.equal((await api('GET', '/api/v1/account', { key: expired.key })).status, 401);
+
+  const past = await api('POST', '/api/v1/account/keys', { key: owner.key, body: { expires_at: '2020-01-01T00:00:00Z' } });
+  assert.equal(past.status, 400);
+});
+
+test('a salvage kept off Arweave can only be revived by its own account', async () => {
+  const owner = await register('pro');
+  const stranger = await register('pro');
+  const { body } = await api('POST', '/api/v1/salvage', { key: owner.key, body: { soul: soul('Mine') } });
+  const txId = body.salvage.tx_id;
+
+  const revive = await api('POST', '/api/v1/revive', { key: stranger.key, body: { tx_id: txId } });
+  assert.equal(revive.status, 404);
+  assert.equal((await api('GET', `/api/v1/revive/${txId}/workspace.zip`, { key: stranger.key })).status, 404);
+  assert.equal((await api('POST', '/api/v1/revive', { key: owner.key, body: { tx_id: txId } })).status, 200);
+});
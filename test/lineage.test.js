@@ -0,0 +1,63 @@
+// Salvage lineage: each salvage of an agent links to the previous one (encrypted souls: as told)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { api, register } = require('./helpers');
+const { encryptSoul } = require('../src/encryption');
+
+const salvage = (key, name, extra = {}) => api('POST', '/api/v1/salvage', {
+  key, body: { soul: { identity: { name }, memory: { long_term: `${name} at ${Date.now()}` } }, ...extra }
+});
+
+test('salvages of the same agent form a lineage, walked back by the history route', async () => {
+  const { key } = await register('pro');
+  const first = (await salvage(key, 'Lineage')).body.salvage;
+  const second = (await salvage(key, 'Lineage')).body.salvage;
+  const other = (await salvage(key, 'Someone Else')).body.salvage;
+
+  assert.equal(first.parent_tx_id, null);
+  assert.equal(first.generation, 1);
+  assert.equal(second.parent_tx_id, first.tx_id);
+  assert.equal(second.generation, 2);
+  assert.equal(other.parent_tx_id, null);
+
+  const { status, body } = await api('GET', `/api/v1/salvage/${second.tx_id}/history`, { key });
+  assert.equal(status, 200);
+  assert.equal(body.genesis_tx_id, first.tx_id);
+  assert.deepEqual(body.history.map(h => h.tx_id), [second.tx_id, first.tx_id]);
+});
+
+test('parent_tx_id null starts a new lineage; another account\'s salvage is not a valid parent', async () => {
+  const { key } = await register('pro');
+  const first = (await salvage(key, 'Fork')).body.salvage;
+  const fresh = (await salvage(key, 'Fork', { parent_tx_id: null })).body.salvage;
+  assert.equal(fresh.parent_tx_id, null);
+  assert.equal(fresh.generation, 1);
+
+  const stranger = await register('pro');
+  const foreign = await salvage(stranger.key, 'Fork', { parent_tx_id: first.tx_id });
+  assert.equal(foreign.status, 400);
+  assert.match(foreign.body.error, /^Parent salvage not found/);
+});
+
+test('a soul encrypted client-side links only to the lineage it names', async () => {
+  const { key } = await register('pro');
+  const sealed = name => encryptSoul({ identity: { name }, memory: { long_term: name } }, { passphrase: 'pw' });
+  const send = async (name, extra) => api('POST', '/api/v1/salvage', { key, body: { encrypted: await sealed(name), ...extra } });
+
+  // No name to go by: the lineage must be given
+  const unnamed = await send('A');
+  assert.equal(unnamed.status, 400);
+  assert.match(unnamed.body.error, /agent_name.*parent_tx_id/);
+
+  const a = (await send('A', { parent_tx_id: null })).body.salvage;
+  const b = (await send('B', { parent_tx_id: null })).body.salvage;
+  assert.equal(b.parent_tx_id, null);
+  const a2 = (await send('A', { parent_tx_id: a.tx_id })).body.salvage;
+  assert.equal(a2.parent_tx_id, a.tx_id);
+  assert.equal(a2.generation, 2);
+
+  const named = (await send('C', { agent_name: 'Sealed' })).body.salvage;
+  const named2 = (await send('C', { agent_name: 'Sealed' })).body.salvage;
+  assert.equal(named.parent_tx_id, null);
+  assert.equal(named2.parent_tx_id, named.tx_id);
+});
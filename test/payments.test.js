@@ -0,0 +1,139 @@
+// Stripe webhooks (signed events, replays, grace periods), crypto payment verification,
+// and how tier changes reset billing state
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const stripe = require('stripe');
+const { api, register } = require('./helpers');
+const { getAccount, upgradeTier } = require('../src/auth');
+const { expireLapsedTiers } = require('../src/payments');
+const { getDb } = require('../src/db');
+
+const DAY_MS = 86_400_000;
+
+let eventCount = 0;
+function stripeEvent(type, object) {
+  eventCount += 1;
+  return { id: `evt_test_${Date.now()}_${eventCount}`, object: 'event', type, data: { object } };
+}
+
+// POST an event to the webhook route, signed with STRIPE_WEBHOOK_SECRET unless `secret` says otherwise
+function sendEvent(event, { secret = process.env.STRIPE_WEBHOOK_SECRET, tamper } = {}) {
+  const payload = JSON.stringify(event);
+  const signature = stripe.webhooks.generateTestHeaderString({ payload, secret });
+  return api('POST', '/api/v1/payments/stripe/webhook', {
+    raw: tamper ? tamper(payload) : payload,
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature }
+  });
+}
+
+function checkout(accountId, subscription, tier = 'pro') {
+  return stripeEvent('checkout.session.completed', {
+    id: `cs_test_${subscription}`, customer: 'cus_test', subscription, amount_total: 500, metadata: { accountId, tier }
+  });
+}
+
+test('a signed checkout event upgrades the account and records the payment', async () => {
+  const account = await register();
+  const res = await sendEvent(checkout(account.id, 'sub_signed'));
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.duplicate, false);
+  assert.equal(res.body.account_id, account.id);
+
+  const updated = await getAccount(account.id);
+  assert.equal(updated.tier, 'pro');
+  assert.equal(updated.billingProvider, 'stripe');
+
+  const payments = await api('GET', '/api/v1/account/payments', { key: account.key });
+  assert.equal(payments.body.payments.length, 1);
+  assert.equal(payments.body.payments[0].status, 'confirmed');
+});
+
+test('tampered, wrongly signed and unsigned events are rejected', async () => {
+  const account = await register();
+  const event = checkout(account.id, 'sub_tampered');
+
+  const tampered = await sendEvent(event, { tamper: payload => payload.replace('"pro"', '"enterprise"') });
+  assert.equal(tampered.status, 400);
+  assert.match(tampered.body.error, /^Invalid webhook signature/);
+
+  const wrongSecret = await sendEvent(event, { secret: 'whsec_someone_else' });
+  assert.equal(wrongSecret.status, 400);
+
+  const unsigned = await api('POST', '/api/v1/payments/stripe/webhook', { body: event });
+  assert.equal(unsigned.status, 400);
+
+  assert.equal((await getAccount(account.id)).tier, 'free');
+});
+
+test('a replayed event is applied only once', async () => {
+  const account = await register();
+  const event = checkout(account.id, 'sub_replayed');
+
+  assert.equal((await sendEvent(event)).body.duplicate, false);
+  const replay = await sendEvent(event);
+  assert.equal(replay.status, 200);
+  assert.equal(replay.body.duplicate, true);
+
+  const payments = await api('GET', '/api/v1/account/payments', { key: account.key });
+  assert.equal(payments.body.total, 1);
+});
+
+test('a failed renewal keeps the tier through the grace period, then drops to free', async () => {
+  const account = await register();
+  await sendEvent(checkout(account.id, 'sub_grace'));
+  await sendEvent(stripeEvent('invoice.payment_failed', { id: 'in_test_grace', subscription: 'sub_grace', amount_due: 500 }));
+
+  const lapsed = await getAccount(account.id);
+  assert.equal(lapsed.tier, 'pro');
+  assert.ok(lapsed.subscription.graceUntil);
+
+  await expireLapsedTiers(new Date(Date.now() + 4 * DAY_MS));
+  assert.equal((await getAccount(account.id)).tier, 'free');
+});
+
+test('a tier set by hand is not expired by an earlier crypto period or Stripe cancellation', async () => {
+  const account = await register();
+  getDb().prepare("UPDATE accounts SET tier = 'pro', billing_provider = 'crypto', current_period_end = ? WHERE id = ?")
+    .run(new Date(Date.now() + DAY_MS).toISOString(), account.id);
+
+  await upgradeTier(account.id, 'enterprise');
+  await expireLapsedTiers(new Date(Date.now() + 2 * DAY_MS));
+  const afterCrypto = await getAccount(account.id);
+  assert.equal(afterCrypto.tier, 'enterprise');
+  assert.equal(afterCrypto.billingProvider, null);
+
+  await sendEvent(checkout(account.id, 'sub_manual'));
+  await upgradeTier(account.id, 'enterprise');
+  await sendEvent(stripeEvent('customer.subscription.deleted', { id: 'sub_manual' }));
+  await expireLapsedTiers(new Date(Date.now() + 30 * DAY_MS));
+  assert.equal((await getAccount(account.id)).tier, 'enterprise');
+});
+
+test('a transaction not seen on-chain yet does not claim the payment', async t => {
+  // The Arweave gateway doesn't know the transaction
+  const realFetch = global.fetch;
+  global.fetch = (url, ...rest) => (String(url).startsWith('https://arweave.net')
+    ? Promise.resolve(new Response('Not Found', { status: 404 }))
+    : realFetch(url, ...rest));
+  t.after(() => { global.fetch = realFetch; });
+
+  const guesser = await register();
+  const payer = await register();
+  const intent = async account => (await api('POST', '/api/v1/payments/create', {
+    key: account.key, body: { currency: 'AR', tier: 'pro' }
+  })).body.payment.payment_id;
+  const guessed = await intent(guesser);
+  const paid = await intent(payer);
+
+  const early = await api('POST', '/api/v1/payments/verify', { key: guesser.key, body: { payment_id: guessed, tx_signature: 'ar_tx_1' } });
+  assert.equal(early.status, 200);
+  assert.match(early.body.message, /^Transaction not found yet/);
+  assert.equal(early.body.status, 'awaiting_payment');
+  assert.equal(early.body.tx_signature, null);
+
+  // The same signature is still free for the payment it actually pays
+  const real = await api('POST', '/api/v1/payments/verify', { key: payer.key, body: { payment_id: paid, tx_signature: 'ar_tx_1' } });
+  assert.equal(real.status, 200);
+  assert.equal(real.body.status, 'awaiting_payment');
+});
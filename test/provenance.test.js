@@ -0,0 +1,37 @@
+// Agent-signed souls: signatures checked on salvage and reported on retrieve and revive
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { api, register } = require('./helpers');
+const { canonicalSoulBytes } = require('../src/integrity');
+
+test('a soul signed exactly as sent verifies on salvage, retrieve and revive', async () => {
+  const { key } = await register('pro');
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const registered = await api('POST', '/api/v1/account/signing-keys', {
+    key, body: { key_type: 'ed25519', public_key: publicKey.export({ type: 'spki', format: 'pem' }) }
+  });
+  assert.equal(registered.status, 201);
+
+  // A 1.0 soul (no schema_version, string memory), signed without any server-side changes
+  const soul = { identity: { name: 'Signer' }, memory: 'plain memory' };
+  const sign = s => crypto.sign(null, canonicalSoulBytes(s), privateKey).toString('base64');
+
+  const salvage = await api('POST', '/api/v1/salvage', { key, body: { soul, signature: sign(soul) } });
+  assert.equal(salvage.status, 201, salvage.body.error);
+  const txId = salvage.body.salvage.tx_id;
+
+  const retrieved = await api('GET', `/api/v1/salvage/${txId}`, { key });
+  assert.equal(retrieved.body.provenance.status, 'verified');
+
+  const revived = await api('POST', '/api/v1/revive', { key, body: { tx_id: txId } });
+  assert.equal(revived.body.provenance.status, 'verified');
+  assert.equal(revived.body.integrity.verified, true);
+  assert.deepEqual(revived.body.soul.memory, { long_term: 'plain memory' });
+
+  const forged = await api('POST', '/api/v1/salvage', {
+    key, body: { soul: { ...soul, memory: 'changed' }, signature: sign(soul), force: true }
+  });
+  assert.equal(forged.status, 400);
+  assert.match(forged.body.error, /^Invalid soul signature/);
+});
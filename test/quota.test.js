@@ -0,0 +1,53 @@
+// Tier quotas and usage accounting
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { api, register } = require('./helpers');
+
+const soul = name => ({ identity: { name }, memory: { long_term: `${name} remembers.` } });
+
+test('the free tier allows one salvage per period, up to 1MB', async () => {
+  const { key } = await register();
+
+  const tooBig = await api('POST', '/api/v1/salvage', {
+    key, body: { soul: { identity: { name: 'Big' }, memory: { long_term: 'x'.repeat(1_100_000) } } }
+  });
+  assert.equal(tooBig.status, 413);
+
+  assert.equal((await api('POST', '/api/v1/salvage', { key, body: { soul: soul('First') } })).status, 201);
+  const second = await api('POST', '/api/v1/salvage', { key, body: { soul: soul('Second') } });
+  assert.equal(second.status, 429);
+  assert.match(second.body.error, /^Quota exceeded/);
+
+  const usage = await api('GET', '/api/v1/account/usage', { key });
+  assert.equal(usage.body.tier, 'free');
+  assert.equal(usage.body.usage.salvages, 1);
+  assert.equal(usage.body.remaining.salvages, 0);
+});
+
+test('paid tiers are not capped at one salvage, and usage counts every one', async () => {
+  const { key } = await register('pro');
+  for (const name of ['One', 'Two', 'Three']) {
+    assert.equal((await api('POST', '/api/v1/salvage', { key, body: { soul: soul(name) } })).status, 201);
+  }
+  const { body } = await api('GET', '/api/v1/account/usage', { key });
+  assert.equal(body.usage.salvages, 3);
+  assert.ok(body.usage.bytes > 0);
+  assert.equal(body.rate_limit.limit, body.limits.requests_per_minute);
+});
+
+test('usage counts the bytes stored, not the characters', async () => {
+  const { key } = await register('pro');
+  const saved = await api('POST', '/api/v1/salvage', {
+    key, body: { soul: { identity: { name: 'Wide', emoji: '🧠' }, memory: { long_term: 'ü'.repeat(500) } } }
+  });
+  assert.equal(saved.status, 201);
+
+  const store = process.env.STORAGE_DIR;
+  const { dataHash } = JSON.parse(fs.readFileSync(path.join(store, 'tx', `${saved.body.salvage.tx_id}.json`), 'utf8'));
+  const stored = fs.statSync(path.join(store, 'blobs', dataHash)).size;
+
+  const { body } = await api('GET', '/api/v1/account/usage', { key });
+  assert.equal(body.usage.bytes, stored);
+});
@@ -0,0 +1,49 @@
+// Soul schema: per-path validation, version upgrades, workspace paths
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { api } = require('./helpers');
+const { validateSoulPayload, upgradeSoul, SCHEMA_VERSION } = require('../src/schema');
+
+test('a 1.0 soul is upgraded and stamped with the current schema_version', () => {
+  const result = validateSoulPayload({ identity: { name: 'Old' }, memory: 'plain memory' });
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.soul, { identity: { name: 'Old' }, memory: { long_term: 'plain memory' }, schema_version: SCHEMA_VERSION });
+  assert.deepEqual(upgradeSoul(result.soul), result.soul);
+});
+
+test('errors are reported per path', () => {
+  const result = validateSoulPayload({
+    identity: { name: '' },
+    memory: { daily_logs: [{ date: '2026-1-1', content: 'x' }] },
+    files: [{ path: 'a.md' }]
+  });
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.errors, [
+    'soul.identity.name: must not be empty',
+    'soul.memory.daily_logs[0].date: must match ^\\d{4}-\\d{2}-\\d{2}$',
+    'soul.files[0].content: is required'
+  ]);
+});
+
+test('schema_version must name a known version, not an Object.prototype member', () => {
+  for (const version of ['constructor', '__proto__', 'toString', 'hasOwnProperty', '9.9']) {
+    const result = validateSoulPayload({ schema_version: version, identity: { name: 'X' } });
+    assert.equal(result.valid, false, version);
+    assert.deepEqual(result.errors, [`soul.schema_version: Unsupported soul schema_version: ${version}`]);
+  }
+});
+
+test('files must stay inside the workspace', () => {
+  for (const path of ['../escape.md', '/etc/passwd', 'C:\\Windows\\x', 'a/../../b', '\\\\server\\share']) {
+    const result = validateSoulPayload({ identity: { name: 'X' }, files: [{ path, content: 'x' }] });
+    assert.deepEqual(result.errors, ['soul.files[0].path: must be a relative path'], path);
+  }
+  assert.equal(validateSoulPayload({ identity: { name: 'X' }, files: [{ path: 'notes/..hidden/a.md', content: 'x' }] }).valid, true);
+});
+
+test('the schema is published', async () => {
+  const { status, body } = await api('GET', '/api/v1/schema');
+  assert.equal(status, 200);
+  assert.equal(body.version, SCHEMA_VERSION);
+  assert.deepEqual(body.schema.required, ['identity']);
+});
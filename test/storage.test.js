@@ -0,0 +1,70 @@
+// Salvages through a storage driver (filesystem here): stored, retrieved, revived, replayed, kept private
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { api, register } = require('./helpers');
+
+const soulWith = files => ({
+  identity: { name: 'Stored Agent', platform: 'test' },
+  memory: { long_term: 'Remembers everything.', daily_logs: [{ date: '2026-01-01', content: 'First day.' }] },
+  files
+});
+
+test('a salvage is stored by the driver and revives to the same soul', async () => {
+  const { key } = await register('pro');
+  const soul = soulWith([{ path: 'notes.md', content: 'hello' }]);
+
+  const saved = await api('POST', '/api/v1/salvage', { key, body: { soul } });
+  assert.equal(saved.status, 201);
+  assert.equal(saved.body.salvage.status, 'stored');
+  const txId = saved.body.salvage.tx_id;
+
+  const retrieved = await api('GET', `/api/v1/salvage/${txId}`, { key });
+  assert.equal(retrieved.status, 200);
+  assert.deepEqual(retrieved.body.payload.soul, { ...soul, schema_version: '2.0' });
+  assert.equal(retrieved.body.tags['Agent-Name'], 'Stored Agent');
+
+  const revived = await api('POST', '/api/v1/revive', { key, body: { tx_id: txId, format: 'files' } });
+  assert.equal(revived.status, 200);
+  assert.ok(revived.body.files.some(f => f.path === 'notes.md' && f.content === 'hello'));
+
+  assert.equal((await api('GET', '/api/v1/salvage/not-a-real-tx')).status, 404);
+});
+
+test('a delta salvage stores only the patch and revives to the full soul', async () => {
+  const { key } = await register('pro');
+  const bigFile = { path: 'notes/big.md', content: 'x'.repeat(4000) };
+  const first = soulWith([bigFile, { path: 'a.md', content: 'A' }]);
+  const second = { ...soulWith([bigFile, { path: 'a.md', content: 'A, edited' }, { path: 'b.md', content: 'B' }]), personality: 'curious' };
+
+  const base = await api('POST', '/api/v1/salvage', { key, body: { soul: first } });
+  const delta = await api('POST', '/api/v1/salvage', { key, body: { soul: second, mode: 'delta' } });
+  assert.equal(delta.status, 201);
+  assert.equal(delta.body.salvage.mode, 'delta');
+  assert.equal(delta.body.salvage.base_tx_id, base.body.salvage.tx_id);
+
+  const stored = await api('GET', `/api/v1/salvage/${delta.body.salvage.tx_id}`, { key });
+  assert.equal(stored.body.payload.soul, undefined);
+  assert.ok(stored.body.payload.delta.patch);
+
+  const revived = await api('POST', '/api/v1/revive', { key, body: { tx_id: delta.body.salvage.tx_id } });
+  assert.equal(revived.status, 200);
+  assert.deepEqual(revived.body.soul, { ...second, schema_version: '2.0' });
+  assert.deepEqual(revived.body.metadata.reconstructed_from, [delta.body.salvage.tx_id, base.body.salvage.tx_id]);
+});
+
+test('a locally stored salvage can only be read by the account that made it', async () => {
+  const owner = await register('pro');
+  const stranger = await register('pro');
+  const soul = {
+    ...soulWith([{ path: 'notes.md', content: 'private' }]),
+    attachments: [{ path: 'a.bin', content_type: 'application/octet-stream', data: Buffer.from('bytes').toString('base64') }]
+  };
+  const { body } = await api('POST', '/api/v1/salvage', { key: owner.key, body: { soul } });
+  const txId = body.salvage.tx_id;
+
+  for (const route of [txId, `${txId}/status`, `${txId}/history`, `${txId}/attachments/a.bin`]) {
+    assert.equal((await api('GET', `/api/v1/salvage/${route}`, { key: owner.key })).status, 200, route);
+    assert.equal((await api('GET', `/api/v1/salvage/${route}`)).status, 404, route);
+    assert.equal((await api('GET', `/api/v1/salvage/${route}`, { key: stranger.key })).status, 404, route);
+  }
+});
@@ -0,0 +1,44 @@
+// The on-disk transaction cache: whole-file writes, and entries checked before they count as verified
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTxCache } = require('../src/txcache');
+
+const id = n => String(n).padStart(43, 'a');
+
+function tempCache(maxBytes = 1024) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'txcache-test-'));
+  return { dir, cache: createTxCache({ dir, maxBytes }) };
+}
+
+test('an entry is written whole and read back with its tags', t => {
+  const { dir, cache } = tempCache();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  cache.put(id(1), Buffer.from('soul bytes'), { 'App-Name': 'Neural-Salvage' });
+  assert.deepEqual(fs.readdirSync(dir).sort(), [`${id(1)}.bin`, `${id(1)}.json`]);
+  const hit = cache.get(id(1));
+  assert.equal(hit.data.toString(), 'soul bytes');
+  assert.deepEqual(hit.tags, { 'App-Name': 'Neural-Salvage' });
+});
+
+test('a truncated or altered entry is a miss, and is dropped', t => {
+  const { dir, cache } = tempCache();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  cache.put(id(1), Buffer.from('soul bytes'), {});
+  cache.put(id(2), Buffer.from('more bytes'), {});
+  fs.writeFileSync(path.join(dir, `${id(1)}.bin`), 'soul');
+  fs.writeFileSync(path.join(dir, `${id(2)}.bin`), 'MORE BYTES');
+
+  assert.equal(cache.get(id(1)), null);
+  assert.equal(cache.get(id(2)), null);
+  assert.equal(fs.existsSync(path.join(dir, `${id(1)}.bin`)), false);
+  assert.deepEqual(cache.stats(), { max_bytes: 1024, bytes: 0, entries: 0 });
+
+  // Refilled from a fresh, verified read
+  cache.put(id(1), Buffer.from('soul bytes'), {});
+  assert.equal(cache.get(id(1)).data.toString(), 'soul bytes');
+});
@@ -0,0 +1,60 @@
+// Chunked uploads: any Content-Type, characters split across chunks, size limits
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { api, register, sha256 } = require('./helpers');
+
+const soul = { identity: { name: 'Chunky', emoji: '🧩' }, memory: { long_term: 'Split across chunks — ünïcødé and all.' } };
+
+test('a chunked upload assembles whatever Content-Type the chunks were sent with', async () => {
+  const { key } = await register('pro');
+  const bytes = Buffer.from(JSON.stringify(soul));
+  // Split inside a multi-byte character
+  const cut = bytes.indexOf(Buffer.from('🧩')) + 2;
+  const chunks = [bytes.subarray(0, cut), bytes.subarray(cut)];
+
+  const created = await api('POST', '/api/v1/uploads', { key, body: { total_bytes: bytes.length, sha256: sha256(bytes) } });
+  assert.equal(created.status, 201);
+  const id = created.body.upload.id;
+
+  const types = ['application/json', 'application/octet-stream'];
+  for (const [i, chunk] of [...chunks.entries()].reverse()) {
+    const put = await api('PUT', `/api/v1/uploads/${id}/chunks/${i}`, {
+      key, raw: chunk, headers: { 'Content-Type': types[i], 'X-Chunk-SHA256': sha256(chunk) }
+    });
+    assert.equal(put.status, 200, put.body.error);
+  }
+  assert.equal((await api('GET', `/api/v1/uploads/${id}`, { key })).body.upload.received_bytes, bytes.length);
+
+  const done = await api('POST', `/api/v1/uploads/${id}/complete`, { key, body: {} });
+  assert.equal(done.status, 201, done.body.error);
+  const revived = await api('POST', '/api/v1/revive', { key, body: { tx_id: done.body.salvage.tx_id } });
+  assert.equal(revived.body.soul.memory.long_term, soul.memory.long_term);
+  assert.equal(revived.body.soul.identity.emoji, '🧩');
+});
+
+test('a chunk that does not match its checksum is refused and can be sent again', async () => {
+  const { key } = await register('pro');
+  const bytes = Buffer.from(JSON.stringify(soul));
+  const { body } = await api('POST', '/api/v1/uploads', { key, body: { total_bytes: bytes.length } });
+  const url = `/api/v1/uploads/${body.upload.id}/chunks/0`;
+
+  const bad = await api('PUT', url, { key, raw: bytes, headers: { 'X-Chunk-SHA256': sha256('something else') } });
+  assert.equal(bad.status, 400);
+  const good = await api('PUT', url, { key, raw: bytes, headers: { 'X-Chunk-SHA256': sha256(bytes) } });
+  assert.equal(good.status, 200);
+});
+
+test('uploads are capped at the soul size limit, and oversized chunks get a JSON 413', async () => {
+  const { key } = await register('pro');
+  const oversized = await api('POST', '/api/v1/uploads', { key, body: { total_bytes: 200 * 1_048_576 } });
+  assert.equal(oversized.status, 413);
+
+  const { body } = await api('POST', '/api/v1/uploads', { key, body: { total_bytes: 20 * 1_048_576 } });
+  const chunk = await api('PUT', `/api/v1/uploads/${body.upload.id}/chunks/0`, { key, raw: Buffer.alloc(9 * 1_048_576) });
+  assert.equal(chunk.status, 413);
+  assert.match(chunk.body.error, /^Request body too large/);
+
+  const malformed = await api('POST', '/api/v1/salvage', { key, raw: '{"soul":', headers: { 'Content-Type': 'application/json' } });
+  assert.equal(malformed.status, 400);
+  assert.equal(typeof malformed.body.error, 'string');
+});
@@ -0,0 +1,85 @@
+// Outbound webhooks: endpoint URLs, signed deliveries and replays
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { api, register } = require('./helpers');
+const { signPayload } = require('../src/webhooks');
+
+// A receiver on this machine; `hold` keeps requests open until released
+function receiver() {
+  const received = [];
+  const held = [];
+  let hold = false;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      if (hold) held.push(res);
+      else res.end('ok');
+    });
+  });
+  const listening = new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}/hook`)));
+  return {
+    received,
+    listening,
+    hold: () => { hold = true; },
+    release: () => { hold = false; held.splice(0).forEach(res => res.end('ok')); },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+async function until(check, timeoutMs = 5000) {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+test('webhooks cannot target loopback or private addresses', async () => {
+  const { key } = await register('pro');
+  for (const url of ['http://127.0.0.1:3000/hook', 'http://localhost/hook', 'http://10.0.0.5/hook', 'http://[::1]/hook', 'http://169.254.169.254/latest']) {
+    const { status, body } = await api('POST', '/api/v1/webhooks', { key, body: { url } });
+    assert.equal(status, 400, url);
+    assert.match(body.error, /^Webhook url must resolve to a public address/, url);
+  }
+});
+
+test('a replay is queued and returned pending, then delivered with the same event ID', async t => {
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+  const hook = receiver();
+  t.after(async () => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+    hook.release();
+    await hook.close();
+  });
+
+  const { key } = await register('pro');
+  const created = await api('POST', '/api/v1/webhooks', { key, body: { url: await hook.listening, events: ['salvage.created'] } });
+  assert.equal(created.status, 201, created.body.error);
+  const { webhook, secret } = created.body;
+
+  await api('POST', '/api/v1/salvage', { key, body: { soul: { identity: { name: 'Hooked' }, memory: { long_term: 'x' } } } });
+  await until(() => hook.received.length === 1);
+  const [first] = hook.received;
+  const timestamp = first.headers['x-neural-salvage-signature'].match(/^t=(\d+)/)[1];
+  assert.equal(first.headers['x-neural-salvage-signature'], signPayload(secret, first.body, Number(timestamp)));
+
+  const log = await api('GET', `/api/v1/webhooks/${webhook.id}/deliveries`, { key });
+  const original = log.body.deliveries[0];
+  assert.equal(original.status, 'succeeded');
+
+  // The receiver doesn't answer the replay until released: the replay request must not wait for it
+  hook.hold();
+  const replay = await api('POST', `/api/v1/webhooks/${webhook.id}/deliveries/${original.id}/replay`, { key });
+  assert.equal(replay.status, 201);
+  assert.equal(replay.body.delivery.status, 'pending');
+  assert.equal(replay.body.delivery.attempts, 0);
+  assert.equal(replay.body.delivery.replay_of, original.id);
+  assert.equal(replay.body.delivery.event_id, original.event_id);
+
+  await until(() => hook.received.length === 2);
+  assert.equal(JSON.parse(hook.received[1].body).id, original.event_id);
+  hook.release();
+});